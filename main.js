@@ -1,12 +1,114 @@
 import * as THREE from 'three';
-import { FilesetResolver, GestureRecognizer } from '@mediapipe/tasks-vision';
 import * as Tone from 'tone';
+import { SessionRecorder, loadSessionFile } from './src/sessionRecorder.js';
+import {
+    MediaPipeSource, PointerSource, SyntheticSource, RecordedSource, HAND_TRACKING, SMOOTHING_CONFIG, LANDMARK_COUNT,
+    DEFAULT_CALIBRATION, CalibrationSession, applyCalibration, invertCalibration, calibrationTargets,
+    handDepth, calibrationStorageKey, loadCalibration, saveCalibration
+} from './src/input/index.js';
+import { expandLayout } from './src/instruments/layouts.js';
+import { BUILTIN_LAYOUTS, DEFAULT_LAYOUT } from './src/instruments/builtinLayouts.js';
+import { SYNTH_PRESETS, createPresetVoice } from './src/instruments/synthPresets.js';
+import { SoundLibrary } from './src/instruments/soundLibrary.js';
+import { createSoundsPanel } from './src/instruments/soundsPanel.js';
+import { HIT_CONFIG } from './src/instruments/hits.js';
+import {
+    NOTE_NAMES, SCALES, CHORD_MODES, ARP_PATTERNS, mapKeysToScale, midiToNoteName, validateTheory, loadTheory, saveTheory
+} from './src/instruments/theory.js';
+import { Arpeggiator } from './src/instruments/arpeggiator.js';
+import { createLabelSprite, setLabelText, disposeLabelSprite } from './src/instruments/labels.js';
+import { MidiBridge, instrumentMidiNotes } from './src/midi.js';
+import { Looper } from './src/looper.js';
+import { PerformanceRecorder } from './src/performanceRecorder.js';
+import { downloadJSON, downloadBlob } from './src/download.js';
+import { GestureMapper, GESTURES, DEFAULT_BINDINGS, loadBindings, saveBindings } from './src/gestures/gestureMapper.js';
+import { createBindingsPanel } from './src/gestures/bindingsPanel.js';
+import { loadPoseClassifier, savePoseClassifier, validatePoseLabel } from './src/gestures/poseClassifier.js';
+import { createPosesPanel } from './src/gestures/posesPanel.js';
+import { MOTION_GESTURES } from './src/gestures/motionGestures.js';
+import { Engine } from './src/engine/index.js';
+import { HandMeshes, HAND_COLORS } from './src/engine/adapters/threeHands.js';
+import { toneClock, connectToneAudio, toPerformanceTime } from './src/engine/adapters/toneAudio.js';
+import { connectHandStatus } from './src/engine/adapters/domStatus.js';
+import { AudioReactor, DEFAULT_AUDIO_MAPPINGS, loadAudioMappings, saveAudioMappings } from './src/audioReactive.js';
+import { createAudioReactivePanel } from './src/audioReactivePanel.js';
+import { EffectsRack, readHandControls, loadEffectMappings, saveEffectMappings, DEFAULT_EFFECT_MAPPINGS } from './src/effectsRack.js';
+import { createEffectsPanel, createEffectsHud } from './src/effectsPanel.js';
+import {
+    SETTINGS_SCHEMA, defaultSettings, validateSettings, changedSettings, exportSettings, importSettings, loadSettings, saveSettings
+} from './src/settings.js';
+import { createSettingsPanel } from './src/settingsPanel.js';
+import { StartupSequence, withTimeout } from './src/startup.js';
+import { JamSession } from './src/network/jamSession.js';
+import {
+    createParticleSystem,
+    sphereFormation, torusFormation, spiralFormation, textFormation, imageFormation
+} from './src/particles/index.js';
 
 // DOM Elements
 const introOverlay = document.getElementById('intro-overlay');
 const startBtn = document.getElementById('start-btn');
+const replayBtn = document.getElementById('replay-btn');
+const sessionFileInput = document.getElementById('session-file');
+const inputSourceSelect = document.getElementById('input-source');
+const startupStatusEl = document.getElementById('startup-status');
+const startupStepsEl = startupStatusEl.querySelector('.startup-steps');
+const startupErrorEl = startupStatusEl.querySelector('.startup-error');
+const startupRetryBtn = document.getElementById('startup-retry');
+const layoutSelect = document.getElementById('layout-select');
+const layoutFileInput = document.getElementById('layout-file');
+const scaleRootSelect = document.getElementById('scale-root');
+const scaleTypeSelect = document.getElementById('scale-type');
+const chordModeSelect = document.getElementById('chord-mode');
+const arpPatternSelect = document.getElementById('arp-pattern');
+const jamUrlInput = document.getElementById('jam-url');
+const jamRoomInput = document.getElementById('jam-room');
+const jamToggleBtn = document.getElementById('jam-toggle');
+const jamStatus = document.getElementById('jam-status');
+const jamStatusDot = document.getElementById('jam-status-dot');
+const midiEnableBtn = document.getElementById('midi-enable');
+const midiSettings = document.getElementById('midi-settings');
+const midiOutputSelect = document.getElementById('midi-output');
+const midiInputSelect = document.getElementById('midi-input');
+const midiNoteChannelInput = document.getElementById('midi-note-channel');
+const midiDrumChannelInput = document.getElementById('midi-drum-channel');
+const midiCcInput = document.getElementById('midi-cc');
+const loopStatus = document.getElementById('loop-status');
+const loopStatusDot = document.getElementById('loop-status-dot');
+const loopRecordBtn = document.getElementById('loop-record');
+const loopUndoBtn = document.getElementById('loop-undo');
+const loopClearBtn = document.getElementById('loop-clear');
+const loopExportBtn = document.getElementById('loop-export');
+const loopFileInput = document.getElementById('loop-file');
+const loopBpmInput = document.getElementById('loop-bpm');
+const perfRecordBtn = document.getElementById('perf-record');
+const perfMidiBtn = document.getElementById('perf-midi');
+const perfWavBtn = document.getElementById('perf-wav');
+const bindingsToggleBtn = document.getElementById('bindings-toggle');
+const bindingsPanelEl = document.getElementById('bindings-panel');
+const posesToggleBtn = document.getElementById('poses-toggle');
+const posesPanelEl = document.getElementById('poses-panel');
+const formationSelect = document.getElementById('formation-select');
+const formationFileInput = document.getElementById('formation-file');
+const audioReactiveToggleBtn = document.getElementById('audio-reactive-toggle');
+const audioReactivePanelEl = document.getElementById('audio-reactive-panel');
+const soundsToggleBtn = document.getElementById('sounds-toggle');
+const soundsPanelEl = document.getElementById('sounds-panel');
+const effectsToggleBtn = document.getElementById('effects-toggle');
+const effectsPanelEl = document.getElementById('effects-panel');
+const effectsHudEl = document.getElementById('effects-hud');
+const settingsToggleBtn = document.getElementById('settings-toggle');
+const settingsPanelEl = document.getElementById('settings-panel');
+const settingsExportBtn = document.getElementById('settings-export');
+const settingsFileInput = document.getElementById('settings-file');
+const settingsResetBtn = document.getElementById('settings-reset');
+const calibrateBtn = document.getElementById('calibrate-btn');
+const calibrationResetBtn = document.getElementById('calibration-reset');
+const calibrationOverlay = document.getElementById('calibration-overlay');
+const calibrationTargetEl = calibrationOverlay.querySelector('.calibration-target');
+const calibrationMessageEl = calibrationOverlay.querySelector('.calibration-message');
 const uiOverlay = document.getElementById('ui-overlay');
-const webcamElement = document.getElementById('webcam');
+let webcamElement = document.getElementById('webcam');
 const canvasContainer = document.getElementById('canvas-container');
 
 // Status UI Elements
@@ -15,58 +117,301 @@ const camStatusDot = document.getElementById('cam-status-dot');
 const handStatus = document.getElementById('hand-status');
 const handStatusDot = document.getElementById('hand-status-dot');
 const gestureNameEl = document.getElementById('gesture-name');
+const recStatus = document.getElementById('rec-status');
+const recStatusDot = document.getElementById('rec-status-dot');
+
+// Persisted tunables (see src/settings.js), applied live by applySettings()
+const SETTINGS_KEY = 'gesture-particles.settings';
+let settings = loadSettings(localStorage, SETTINGS_KEY);
 
 // App state
 let isExperienceStarted = false;
 let currentGesture = "None";
 let lastGestureTime = 0;
-let activeHands = []; // Array to store { joints: THREE.Vector3[], gesture: string }
-let handMeshes = []; // Array of groups containing spheres for joints
+const smoothingConfig = { ...SMOOTHING_CONFIG }; // Shared by every hand filter, so tweaks apply live
+const trackingConfig = { ...HAND_TRACKING };
+const hitConfig = { ...HIT_CONFIG };
 
 // THREE.js
-let scene, camera, renderer, particlesGeometry, particlesMaterial, particlesMesh;
-const PARTICLE_COUNT = 5000;
-const particlesData = [];
-
-// MediaPipe
-let gestureRecognizer;
-let runningMode = "VIDEO";
-let lastVideoTime = -1;
+let scene, camera, renderer, particleSystem, particlesMesh;
+let particleFormation = { kind: 'cloud' };
+let particleFormationName = 'cloud';
+let particleRotationTime = 0; // Ambient rotation, unwound for formations that must face the camera
+let lastAnimateTime = 0;
+const FORMATION_CYCLE = ['cloud', 'sphere', 'torus', 'spiral', 'hand'];
+
+// Hand tracking input (MediaPipe, pointer, synthetic or recorded); set once startup succeeds
+let inputSource = null;
+
+// Startup: audio, graphics and the input source's own steps, retryable (see src/startup.js)
+let startup = null;
+let startupSource = null;
+let isSceneReady = false;
+
+// Session recording
+const sessionRecorder = new SessionRecorder();
+
+// Camera -> scene calibration (stored per camera device)
+const CALIBRATION_KEY = 'gesture-particles.calibration';
+let calibration = DEFAULT_CALIBRATION;
+let calibrationKey = null;
+let calibrationSession = null;
 
 // Tone.js
-let synth, filter, reverb;
-let kickSynth, snareSynth, hihatSynth;
-let pianoSynths = [];
+let synth, reverb;
+
+// Master effects bus every instrument plays through, driven by hand controls
+const EFFECT_MAPPINGS_KEY = 'gesture-particles.effects';
+let effectMappings = loadEffectMappings(localStorage, EFFECT_MAPPINGS_KEY);
+let effectsRack = null;
 
 // Instruments
 let instrumentMeshes = [];
-let lastHitTimes = {};
+let currentLayoutName = DEFAULT_LAYOUT;
+
+// User patches, samples and per-layout sound assignments
+const soundLibrary = new SoundLibrary({
+    storage: localStorage,
+    patchesKey: 'gesture-particles.patches',
+    assignmentsKey: 'gesture-particles.sounds'
+});
+const HOVER_GLOW = 0.35; // Share of a full hit flash shown when a fingertip reaches the press depth
+const instrumentGlowColor = new THREE.Color();
+
+// Audio-reactive visuals (features tapped from the master output)
+const AUDIO_MAPPINGS_KEY = 'gesture-particles.audioReactive';
+const AUDIO_TINT = new THREE.Color(0x00ffcc);
+let audioMappings = loadAudioMappings(localStorage, AUDIO_MAPPINGS_KEY);
+let audioReactor = null;
+const particleTint = new THREE.Color();
+
+// Looper
+let looper = null;
+
+// Key / scale / chord mode for pitched instruments, and the gesture-held arpeggiator
+const THEORY_KEY = 'gesture-particles.theory';
+let theory = loadTheory(localStorage, THEORY_KEY);
+let arpeggiator = null;
+
+// User-trained poses (k-NN on joint angles), recognized alongside the built-in gestures
+const POSES_KEY = 'gesture-particles.poses';
+const POSE_RECORDING = { delayMs: 1500, samples: 20, intervalMs: 100 };
+const poseClassifier = loadPoseClassifier(localStorage, POSES_KEY);
+let poseRecording = null; // { label, startAt, nextAt, taken }
+
+// Everything a binding can name: built-in gestures, trained poses, motion gestures
+function availableGestures() {
+    return [...GESTURES, ...poseClassifier.labels, ...MOTION_GESTURES];
+}
+
+// Gesture -> action bindings (persisted, editable in the bindings panel)
+const BINDINGS_KEY = 'gesture-particles.bindings';
+let gestureBindings = loadBindings(localStorage, BINDINGS_KEY, availableGestures());
+const gestureMapper = new GestureMapper({
+    bindings: gestureBindings,
+    gestures: availableGestures(),
+    handlers: {
+        'chord': (binding) => playGestureChord(binding.gesture),
+        'filter.sweepUp': () => sweepFilter(1),
+        'filter.sweepDown': () => sweepFilter(0),
+        'octave.up': () => shiftOctave(1),
+        'octave.down': () => shiftOctave(-1),
+        'looper.toggleRecording': () => looper && looper.toggleRecording(),
+        'looper.undoLastLayer': () => looper && looper.undoLastLayer(),
+        'looper.clear': () => looper && looper.clear(),
+        'formation.next': () => nextFormation(),
+        'formation.hand': () => setFormation(particleFormation.kind === 'hand' ? 'cloud' : 'hand')
+    }
+});
+let octaveShift = 0;
+
+// Headless core: tracked hands, gestures (incl. motion gestures), instrument collisions
+// and particle forces. Rendering, audio and the status panel follow its events through
+// the adapters in src/engine/adapters.
+const engine = new Engine({
+    toWorld: handToWorld,
+    classifyPose: landmarks => poseClassifier.classify(landmarks),
+    smoothing: smoothingConfig,
+    tracking: trackingConfig,
+    hitConfig,
+    gestureMapper,
+    clock: toneClock
+});
+let handMeshes = null;
+
+// Performance export (.mid / .wav)
+const performanceRecorder = new PerformanceRecorder();
+
+// Web MIDI
+const MIDI_CONFIG_KEY = 'gesture-particles.midi';
+let midiBridge = null;
+
+// Networked jam: remote players' skeletons (ghosts) and hits, via server/relay.mjs
+const JAM_KEY = 'gesture-particles.jam';
+const REMOTE_HAND_TIMEOUT_MS = 1000;
+let jamSession = null;
+const remoteHands = new Map(); // peerId -> { hands: [{ joints, handedness, ghost, lostSince, mesh }], seenAt }
+
+// Offline cache for the app and MediaPipe assets (production builds only; in dev
+// it would serve stale modules)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+        .catch(err => console.warn("Service worker registration failed:", err));
+}
 
 // Initialize when Start is clicked
-startBtn.addEventListener('click', async () => {
+startBtn.addEventListener('click', () => {
+    startExperience(createInputSource(inputSourceSelect.value));
+});
+
+// Replay a recorded session instead of using the webcam
+replayBtn.addEventListener('click', () => sessionFileInput.click());
+
+sessionFileInput.addEventListener('change', async () => {
+    const file = sessionFileInput.files[0];
+    if (!file) return;
+
+    let source;
+    try {
+        source = new RecordedSource(await loadSessionFile(file), { label: file.name, onStatus: setInputStatus });
+    } catch (err) {
+        console.error("Error loading session:", err);
+        alert("Could not load session file: " + err.message);
+        return;
+    }
+
+    startExperience(source);
+});
+
+startupRetryBtn.addEventListener('click', () => runStartup());
+
+// Steps that already succeeded are skipped when a retry (or another input source) runs again
+function startExperience(source) {
+    if (startup && startup.state === 'running') return;
+    if (startupSource && startupSource !== source) startupSource.stop();
+    startupSource = source;
+
+    startup = new StartupSequence([
+        { id: 'audio', label: "Audio", run: initAudio },
+        { id: 'scene', label: "Graphics", run: initScene },
+        ...(source.startupSteps || [{ id: 'input', label: "Hand input", run: () => source.start() }])
+    ], { onChange: renderStartupStatus });
+    runStartup();
+}
+
+async function runStartup() {
+    if (!(await startup.run())) return;
+
     introOverlay.classList.add('hidden');
     uiOverlay.classList.remove('hidden');
     isExperienceStarted = true;
 
-    await initAudio();
-    initThree();
-    await initWebcam();
-    await initMediaPipe();
+    inputSource = startupSource;
+    calibrationKey = calibrationStorageKey(CALIBRATION_KEY, inputSource.deviceKey || inputSource.name);
+    calibration = loadCalibration(localStorage, calibrationKey);
 
     animate();
-});
+}
+
+function renderStartupStatus(sequence) {
+    startupStatusEl.classList.remove('hidden');
+    startupStepsEl.innerHTML = '';
+    sequence.steps.forEach(step => {
+        const item = document.createElement('li');
+        item.className = `startup-step ${step.status}`;
+        item.textContent = step.label;
+        startupStepsEl.appendChild(item);
+    });
+
+    const failed = sequence.failedStep;
+    startupErrorEl.textContent = failed ? failed.error.message : '';
+    startupRetryBtn.classList.toggle('hidden', !failed);
+    startBtn.disabled = sequence.state === 'running';
+    replayBtn.disabled = sequence.state === 'running';
+}
+
+function initScene() {
+    if (isSceneReady) return;
+    initThree();
+    initLooper();
+    initArpeggiator();
+    isSceneReady = true;
+}
+
+// --- INPUT SOURCES ---
+function createInputSource(type, videoElement = webcamElement) {
+    switch (type) {
+        case 'pointer':
+            return new PointerSource(canvasContainer, { toNormalized: screenToLandmark, onStatus: setInputStatus });
+        case 'synthetic':
+            return new SyntheticSource({ onStatus: setInputStatus });
+        default:
+            return new MediaPipeSource(videoElement, {
+                numHands: settings['camera.numHands'],
+                width: settings['camera.width'],
+                height: settings['camera.height'],
+                delegate: settings['camera.delegate'],
+                onStatus: setInputStatus
+            });
+    }
+}
+
+function setInputStatus(kind, text, ok) {
+    if (kind === 'camera') {
+        camStatus.innerText = text;
+        camStatusDot.classList.toggle("active", ok);
+    } else {
+        handStatus.innerText = text;
+        handStatus.style.color = ok ? "" : "#ff3366";
+    }
+}
+
+// Landmark (normalized camera space) -> scene coordinates through the active calibration.
+// The default mirrors X (the video preview is mirrored with CSS) and spreads the hand
+// across the whole screen; a calibration fits it to the user's actual reach.
+// depthOffset places the whole hand in z (see handToWorld).
+function landmarkToWorld(landmark, depthOffset = 0) {
+    const { x, y, z } = applyCalibration(calibration, landmark, depthOffset);
+    return new THREE.Vector3(x, y, z);
+}
+
+// All 21 landmarks of a detected hand in scene coordinates; the apparent hand size
+// moves the hand in front of / behind the instrument plane
+function handToWorld(landmarks) {
+    const depth = handDepth(calibration, landmarks);
+    return landmarks.map(landmark => landmarkToWorld(landmark, depth));
+}
+
+// Screen position -> normalized landmark space, through the z=0 instrument plane,
+// so a pointer-driven fingertip lands exactly under the cursor
+function screenToLandmark(clientX, clientY) {
+    const ndc = new THREE.Vector3(
+        (clientX / window.innerWidth) * 2 - 1,
+        -(clientY / window.innerHeight) * 2 + 1,
+        0.5
+    ).unproject(camera);
+    const dir = ndc.sub(camera.position).normalize();
+    const world = camera.position.clone().add(dir.multiplyScalar(-camera.position.z / dir.z));
+
+    return invertCalibration(calibration, world.x, world.y);
+}
 
 // --- AUDIO SETUP (Tone.js) ---
 async function initAudio() {
-    await Tone.start();
+    if (effectsRack) return; // Already started (startup retry)
+    await withTimeout(Tone.start(), 3000, "The browser didn't allow audio to start. Click Retry to start it.");
+    if (Tone.context.state !== 'running') throw new Error("Audio is suspended by the browser. Click Retry to start it.");
     console.log('Tone.js audio context started');
 
+    effectsRack = new EffectsRack();
+    effectsRack.update(effectMappings);
+    effectsHud.update(effectsRack.values, effectMappings);
+
     // Create a beautiful, spacey synthesizer for background chords
-    filter = new Tone.Filter(200, "lowpass").toDestination();
     reverb = new Tone.Reverb({
         decay: 4,
         wet: 0.6
-    }).connect(filter);
+    }).connect(effectsRack.input);
 
     synth = new Tone.PolySynth(Tone.Synth, {
         oscillator: { type: "sawtooth" },
@@ -78,24 +423,10 @@ async function initAudio() {
         }
     }).connect(reverb);
 
-    // --- Drum Synths ---
-    kickSynth = new Tone.MembraneSynth().toDestination();
-    snareSynth = new Tone.NoiseSynth({
-        noise: { type: 'white' },
-        envelope: { attack: 0.005, decay: 0.1, sustain: 0, release: 0 }
-    }).toDestination();
-    hihatSynth = new Tone.MetalSynth({
-        frequency: 200, envelope: { attack: 0.001, decay: 0.1, release: 0.01 },
-        harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5
-    }).toDestination();
+    // Instrument voices are created per key/pad from the layout's synth presets,
+    // all playing into the effects rack
 
-    // --- Piano Synths (one per key for polyphony without cutoffs) ---
-    for (let i = 0; i < 8; i++) {
-        pianoSynths.push(new Tone.Synth({
-            oscillator: { type: "triangle" },
-            envelope: { attack: 0.01, decay: 0.5, sustain: 0.1, release: 1 }
-        }).toDestination());
-    }
+    audioReactor = new AudioReactor();
 }
 
 const GESTURE_CHORDS = {
@@ -108,24 +439,95 @@ const GESTURE_CHORDS = {
     "ILoveYou": ["Eb4", "G4", "Bb4", "D5"], // Eb maj7 - sweet
 };
 
-function playGestureSound(gesture) {
-    // Disabled old gesture chord sounds to focus on virtual instruments
-    // If you want them back, you can uncomment this
-    /*
+// Trained poses and motion gestures have no chord of their own; each name picks one
+// of these, so the same gesture always plays the same chord
+const EXTRA_GESTURE_CHORDS = [
+    ["D4", "F4", "A4"], // D minor
+    ["E4", "G4", "B4"], // E minor
+    ["F4", "A4", "C5"], // F major
+    ["A3", "C4", "E4"], // A minor
+    ["Bb3", "D4", "F4"] // Bb major
+];
+
+function gestureChord(gesture) {
+    if (GESTURE_CHORDS[gesture]) return GESTURE_CHORDS[gesture];
+    const hash = [...gesture].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return EXTRA_GESTURE_CHORDS[hash % EXTRA_GESTURE_CHORDS.length];
+}
+
+function playGestureChord(gesture) {
     const now = Tone.now();
-    if (now - lastGestureTime < 0.5) return;
-    if (GESTURE_CHORDS[gesture]) {
-        synth.triggerAttackRelease(GESTURE_CHORDS[gesture], "4n", now);
-        lastGestureTime = now;
-    }
-    */
+    if (now - lastGestureTime < settings['gestures.chordDebounceMs'] / 1000) return;
+    synth.triggerAttackRelease(gestureChord(gesture), "4n", now);
+    lastGestureTime = now;
+}
+
+// Sweep the master filter fully open (1) or closed (0); hand control resumes after
+function sweepFilter(position) {
+    if (!effectsRack) return;
+    effectsRack.sweep('filter.cutoff', position, 2);
+}
+
+// Transpose every pitched instrument (drums keep their sounds) by whole octaves
+function shiftOctave(direction) {
+    octaveShift = Math.max(-2, Math.min(2, octaveShift + direction));
+    applyKeyMapping();
 }
 
+// Octave shift + key / scale / chord mode -> the notes (and labels) of every pitched instrument
+function applyKeyMapping() {
+    const keys = instrumentMeshes.filter(mesh => mesh.userData.baseNote && mesh.userData.type !== 'drum');
+    const mapped = mapKeysToScale(keys.map(mesh => ({ note: mesh.userData.baseNote })), theory, octaveShift);
+
+    keys.forEach((mesh, i) => {
+        const names = mapped[i].notes.map(midiToNoteName);
+        const note = names.length === 1 ? names[0] : names;
+        mesh.userData.note = note;
+        mesh.userData.arpeggio = mapped[i].arpeggio;
+        mesh.userData.def = { ...mesh.userData.def, note };
+        setLabelText(mesh.userData.label, mapped[i].label);
+    });
+}
+
+function setTheory(changes) {
+    theory = validateTheory({ ...theory, ...changes });
+    saveTheory(localStorage, THEORY_KEY, theory);
+    if (arpeggiator) arpeggiator.setPattern(theory.arpPattern);
+    applyKeyMapping();
+}
+
+function populateTheorySelects() {
+    const fill = (select, entries) => {
+        select.innerHTML = '';
+        entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    };
+    fill(scaleRootSelect, NOTE_NAMES.map((name, i) => [i, name]));
+    fill(scaleTypeSelect, Object.entries(SCALES).map(([id, scale]) => [id, scale.label]));
+    fill(chordModeSelect, Object.entries(CHORD_MODES).map(([id, mode]) => [id, mode.label]));
+    fill(arpPatternSelect, Object.entries(ARP_PATTERNS));
+
+    scaleRootSelect.value = theory.root;
+    scaleTypeSelect.value = theory.scale;
+    chordModeSelect.value = theory.chordMode;
+    arpPatternSelect.value = theory.arpPattern;
+}
+
+populateTheorySelects();
+scaleRootSelect.addEventListener('change', () => setTheory({ root: parseInt(scaleRootSelect.value, 10) }));
+scaleTypeSelect.addEventListener('change', () => setTheory({ scale: scaleTypeSelect.value }));
+chordModeSelect.addEventListener('change', () => setTheory({ chordMode: chordModeSelect.value }));
+arpPatternSelect.addEventListener('change', () => setTheory({ arpPattern: arpPatternSelect.value }));
+
 // --- THREE.JS SETUP ---
 function initThree() {
     scene = new THREE.Scene();
     // Add some subtle fog
-    scene.fog = new THREE.FogExp2(0x050510, 0.05);
+    scene.fog = new THREE.FogExp2(settings['scene.fogColor'], settings['scene.fogDensity']);
 
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.z = 10;
@@ -135,306 +537,305 @@ function initThree() {
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     canvasContainer.appendChild(renderer.domElement);
 
-    // Particles
-    particlesGeometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(PARTICLE_COUNT * 3);
-    const colors = new Float32Array(PARTICLE_COUNT * 3);
-
-    const color1 = new THREE.Color(0xff00cc);
-    const color2 = new THREE.Color(0x3333ff);
-
-    for (let i = 0; i < PARTICLE_COUNT; i++) {
-        const x = (Math.random() - 0.5) * 40;
-        const y = (Math.random() - 0.5) * 40;
-        const z = (Math.random() - 0.5) * 40;
-
-        positions[i * 3] = x;
-        positions[i * 3 + 1] = y;
-        positions[i * 3 + 2] = z;
-
-        // Mixed colors
-        const mixedColor = color1.clone().lerp(color2, Math.random());
-        colors[i * 3] = mixedColor.r;
-        colors[i * 3 + 1] = mixedColor.g;
-        colors[i * 3 + 2] = mixedColor.b;
-
-        particlesData.push({
-            velocity: new THREE.Vector3((Math.random() - 0.5) * 0.02, (Math.random() - 0.5) * 0.02, (Math.random() - 0.5) * 0.02),
-            originalPos: new THREE.Vector3(x, y, z),
-            phase: Math.random() * Math.PI * 2
-        });
-    }
+    handMeshes = new HandMeshes(scene);
+    handMeshes.attach(engine);
+    createParticles();
 
-    particlesGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    particlesGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    // Pick the startup layout from ?layout=<name>, falling back to the classic kit
+    const requestedLayout = new URLSearchParams(window.location.search).get('layout');
+    if (requestedLayout && BUILTIN_LAYOUTS[requestedLayout]) currentLayoutName = requestedLayout;
+    installInstruments(createInstruments(BUILTIN_LAYOUTS[currentLayoutName]));
+    applyKeyMapping();
+    applySoundAssignments();
+    populateLayoutSelect();
 
-    // Custom circular particle material
-    particlesMaterial = new THREE.PointsMaterial({
-        size: 0.15,
-        vertexColors: true,
-        blending: THREE.AdditiveBlending,
-        transparent: true,
-        opacity: 0.8,
-    });
+    window.addEventListener('resize', onWindowResize);
+}
 
-    particlesMesh = new THREE.Points(particlesGeometry, particlesMaterial);
+// Particles: GPU simulation with a CPU fallback (counts and colors from settings);
+// ?particles=cpu forces the fallback
+function createParticles() {
+    const preferGPU = settings['particles.preferGPU'] && new URLSearchParams(window.location.search).get('particles') !== 'cpu';
+    particleSystem = createParticleSystem(renderer, {
+        preferGPU,
+        gpuCount: settings['particles.gpuCount'],
+        cpuCount: settings['particles.cpuCount'],
+        palette: [settings['particles.colorA'], settings['particles.colorB']]
+    });
+    particlesMesh = particleSystem.mesh;
+    console.log(`Particle simulation: ${particleSystem.kind} (${particleSystem.count} particles)`);
     scene.add(particlesMesh);
+}
 
-    createInstruments();
-
-    window.addEventListener('resize', onWindowResize);
+// Swap in a new particle system, keeping the formation when it doesn't depend on the count
+function rebuildParticles() {
+    scene.remove(particlesMesh);
+    particleSystem.dispose();
+    createParticles();
+    setFormation(FORMATION_CYCLE.includes(particleFormationName) ? particleFormationName : 'cloud');
 }
 
-function createInstruments() {
-    // Piano Keys (8 keys, one octave C4 to C5)
-    const notes = ["C4", "D4", "E4", "F4", "G4", "A4", "B4", "C5"];
-    const keyWidth = 1.6;
-    const spacing = 0.4;
-    const totalWidth = (8 * keyWidth) + (7 * spacing);
-    const startX = -(totalWidth / 2) + (keyWidth / 2);
+// Build meshes and voices for an instrument layout (see src/instruments/layouts.js).
+// Nothing is added to the scene or engine yet; on failure whatever was built is disposed.
+function createInstruments(layout) {
+    const instruments = expandLayout(layout, Object.keys(SYNTH_PRESETS));
+    const meshes = [];
+
+    try {
+        instruments.forEach(def => meshes.push(createInstrumentMesh(def)));
+    } catch (err) {
+        meshes.forEach(disposeInstrumentMesh);
+        throw err;
+    }
+    return meshes;
+}
 
-    const keyGeometry = new THREE.BoxGeometry(keyWidth, 0.5, 4);
+function createInstrumentMesh(def) {
+    // Voice first: it's the part that can fail (bad preset), before any GPU resources exist
+    const voice = createPresetVoice(def.synth, effectsRack.input);
+
+    let geometry;
+    if (def.shape === 'cylinder') {
+        const [radius, depth] = def.size;
+        geometry = new THREE.CylinderGeometry(radius, radius, depth, 32);
+        geometry.rotateX(Math.PI / 2); // Face the camera
+    } else {
+        const [width, height, depth] = def.size;
+        geometry = new THREE.BoxGeometry(width, height, depth);
+    }
 
-    for (let i = 0; i < 8; i++) {
-        const material = new THREE.MeshBasicMaterial({
-            color: 0xffffff,
-            transparent: true,
-            opacity: 0.3,
-            wireframe: true
-        });
-        const keyMesh = new THREE.Mesh(keyGeometry, material);
-        // Move to Z=0 so they are on the exact same depth plane as the hand
-        keyMesh.position.set(startX + i * (keyWidth + spacing), -5, 0);
-
-        // Custom properties for interaction
-        keyMesh.userData = {
-            type: 'piano',
-            note: notes[i],
-            synthIndex: i,
-            baseColor: 0xffffff,
-            hitColor: 0x00ffcc,
-            id: `piano_${i}`
-        };
-
-        scene.add(keyMesh);
-        instrumentMeshes.push(keyMesh);
-        lastHitTimes[keyMesh.userData.id] = 0;
-    }
-
-    // Drum Pads (Kick, Snare, Hi-Hat)
-    const padGeometry = new THREE.CylinderGeometry(1.6, 1.6, 0.2, 32);
-    padGeometry.rotateX(Math.PI / 2); // Face the camera
-
-    const drums = [
-        { name: 'Kick', pos: new THREE.Vector3(-8, 2, 0), color: 0xff3366, sound: () => kickSynth.triggerAttackRelease("C1", "8n") },
-        { name: 'Snare', pos: new THREE.Vector3(8, 2, 0), color: 0x3333ff, sound: () => snareSynth.triggerAttackRelease("16n") },
-        { name: 'HiHat', pos: new THREE.Vector3(0, 5, 0), color: 0xffff00, sound: () => hihatSynth.triggerAttackRelease("32n") }
-    ];
-
-    drums.forEach((drum, i) => {
-        const material = new THREE.MeshBasicMaterial({
-            color: drum.color,
-            transparent: true,
-            opacity: 0.4,
-            wireframe: true
-        });
-        const padMesh = new THREE.Mesh(padGeometry, material);
-        padMesh.position.copy(drum.pos);
-
-        padMesh.userData = {
-            type: 'drum',
-            name: drum.name,
-            baseColor: drum.color,
-            hitColor: 0xffffff,
-            playSound: drum.sound,
-            id: `drum_${drum.name}`
-        };
-
-        scene.add(padMesh);
-        instrumentMeshes.push(padMesh);
-        lastHitTimes[padMesh.userData.id] = 0;
+    const material = new THREE.MeshBasicMaterial({
+        color: def.color,
+        transparent: true,
+        opacity: def.opacity,
+        wireframe: true
     });
+    const mesh = new THREE.Mesh(geometry, material);
+    // Keep instruments on the same depth plane as the hand (z = 0 by default)
+    mesh.position.fromArray(def.position);
+
+    // Custom properties for interaction
+    mesh.userData = {
+        type: def.type,
+        name: def.name || def.note,
+        note: def.note,
+        baseNote: def.note,
+        baseColor: new THREE.Color(def.color).getHex(),
+        hitColor: new THREE.Color(def.hitColor).getHex(),
+        baseOpacity: def.opacity,
+        state: null, // Engine-side hover / retrigger state, set by installInstruments
+        voice,
+        def: def,
+        id: def.id
+    };
+
+    // Note / chord / drum name under the instrument; pitched labels follow the key mapping
+    const label = createLabelSprite(def.name || [].concat(def.note).join(' '));
+    const extent = def.shape === 'cylinder' ? def.size[0] : def.size[1] / 2;
+    label.position.set(0, -(extent + 0.4), 0);
+    mesh.add(label);
+    mesh.userData.label = label;
+
+    return mesh;
 }
 
-function createHandMesh() {
-    const group = new THREE.Group();
-    const material = new THREE.MeshBasicMaterial({ color: 0x00ffcc });
-    const geometry = new THREE.SphereGeometry(0.15, 16, 16); // Made joint spheres smaller
+// Make freshly created instruments the playable kit
+function installInstruments(meshes) {
+    const states = engine.setInstruments(meshes.map(mesh => mesh.userData.def));
+    meshes.forEach((mesh, i) => {
+        mesh.userData.state = states[i];
+        scene.add(mesh);
+    });
+    instrumentMeshes = meshes;
+}
 
-    // MediaPipe has 21 landmarks per hand
-    for (let i = 0; i < 21; i++) {
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.visible = false;
-        group.add(mesh);
-    }
+function disposeInstrumentMesh(mesh) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    mesh.userData.voice.dispose();
+    disposeLabelSprite(mesh.userData.label);
+}
 
-    scene.add(group);
-    return group;
+function disposeInstruments() {
+    instrumentMeshes.forEach(disposeInstrumentMesh);
+    instrumentMeshes = [];
 }
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// Swap the current instruments for another layout at runtime
+function loadInstrumentLayout(layout, name) {
+    // Build the new kit before tearing anything down so a bad file keeps the current one
+    const meshes = createInstruments(layout);
+
+    if (arpeggiator) arpeggiator.stop(); // Its chord belongs to an instrument that's going away
+    disposeInstruments();
+    installInstruments(meshes);
+    applyKeyMapping();
+    currentLayoutName = name;
+    applySoundAssignments();
+    soundsPanel.render();
+    console.log(`Loaded instrument layout "${layout.name || name}"`);
 }
 
-// --- WEBCAM & MEDIAPIPE SETUPS ---
-async function initMediaPipe() {
-    try {
-        const vision = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-        );
-        gestureRecognizer = await GestureRecognizer.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath: "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task",
-                delegate: "GPU"
-            },
-            runningMode: runningMode,
-            numHands: 2
-        });
-        console.log("Gesture Recognizer loaded");
-    } catch (err) {
-        console.error("Error loading MediaPipe:", err);
-        handStatus.innerText = "Error Loading AI";
-        handStatus.style.color = "#ff3366";
-    }
+function populateLayoutSelect() {
+    layoutSelect.innerHTML = '';
+    Object.entries(BUILTIN_LAYOUTS).forEach(([key, layout]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = layout.name || key;
+        layoutSelect.appendChild(option);
+    });
+    layoutSelect.value = currentLayoutName;
 }
 
-async function initWebcam() {
+layoutSelect.addEventListener('change', () => {
+    if (!scene) return;
+    loadInstrumentLayout(BUILTIN_LAYOUTS[layoutSelect.value], layoutSelect.value);
+    layoutSelect.blur(); // Give keyboard shortcuts back to the window
+});
+
+layoutFileInput.addEventListener('change', async () => {
+    const file = layoutFileInput.files[0];
+    if (!file || !scene) return;
+
     try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { width: 640, height: 480, facingMode: "user" }
-        });
-        webcamElement.srcObject = stream;
-
-        return new Promise((resolve) => {
-            webcamElement.onloadedmetadata = () => {
-                webcamElement.play();
-                webcamElement.style.display = "block";
-                camStatus.innerText = "Active";
-                camStatusDot.classList.add("active");
-                resolve();
-            };
-        });
+        const layout = JSON.parse(await file.text());
+        loadInstrumentLayout(layout, file.name);
+
+        const option = document.createElement('option');
+        option.value = file.name;
+        option.textContent = layout.name || file.name;
+        layoutSelect.appendChild(option);
+        layoutSelect.value = file.name;
+        BUILTIN_LAYOUTS[file.name] = layout;
     } catch (err) {
-        console.error("Webcam access denied", err);
-        camStatus.innerText = "Denied / Error";
+        console.error("Error loading layout:", err);
+        alert("Could not load layout: " + err.message);
     }
+    layoutFileInput.value = '';
+});
+
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
-function processVideoFrame() {
-    if (!gestureRecognizer) return;
+// --- HAND INPUT ---
+function processHandInput() {
+    if (!inputSource) return;
 
     const nowInMs = Date.now();
-    if (webcamElement.currentTime !== lastVideoTime) {
-        lastVideoTime = webcamElement.currentTime;
+    const frame = inputSource.poll(nowInMs);
+    if (!frame) return;
 
-        // Process hand gestures
-        const results = gestureRecognizer.recognizeForVideo(webcamElement, nowInMs);
+    sessionRecorder.record(frame, nowInMs);
+    if (calibrationSession) updateCalibration(frame, nowInMs);
+    engine.applyFrame(frame, performance.now());
+}
 
-        if (results.gestures && results.gestures.length > 0) {
-            handStatus.innerText = "Detected (" + results.gestures.length + ")";
-            handStatusDot.classList.add("active");
+// Everything outside the engine that follows the tracked hands frame by frame
+engine.on('handUpdate', ({ tracked }) => {
+    if (poseRecording) recordPoseExample(tracked[0], performance.now());
+    if (jamSession) jamSession.sendHands(tracked);
+
+    // Continuous hand controls (palm position, pinch, rotation, hand spread) -> effects
+    if (effectsRack) {
+        const controls = readHandControls(tracked);
+        const changed = effectsRack.update(effectMappings, controls);
+        if (midiBridge && changed.includes('filter.cutoff')) midiBridge.sendControlChange(effectsRack.values['filter.cutoff']);
+        effectsHud.update(effectsRack.values, effectMappings);
+    }
+});
 
-            // Sync activeHands array length with detected hands
-            while (activeHands.length < results.gestures.length) {
-                const joints = Array(21).fill(0).map(() => new THREE.Vector3(0, 0, 50));
-                activeHands.push({ joints: joints, gesture: "None" });
-                handMeshes.push(createHandMesh());
-            }
-            while (activeHands.length > results.gestures.length) {
-                activeHands.pop();
-                const meshGroup = handMeshes.pop();
-                scene.remove(meshGroup);
-            }
+connectHandStatus(engine, { statusEl: handStatus, dotEl: handStatusDot, gestureEl: gestureNameEl });
+connectToneAudio(engine, handleInstrumentHit);
+
+// --- CALIBRATION ---
+// Touch four corner targets with the index fingertip; the fitted mapping replaces
+// the default landmark transform for this camera
+function startCalibration() {
+    if (!isExperienceStarted) return;
+    calibrationSession = new CalibrationSession(
+        calibrationTargets({ fov: camera.fov, aspect: camera.aspect, distance: camera.position.z }),
+        { depthScale: calibration.depthScale }
+    );
+    calibrationOverlay.classList.remove('hidden');
+    calibrateBtn.innerText = "Cancel";
+    showCalibrationTarget(0);
+}
 
-            let gestureNames = [];
-
-            results.gestures.forEach((gestureInfo, index) => {
-                const gesture = gestureInfo[0].categoryName;
-                gestureNames.push(gesture.replace('_', ' '));
-
-                // Play sound if gesture changed for this hand (Disabled to focus on instruments)
-                if (activeHands[index].gesture !== gesture) {
-                    activeHands[index].gesture = gesture;
-                    // playGestureSound(gesture);
-                }
-
-                // Extract 3D position from landmarks
-                const landmarks = results.landmarks[index];
-
-                // Track all 21 joints
-                landmarks.forEach((landmark, i) => {
-                    // MediaPipe X is 0 (left) to 1 (right) from the camera's perspective.
-                    // Because we mirrored the video CSS (transform: scaleX(-1)), we must invert X here.
-                    // Scale X and Y by larger numbers so the hand moves across the screen faster, 
-                    // but make the actual distance between fingers smaller. 
-                    const scaleFactor = 30; // Spread movement across entire screen width
-                    const cx = -(landmark.x - 0.5) * scaleFactor;
-                    const cy = -(landmark.y - 0.5) * (scaleFactor * 0.75); // aspect ratio compensation
-                    const cz = (landmark.z || 0) * -10; // Simple depth heuristic
-
-                    activeHands[index].joints[i].lerp(new THREE.Vector3(cx, cy, cz), 0.3);
-
-                    // Update visual mesh
-                    const jointMesh = handMeshes[index].children[i];
-                    jointMesh.position.copy(activeHands[index].joints[i]);
-                    jointMesh.visible = true;
-
-                    // Highlight fingertips (4, 8, 12, 16, 20) with a different color/size if wanted
-                    if ([4, 8, 12, 16, 20].includes(i)) {
-                        jointMesh.scale.set(1.5, 1.5, 1.5);
-                        jointMesh.material.color.setHex(0xff00ff);
-                    } else {
-                        jointMesh.scale.set(1, 1, 1);
-                        jointMesh.material.color.setHex(0x00ffcc);
-                    }
-                });
-
-                // Adjust Audio Filter based on first hand's palm Y position (landmark 9)
-                if (index === 0 && filter) {
-                    const palmY = activeHands[index].joints[9].y;
-                    const cutoff = Math.max(100, Math.min(5000, 1000 + (palmY * 400)));
-                    filter.frequency.rampTo(cutoff, 0.1);
-                }
-            });
+function stopCalibration() {
+    calibrationSession = null;
+    calibrationOverlay.classList.add('hidden');
+    calibrateBtn.innerText = "Calibrate";
+}
 
-            gestureNameEl.innerText = gestureNames.join(', ');
+function showCalibrationTarget(progress) {
+    const target = calibrationSession.targets[calibrationSession.index];
+    const screen = new THREE.Vector3(target.x, target.y, 0).project(camera);
+    calibrationTargetEl.style.left = ((screen.x + 1) / 2 * window.innerWidth) + 'px';
+    calibrationTargetEl.style.top = ((1 - screen.y) / 2 * window.innerHeight) + 'px';
+    calibrationTargetEl.style.setProperty('--progress', progress);
+    calibrationMessageEl.innerText = "Point your index finger at target " + (calibrationSession.index + 1) +
+        " of " + calibrationSession.targets.length + " and hold still (Esc to cancel)";
+}
 
-        } else {
-            handStatus.innerText = "Not Detected";
-            handStatusDot.classList.remove("active");
-            gestureNameEl.innerText = "None";
-
-            // Move all hands to a far distance and hide meshes
-            activeHands.forEach((hand, index) => {
-                hand.gesture = "None";
-                hand.joints.forEach((joint, i) => {
-                    joint.lerp(new THREE.Vector3(0, 0, 50), 0.1);
-                    if (handMeshes[index] && handMeshes[index].children[i]) {
-                        handMeshes[index].children[i].visible = false;
-                    }
-                });
-            });
-        }
+function updateCalibration(frame, nowInMs) {
+    const progress = calibrationSession.update(frame, nowInMs);
+    if (!calibrationSession.done) {
+        showCalibrationTarget(calibrationSession.anchor ? progress : 0);
+        return;
+    }
+
+    try {
+        calibration = calibrationSession.result();
+        saveCalibration(localStorage, calibrationKey, calibration);
+        resetHandFilters();
+    } catch (err) {
+        console.error("Calibration failed:", err);
+        alert("Calibration failed: " + err.message + ". Please try again.");
     }
+    stopCalibration();
 }
 
+function resetCalibration() {
+    calibration = DEFAULT_CALIBRATION;
+    if (calibrationKey) localStorage.removeItem(calibrationKey);
+    resetHandFilters();
+}
+
+// Joints jump when the mapping changes, so don't let the filters smooth (or predict) across it
+function resetHandFilters() {
+    engine.hands.resetFilters();
+}
+
+calibrateBtn.addEventListener('click', () => {
+    if (calibrationSession) stopCalibration();
+    else startCalibration();
+});
+
+calibrationResetBtn.addEventListener('click', resetCalibration);
+
 // --- MAIN LOOP ---
 function animate() {
     requestAnimationFrame(animate);
 
     if (isExperienceStarted) {
-        processVideoFrame();
-        checkInstrumentCollisions();
+        if (audioReactor) audioReactor.update();
+        processHandInput();
+        engine.update(performance.now(), { detectHits: !calibrationSession });
+        expireRemoteHands(Date.now());
+        updateArpeggiator(performance.now());
     }
 
-    // Animate Instruments (fade colors back to base)
+    // Animate Instruments (fade colors back to base, or to the hover glow while a finger approaches)
     instrumentMeshes.forEach(mesh => {
-        const currentOpct = mesh.material.opacity;
-        if (currentOpct > (mesh.userData.type === 'piano' ? 0.3 : 0.4)) {
-            mesh.material.opacity -= 0.02;
-        }
+        const { baseOpacity, baseColor, hitColor, state } = mesh.userData;
+        const hoverOpacity = baseOpacity + (1 - baseOpacity) * HOVER_GLOW * state.hover;
+        mesh.material.opacity = Math.max(hoverOpacity, mesh.material.opacity - 0.02);
+        const glow = (mesh.material.opacity - baseOpacity) / (1 - baseOpacity || 1);
+        mesh.material.color.setHex(baseColor).lerp(instrumentGlowColor.setHex(hitColor), Math.min(1, glow * 2));
         if (mesh.scale.x > 1.0) {
             mesh.scale.lerp(new THREE.Vector3(1, 1, 1), 0.1);
         }
@@ -443,155 +844,858 @@ function animate() {
     // Animate Particles
     if (particlesMesh) {
         const time = performance.now() * 0.001;
-        const positions = particlesMesh.geometry.attributes.position.array;
-
-        for (let i = 0; i < PARTICLE_COUNT; i++) {
-            const i3 = i * 3;
-            const pData = particlesData[i];
-
-            // Current pos
-            let vx = positions[i3];
-            let vy = positions[i3 + 1];
-            let vz = positions[i3 + 2];
-
-            // Wavy chaotic movement
-            vx += Math.sin(time + pData.phase) * 0.01;
-            vy += Math.cos(time + pData.phase * 0.5) * 0.01;
-
-            // Return to original slowly
-            vx += (pData.originalPos.x - vx) * 0.001;
-            vy += (pData.originalPos.y - vy) * 0.001;
-            vz += (pData.originalPos.z - vz) * 0.001;
-
-            // Interaction with Hands (Fingertips specifically)
-            const fingertipIndices = [4, 8, 12, 16, 20]; // Thumb, Index, Middle, Ring, Pinky
-
-            activeHands.forEach(hand => {
-                if (hand.gesture === "None") return;
-
-                fingertipIndices.forEach(fingerIdx => {
-                    const fingerPos = hand.joints[fingerIdx];
-
-                    const distToHand = Math.sqrt(
-                        Math.pow(vx - fingerPos.x, 2) +
-                        Math.pow(vy - fingerPos.y, 2) +
-                        Math.pow(vz - fingerPos.z, 2)
-                    );
-
-                    if (distToHand < 4) {
-                        // Less force per finger so it doesn't explode instantly
-                        let force = (4 - distToHand) * 0.02;
-
-                        if (hand.gesture === "Closed_Fist") {
-                            // Attract to knuckles basically
-                            vx -= (vx - fingerPos.x) * force * 0.1;
-                            vy -= (vy - fingerPos.y) * force * 0.1;
-                            vz -= (vz - fingerPos.z) * force * 0.1;
-                        } else if (hand.gesture === "Open_Palm") {
-                            // Repel strongly from fingertips
-                            vx += (vx - fingerPos.x) * force;
-                            vy += (vy - fingerPos.y) * force;
-                            vz += (vz - fingerPos.z) * force;
-                        } else {
-                            // Swirl around fingertips
-                            const rx = -(vy - fingerPos.y);
-                            const ry = (vx - fingerPos.x);
-                            vx += rx * force * 0.3;
-                            vy += ry * force * 0.3;
-                        }
-                    }
-                });
-            });
+        const dt = lastAnimateTime ? time - lastAnimateTime : 0;
+        lastAnimateTime = time;
+        const audio = audioReactor ? audioReactor.modulation(audioMappings) : { size: 0, color: 0, burst: 0, rotation: 0 };
+
+        particleSystem.setModulation({
+            size: 1 + audio.size * 1.5,
+            tint: particleTint.set(0xffffff).lerp(AUDIO_TINT, Math.min(1, audio.color)),
+            burst: audio.burst * 0.15
+        });
+        particleSystem.update(time, engine.particleFingers(performance.now()), collectFormationJoints());
 
-            positions[i3] = vx;
-            positions[i3 + 1] = vy;
-            positions[i3 + 2] = vz;
+        // Slowly rotate the whole scene for ambient effect (faster when it's loud);
+        // text, images and the hand silhouette ease back to facing the camera instead
+        if (particleFormation.rotate === false) {
+            particleRotationTime *= 0.95;
+        } else {
+            particleRotationTime += dt * (1 + audio.rotation * 3);
         }
+        particlesMesh.rotation.y = particleRotationTime * 0.1;
+        particlesMesh.rotation.z = particleRotationTime * 0.05;
+    }
+
+    renderer.render(scene, camera);
+}
+
+// Joints of the first tracked hand, flattened for the hand silhouette formation
+function collectFormationJoints() {
+    if (particleFormation.kind !== 'hand') return null;
+    const hand = engine.hands.hands.find(h => h.gesture !== "None");
+    if (!hand) return null;
 
-        particlesMesh.geometry.attributes.position.needsUpdate = true;
+    const joints = new Float32Array(21 * 3);
+    hand.joints.forEach(({ x, y, z }, i) => joints.set([x, y, z], i * 3));
+    return joints;
+}
 
-        // Slowly rotate the whole scene for ambient effect
-        particlesMesh.rotation.y = time * 0.1;
-        particlesMesh.rotation.z = time * 0.05;
+// Every hit that got past the engine's retrigger guard: fingertips, keyboard and jam partners
+function handleInstrumentHit({ id, time, velocity, source }) {
+    const mesh = instrumentMeshes.find(m => m.userData.id === id);
+    if (!mesh) return;
+    // Hits played on this machine are shared with the jam and recorded; partners' hits
+    // are only heard (each player records their own part)
+    const local = source !== 'remote';
+    if (local && jamSession) jamSession.sendHit(id, currentLayoutName, velocity);
+
+    // While the arpeggiator runs, pitched keys hand their chord to it instead of sounding it
+    if (local && arpeggiator && arpeggiator.isRunning && mesh.userData.arpeggio) {
+        arpeggiator.setNotes(mesh.userData.arpeggio, velocity, mesh);
+        flashInstrument(mesh, velocity);
+        return;
     }
 
-    renderer.render(scene, camera);
+    playInstrument(mesh, time, velocity, { record: local });
+    if (local && looper) looper.record(id, mesh.userData.note, velocity, time);
 }
 
-function checkInstrumentCollisions() {
-    const now = Tone.now();
-    // Ensure Tone.js is running (sometimes required in Chrome if AudioContext suspends)
-    if (Tone.context.state !== 'running') {
-        Tone.context.resume();
-    }
-
-    const hitDistance = 0.5; // Reduced significantly since fingers are now smaller and spread correctly
-
-    activeHands.forEach(hand => {
-        if (hand.gesture === "None") return;
-
-        // Check fingertips against instruments
-        const fingertipIndices = [4, 8, 12, 16, 20];
-
-        fingertipIndices.forEach(fingerIdx => {
-            const fingerPos = hand.joints[fingerIdx];
-
-            instrumentMeshes.forEach(mesh => {
-                let isHit = false;
-
-                if (mesh.userData.type === 'piano') {
-                    // Piano keys are rectangular and long. Just check X/Y planar distance to the center.
-                    const dx = Math.abs(fingerPos.x - mesh.position.x);
-                    const dy = Math.abs(fingerPos.y - mesh.position.y);
-                    // keyWidth is 1.6 (from creation logic), height is around 0.5. 
-                    // Give a generous hit box height so users don't have to be pixel-perfect.
-                    if (dx < 0.8 && dy < 1.0) {
-                        isHit = true;
-                    }
-                } else if (mesh.userData.type === 'drum') {
-                    // Drums are circular pads, use 2D planar distance (XY)
-                    const distXY = Math.sqrt(
-                        Math.pow(fingerPos.x - mesh.position.x, 2) +
-                        Math.pow(fingerPos.y - mesh.position.y, 2)
-                    );
-                    if (distXY < 1.6) { // Cylinder radius is 1.6
-                        isHit = true;
-                    }
-                }
-
-                if (isHit) {
-                    triggerInstrument(mesh, now);
-                }
-            });
+// Sound + visuals + MIDI for one hit
+function playInstrument(mesh, time, velocity, { record = true } = {}) {
+    flashInstrument(mesh, velocity);
+
+    // Audio feedback
+    mesh.userData.voice.play(mesh.userData.note, time, velocity);
+    if (midiBridge) midiBridge.playInstrument(mesh.userData.def, velocity, toPerformanceTime(time));
+    if (record) performanceRecorder.record(mesh.userData.def, velocity, time);
+}
+
+// Visual feedback for a hit (local or incoming MIDI); harder hits flash brighter
+function flashInstrument(mesh, velocity = 0.8) {
+    const baseOpacity = mesh.userData.baseOpacity;
+    mesh.material.color.setHex(mesh.userData.hitColor);
+    mesh.material.opacity = baseOpacity + (1 - baseOpacity) * velocity;
+    const scale = 1 + 0.15 * velocity; // Kept small to prevent visual overlapping
+    mesh.scale.set(scale, scale, scale);
+}
+
+// --- LOOPER ---
+function initLooper() {
+    looper = new Looper({
+        bpm: parseInt(loopBpmInput.value, 10) || 100,
+        onPlay: playLoopEvent,
+        onChange: updateLooperStatus
+    });
+    updateLooperStatus();
+}
+
+function playLoopEvent(event, time) {
+    const mesh = instrumentMeshes.find(m => m.userData.id === event.instrumentId);
+    if (!mesh) return; // Recorded with a different layout
+
+    // Loops replay the notes they were recorded with, even after a key or octave change
+    playScheduledNote(mesh, event.note || mesh.userData.note, time, event.velocity);
+}
+
+// Sound + MIDI for a note scheduled ahead on the transport (loop playback, arpeggiator)
+function playScheduledNote(mesh, note, time, velocity) {
+    const def = { ...mesh.userData.def, note };
+    mesh.userData.voice.play(note, time, velocity);
+    if (midiBridge) midiBridge.playInstrument(def, velocity, toPerformanceTime(time));
+    performanceRecorder.record(def, velocity, time);
+    // Sync the flash with when the note is actually heard
+    Tone.getDraw().schedule(() => flashInstrument(mesh, velocity), time);
+}
+
+// --- ARPEGGIATOR ---
+function initArpeggiator() {
+    arpeggiator = new Arpeggiator({
+        pattern: theory.arpPattern,
+        ensureTransport: () => looper.ensureTransport(), // Arpeggiate at the loop's tempo
+        onNote: (midi, time, velocity, mesh) => {
+            const note = midiToNoteName(midi);
+            playScheduledNote(mesh, note, time, velocity);
+            if (looper) looper.record(mesh.userData.id, note, velocity, time);
+        }
+    });
+}
+
+// Runs while any hand holds a gesture bound to the arpeggiator mode
+function updateArpeggiator(nowMs) {
+    if (!arpeggiator) return;
+    if (engine.isModeActive('arpeggiator', 'on', nowMs)) arpeggiator.start();
+    else arpeggiator.stop();
+}
+
+function updateLooperStatus() {
+    loopStatus.innerText = looper.describe();
+    loopStatusDot.classList.toggle("active", looper.isRecording);
+    loopRecordBtn.innerText = looper.isRecording ? "Stop" : "Rec";
+}
+
+loopRecordBtn.addEventListener('click', () => looper && looper.toggleRecording());
+loopUndoBtn.addEventListener('click', () => looper && looper.undoLastLayer());
+loopClearBtn.addEventListener('click', () => looper && looper.clear());
+loopExportBtn.addEventListener('click', () => {
+    if (looper) downloadJSON(looper.toJSON(), `loop-${Date.now()}.json`);
+});
+loopBpmInput.addEventListener('change', () => {
+    const bpm = Math.max(40, Math.min(240, parseInt(loopBpmInput.value, 10) || 100));
+    loopBpmInput.value = bpm;
+    if (looper) looper.setTempo(bpm);
+});
+
+loopFileInput.addEventListener('change', async () => {
+    const file = loopFileInput.files[0];
+    if (!file || !looper) return;
+
+    try {
+        looper.load(JSON.parse(await file.text()));
+        loopBpmInput.value = looper.bpm;
+    } catch (err) {
+        console.error("Error loading loop:", err);
+        alert("Could not load loop: " + err.message);
+    }
+    loopFileInput.value = '';
+});
+
+// --- PARTICLE FORMATIONS ---
+function buildFormation(name) {
+    const count = particleSystem.count;
+    switch (name) {
+        case 'sphere': return sphereFormation(count);
+        case 'torus': return torusFormation(count);
+        case 'spiral': return spiralFormation(count);
+        case 'hand': return { kind: 'hand', rotate: false };
+        default: return { kind: 'cloud' };
+    }
+}
+
+function applyFormation(formation, name) {
+    particleFormation = formation;
+    particleFormationName = name;
+    particleSystem.setFormation(formation);
+    formationSelect.value = name;
+}
+
+function setFormation(name) {
+    if (!particleSystem) return;
+    applyFormation(buildFormation(name), name);
+}
+
+function nextFormation() {
+    const index = FORMATION_CYCLE.indexOf(particleFormationName);
+    setFormation(FORMATION_CYCLE[(index + 1) % FORMATION_CYCLE.length]);
+}
+
+formationSelect.addEventListener('change', () => {
+    if (!particleSystem) return;
+    const name = formationSelect.value;
+
+    if (name === 'text') {
+        const text = prompt("Text for the particles to spell:", "HELLO");
+        formationSelect.value = particleFormationName;
+        // Whitespace-only text has no outline to sample, and textFormation throws
+        if (text && text.trim()) {
+            try {
+                applyFormation(textFormation(particleSystem.count, text), 'text');
+            } catch (err) {
+                console.error("Error building text formation:", err);
+                alert("Could not use text: " + err.message);
+            }
+        }
+    } else if (name === 'image') {
+        // Stays on the current formation until an image is actually chosen
+        formationSelect.value = particleFormationName;
+        formationFileInput.click();
+    } else {
+        setFormation(name);
+    }
+    formationSelect.blur();
+});
+
+formationFileInput.addEventListener('change', async () => {
+    const file = formationFileInput.files[0];
+    if (!file || !particleSystem) return;
+
+    const url = URL.createObjectURL(file);
+    try {
+        applyFormation(await imageFormation(particleSystem.count, url), 'image');
+    } catch (err) {
+        console.error("Error loading formation image:", err);
+        alert("Could not use image: " + err.message);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+    formationFileInput.value = '';
+});
+
+// --- GESTURE BINDINGS PANEL ---
+function setGestureBindings(bindings) {
+    gestureBindings = bindings;
+    gestureMapper.setBindings(bindings);
+    saveBindings(localStorage, BINDINGS_KEY, bindings);
+}
+
+const bindingsPanel = createBindingsPanel(bindingsPanelEl, {
+    getBindings: () => gestureBindings,
+    getGestures: availableGestures,
+    onChange: setGestureBindings,
+    onReset: () => setGestureBindings(DEFAULT_BINDINGS.map(binding => ({ ...binding })))
+});
+
+bindingsToggleBtn.addEventListener('click', () => {
+    bindingsPanelEl.classList.toggle('hidden');
+});
+
+// --- CUSTOM POSES ---
+function startPoseRecording(label) {
+    const validated = validatePoseLabel(label, [...GESTURES, ...MOTION_GESTURES]);
+    const now = performance.now();
+    poseRecording = { label: validated, startAt: now + POSE_RECORDING.delayMs, nextAt: now + POSE_RECORDING.delayMs, taken: 0 };
+}
+
+// Samples the lead hand at a fixed interval once the get-ready delay has passed
+function recordPoseExample(hand, now) {
+    if (hand && now >= poseRecording.nextAt) {
+        poseClassifier.addExample(poseRecording.label, hand.landmarks);
+        poseRecording.taken++;
+        poseRecording.nextAt = now + POSE_RECORDING.intervalMs;
+    }
+    if (poseRecording.taken >= POSE_RECORDING.samples) {
+        poseRecording = null;
+        posesChanged();
+    } else {
+        posesPanel.renderStatus();
+    }
+}
+
+function poseRecordingStatus() {
+    if (!poseRecording) return null;
+    const label = poseRecording.label.replace(/_/g, ' ');
+    const wait = poseRecording.startAt - performance.now();
+    return {
+        label: poseRecording.label,
+        status: wait > 0
+            ? `Get ready to show "${label}"… ${Math.ceil(wait / 1000)}`
+            : `Recording "${label}": ${poseRecording.taken} / ${POSE_RECORDING.samples}`
+    };
+}
+
+// Trained labels are bindable gestures, so the mapper and bindings editor follow them;
+// bindings to a deleted pose go with it
+function posesChanged() {
+    savePoseClassifier(localStorage, POSES_KEY, poseClassifier);
+    const gestures = availableGestures();
+    gestureMapper.setGestures(gestures);
+    const bindings = gestureBindings.filter(binding => gestures.includes(binding.gesture));
+    if (bindings.length !== gestureBindings.length) setGestureBindings(bindings);
+    bindingsPanel.render();
+    posesPanel.render();
+}
+
+const posesPanel = createPosesPanel(posesPanelEl, {
+    getPoses: () => Object.entries(poseClassifier.counts()).map(([label, count]) => ({ label, count })),
+    getRecording: poseRecordingStatus,
+    onRecord: startPoseRecording,
+    onCancel: () => {
+        poseRecording = null;
+        posesChanged();
+    },
+    onDelete: (label) => {
+        poseClassifier.removeLabel(label);
+        posesChanged();
+    }
+});
+
+posesToggleBtn.addEventListener('click', () => {
+    posesPanelEl.classList.toggle('hidden');
+});
+
+// --- SOUNDS ---
+// Instruments start on their layout preset; assigned patches / samples replace the
+// voice once loaded (samples come from IndexedDB asynchronously)
+function applySoundAssignments(filter = () => true) {
+    instrumentMeshes.filter(filter).forEach(async mesh => {
+        const ref = soundLibrary.getAssignment(currentLayoutName, mesh.userData.id);
+        try {
+            const voice = await soundLibrary.createVoice(ref, mesh.userData.def, effectsRack.input);
+            // The layout may have changed while a sample was loading
+            if (!instrumentMeshes.includes(mesh)) {
+                voice.dispose();
+                return;
+            }
+            mesh.userData.voice.dispose();
+            mesh.userData.voice = voice;
+        } catch (err) {
+            console.error(`Could not load sound for "${mesh.userData.id}":`, err);
+        }
+    });
+}
+
+function usesSound(mesh, kind, name) {
+    const ref = soundLibrary.getAssignment(currentLayoutName, mesh.userData.id);
+    return ref && ref.kind === kind && ref.name === name;
+}
+
+// Audio files become samples (auto-assigned to instruments with a matching name /
+// id / note); .json files are patch collections
+async function importSoundFiles(files) {
+    for (const file of files) {
+        try {
+            if (file.name.endsWith('.json')) {
+                soundLibrary.importPatches(JSON.parse(await file.text()));
+                continue;
+            }
+            if (!file.type.startsWith('audio/')) continue;
+
+            const name = await soundLibrary.addSampleFile(file);
+            const match = instrumentMeshes.find(mesh => [mesh.userData.def.name, mesh.userData.id, mesh.userData.baseNote]
+                .some(key => typeof key === 'string' && key.toLowerCase() === name.toLowerCase()));
+            if (match) {
+                soundLibrary.assign(currentLayoutName, match.userData.id, { kind: 'sample', name });
+                applySoundAssignments(mesh => mesh === match);
+            }
+        } catch (err) {
+            console.error("Error importing sound:", err);
+            alert(`Could not import "${file.name}": ${err.message}`);
+        }
+    }
+    soundsPanel.render();
+}
+
+const soundsPanel = createSoundsPanel(soundsPanelEl, {
+    library: soundLibrary,
+    getInstruments: () => instrumentMeshes.map(mesh => ({
+        id: mesh.userData.id,
+        label: mesh.userData.def.name || [].concat(mesh.userData.baseNote).join(' '),
+        ref: soundLibrary.getAssignment(currentLayoutName, mesh.userData.id)
+    })),
+    onAssign: (id, ref) => {
+        soundLibrary.assign(currentLayoutName, id, ref);
+        applySoundAssignments(mesh => mesh.userData.id === id);
+    },
+    onSavePatch: (name, patch) => {
+        try {
+            soundLibrary.savePatch(name, patch);
+        } catch (err) {
+            alert("Could not save patch: " + err.message);
+            return;
+        }
+        applySoundAssignments(mesh => usesSound(mesh, 'patch', name));
+        soundsPanel.render();
+    },
+    onDeletePatch: name => {
+        const affected = instrumentMeshes.filter(mesh => usesSound(mesh, 'patch', name));
+        soundLibrary.deletePatch(name);
+        applySoundAssignments(mesh => affected.includes(mesh));
+        soundsPanel.render();
+    },
+    onImportFiles: importSoundFiles,
+    onDeleteSample: async name => {
+        const affected = instrumentMeshes.filter(mesh => usesSound(mesh, 'sample', name));
+        await soundLibrary.deleteSample(name);
+        applySoundAssignments(mesh => affected.includes(mesh));
+        soundsPanel.render();
+    },
+    onExportPatches: () => downloadJSON(soundLibrary.exportPatches(), 'patches.json')
+});
+
+soundLibrary.refreshSamples().then(() => soundsPanel.render());
+
+soundsToggleBtn.addEventListener('click', () => {
+    soundsPanelEl.classList.toggle('hidden');
+});
+
+// Drop samples / patch files anywhere on the page
+window.addEventListener('dragover', (e) => {
+    if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+});
+
+window.addEventListener('drop', (e) => {
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    importSoundFiles([...e.dataTransfer.files]);
+});
+
+// --- JAM SESSION ---
+function defaultJamUrl() {
+    return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.hostname || 'localhost'}:8787`;
+}
+
+function loadJamConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(JAM_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+const jamConfig = loadJamConfig();
+jamUrlInput.value = jamConfig.url || defaultJamUrl();
+jamRoomInput.value = jamConfig.room || 'jam';
+
+function renderJamStatus(text, ok) {
+    if (jamSession && jamSession.connected) {
+        const players = jamSession.peers.size + 1;
+        const sync = jamSession.clock.synced ? `, ${Math.round(jamSession.clock.rtt)} ms` : '';
+        text = `"${jamSession.room}": ${players} player${players === 1 ? '' : 's'}${sync}`;
+        ok = true;
+    }
+    jamStatus.innerText = text;
+    jamStatusDot.classList.toggle('active', Boolean(ok));
+}
+
+// Remote skeletons are matched to ghost meshes by index and drawn, never collided
+// (each player's own browser detects its hits and shares them)
+function updateRemoteHands(peerId, hands) {
+    const entry = remoteHands.get(peerId) || { hands: [], seenAt: 0 };
+    while (entry.hands.length > hands.length) handMeshes.dispose(entry.hands.pop().mesh);
+    if (hands.length === 0) {
+        remoteHands.delete(peerId);
+        return;
+    }
+    if (!handMeshes) return;
+
+    hands.forEach((remote, i) => {
+        const hand = entry.hands[i] || (entry.hands[i] = {
+            joints: Array.from({ length: LANDMARK_COUNT }, () => new THREE.Vector3()),
+            handedness: remote.handedness,
+            ghost: true,
+            lostSince: null,
+            mesh: handMeshes.create()
         });
+        hand.handedness = remote.handedness;
+        remote.joints.slice(0, LANDMARK_COUNT).forEach((joint, j) => hand.joints[j].set(joint.x, joint.y, joint.z));
+        handMeshes.update(hand.mesh, hand);
     });
+    entry.seenAt = Date.now();
+    remoteHands.set(peerId, entry);
 }
 
-function triggerInstrument(mesh, time) {
-    const id = mesh.userData.id;
-    // Faster debounce (150ms) to prevent "sticky" feeling but fast enough for repeated hits
-    if (time - lastHitTimes[id] > 0.15) {
-        lastHitTimes[id] = time;
+function expireRemoteHands(now) {
+    remoteHands.forEach((entry, peerId) => {
+        if (now - entry.seenAt > REMOTE_HAND_TIMEOUT_MS) updateRemoteHands(peerId, []);
+    });
+}
 
-        // Visual feedback
-        mesh.material.color.setHex(mesh.userData.hitColor);
-        mesh.material.opacity = 0.8;
-        mesh.scale.set(1.1, 1.1, 1.1); // Reduced from 1.2 to prevent visual overlapping triggering more hits
+// Remote hits are scheduled on the shared clock; they only apply when both players
+// have the same layout loaded
+function playRemoteHit(peerId, { instrumentId, layout, velocity, delayMs }) {
+    if (!isExperienceStarted || layout !== currentLayoutName) return;
+    engine.hit(instrumentId, { time: Tone.now() + delayMs / 1000, velocity, source: 'remote' });
+}
 
-        // Audio feedback
-        if (mesh.userData.type === 'piano') {
-            pianoSynths[mesh.userData.synthIndex].triggerAttackRelease(mesh.userData.note, "8n", time);
-        } else if (mesh.userData.type === 'drum') {
-            mesh.userData.playSound();
+async function joinJam() {
+    const config = { url: jamUrlInput.value.trim() || defaultJamUrl(), room: jamRoomInput.value.trim() || 'jam' };
+    localStorage.setItem(JAM_KEY, JSON.stringify(config));
+
+    const session = new JamSession({
+        ...config,
+        name: '',
+        onStatus: renderJamStatus,
+        onPeers: () => renderJamStatus(),
+        onSync: () => renderJamStatus(),
+        onHands: updateRemoteHands,
+        onHit: playRemoteHit,
+        onClose: () => {
+            if (jamSession === session) leaveJam(jamStatus.innerText);
         }
+    });
+    jamSession = session;
+    jamToggleBtn.innerText = "Leave Jam";
+
+    try {
+        await session.connect();
+    } catch (err) {
+        console.error("Jam session failed:", err);
+        if (jamSession === session) leaveJam();
+        renderJamStatus(err.message, false);
+    }
+}
+
+function leaveJam(statusText = "Offline") {
+    const session = jamSession;
+    jamSession = null;
+    if (session) session.disconnect();
+    [...remoteHands.keys()].forEach(peerId => updateRemoteHands(peerId, []));
+    jamToggleBtn.innerText = "Join Jam";
+    renderJamStatus(statusText, false);
+}
+
+jamToggleBtn.addEventListener('click', () => {
+    if (jamSession) leaveJam();
+    else joinJam();
+});
+
+// --- SETTINGS ---
+// Push settings into the live config objects and scene; the changed `keys` decide
+// whether the particle system or the tracker has to be recreated
+function applySettings(keys = []) {
+    smoothingConfig.minCutoff = settings['smoothing.minCutoff'];
+    smoothingConfig.beta = settings['smoothing.beta'];
+    smoothingConfig.predictionMs = settings['smoothing.predictionMs'];
+    trackingConfig.lostGraceMs = settings['hands.lostGraceMs'];
+    ['minPressSpeed', 'maxPressSpeed', 'minVelocity', 'exitMargin', 'releaseDepth'].forEach(name => {
+        hitConfig[name] = settings[`hits.${name}`];
+    });
+    engine.retriggerMs = settings['hits.retriggerMs'];
+    gestureMapper.changeThresholdMs = settings['gestures.changeThresholdMs'];
+
+    HAND_COLORS.Left.joint = HAND_COLORS.Left.bone = new THREE.Color(settings['hands.leftColor']).getHex();
+    HAND_COLORS.Right.joint = HAND_COLORS.Right.bone = new THREE.Color(settings['hands.rightColor']).getHex();
+    if (scene) {
+        scene.fog.color.set(settings['scene.fogColor']);
+        scene.fog.density = settings['scene.fogDensity'];
     }
+
+    const rebuilds = new Set(keys.map(key => SETTINGS_SCHEMA[key].rebuild));
+    if (rebuilds.has('particles') && particleSystem) rebuildParticles();
+    if (rebuilds.has('tracking')) restartTracking();
+}
+
+// Recreate the webcam tracker so camera settings take effect. The new tracker starts on
+// its own video element while the old one keeps tracking, and only replaces it once it
+// is up; if it fails the old one simply carries on.
+let trackingRestarts = 0;
+
+async function restartTracking() {
+    if (!inputSource || inputSource.name !== 'mediapipe') return;
+    const restart = ++trackingRestarts;
+    const video = webcamElement.cloneNode(false);
+    video.style.display = "none";
+    webcamElement.after(video);
+    const source = createInputSource('mediapipe', video);
+
+    try {
+        await source.start();
+    } catch (err) {
+        source.stop();
+        video.remove();
+        if (restart !== trackingRestarts) return; // Superseded by a newer restart
+        console.error("Could not restart hand tracking:", err);
+        setInputStatus('camera', "Active", true);
+        setInputStatus('tracker', "Ready (previous settings)", true);
+        alert("Could not apply the camera settings, tracking continues with the previous ones: " + err.message);
+        return;
+    }
+    if (restart !== trackingRestarts) {
+        source.stop();
+        video.remove();
+        return;
+    }
+
+    inputSource.stop();
+    webcamElement.remove();
+    webcamElement = video;
+    inputSource = source;
+    startupSource = source;
+}
+
+function setSettings(next) {
+    const keys = changedSettings(settings, next);
+    settings = next;
+    saveSettings(localStorage, SETTINGS_KEY, settings);
+    if (keys.length > 0) applySettings(keys);
+}
+
+applySettings();
+
+const settingsPanel = createSettingsPanel(settingsPanelEl, {
+    getSettings: () => settings,
+    onChange: (key, value) => {
+        try {
+            setSettings(validateSettings({ ...settings, [key]: value }));
+        } catch (err) {
+            alert(err.message);
+            settingsPanel.render();
+        }
+    }
+});
+
+settingsToggleBtn.addEventListener('click', () => {
+    settingsPanelEl.classList.toggle('hidden');
+});
+
+settingsExportBtn.addEventListener('click', () => {
+    downloadJSON(exportSettings(settings), 'settings.json');
+});
+
+settingsFileInput.addEventListener('change', async () => {
+    const file = settingsFileInput.files[0];
+    if (!file) return;
+
+    try {
+        setSettings(importSettings(JSON.parse(await file.text())));
+        settingsPanel.render();
+    } catch (err) {
+        console.error("Error loading settings:", err);
+        alert("Could not load settings: " + err.message);
+    }
+    settingsFileInput.value = '';
+});
+
+settingsResetBtn.addEventListener('click', () => {
+    setSettings(defaultSettings());
+    settingsPanel.render();
+});
+
+// --- EFFECTS PANEL ---
+const effectsHud = createEffectsHud(effectsHudEl);
+
+function setEffectMappings(mappings) {
+    effectMappings = mappings;
+    saveEffectMappings(localStorage, EFFECT_MAPPINGS_KEY, mappings);
+    if (!effectsRack) return;
+    effectsRack.update(effectMappings);
+    effectsHud.update(effectsRack.values, effectMappings);
+}
+
+const effectsPanel = createEffectsPanel(effectsPanelEl, {
+    getMappings: () => effectMappings,
+    onChange: setEffectMappings
+});
+
+effectsPanelEl.querySelector('.reset-effect-mappings').addEventListener('click', () => {
+    setEffectMappings(JSON.parse(JSON.stringify(DEFAULT_EFFECT_MAPPINGS)));
+    effectsPanel.render();
+});
+
+effectsToggleBtn.addEventListener('click', () => {
+    effectsPanelEl.classList.toggle('hidden');
+});
+
+// --- AUDIO-REACTIVE PANEL ---
+function setAudioMappings(mappings) {
+    audioMappings = mappings;
+    saveAudioMappings(localStorage, AUDIO_MAPPINGS_KEY, mappings);
+}
+
+const audioReactivePanel = createAudioReactivePanel(audioReactivePanelEl, {
+    getMappings: () => audioMappings,
+    onChange: setAudioMappings
+});
+
+audioReactivePanelEl.querySelector('.reset-audio-mappings').addEventListener('click', () => {
+    setAudioMappings(JSON.parse(JSON.stringify(DEFAULT_AUDIO_MAPPINGS)));
+    audioReactivePanel.render();
+});
+
+audioReactiveToggleBtn.addEventListener('click', () => {
+    audioReactivePanelEl.classList.toggle('hidden');
+});
+
+// --- PERFORMANCE EXPORT ---
+perfRecordBtn.addEventListener('click', async () => {
+    if (!isExperienceStarted) return;
+
+    if (performanceRecorder.isRecording) {
+        try {
+            await performanceRecorder.stop();
+        } catch (err) {
+            console.error("Error stopping performance recording:", err);
+            alert("Could not finish the audio recording: " + err.message);
+        }
+        perfRecordBtn.innerText = "Record Performance";
+        perfMidiBtn.disabled = !performanceRecorder.hasData;
+        perfWavBtn.disabled = !performanceRecorder.hasData;
+    } else {
+        try {
+            await performanceRecorder.start();
+        } catch (err) {
+            console.error("Error starting performance recording:", err);
+            alert("Could not start recording: " + err.message);
+            perfRecordBtn.innerText = "Record Performance";
+            perfMidiBtn.disabled = !performanceRecorder.hasData;
+            perfWavBtn.disabled = !performanceRecorder.hasData;
+            return;
+        }
+        perfRecordBtn.innerText = "Stop";
+        perfMidiBtn.disabled = true;
+        perfWavBtn.disabled = true;
+    }
+});
+
+perfMidiBtn.addEventListener('click', () => {
+    try {
+        const midi = performanceRecorder.toMidi(looper ? looper.bpm : 120);
+        downloadBlob(new Blob([midi], { type: 'audio/midi' }), `performance-${Date.now()}.mid`);
+    } catch (err) {
+        console.error("Error writing MIDI file:", err);
+        alert("Could not write MIDI file: " + err.message);
+    }
+});
+
+perfWavBtn.addEventListener('click', async () => {
+    try {
+        const wav = await performanceRecorder.toWav();
+        downloadBlob(new Blob([wav], { type: 'audio/wav' }), `performance-${Date.now()}.wav`);
+    } catch (err) {
+        console.error("Error rendering WAV:", err);
+        alert("Could not render WAV: " + err.message);
+    }
+});
+
+// --- MIDI ---
+function loadMidiConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(MIDI_CONFIG_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+async function enableMidi() {
+    midiBridge = new MidiBridge({
+        config: loadMidiConfig(),
+        onNote: handleIncomingMidiNote,
+        onDevicesChanged: populateMidiDevices
+    });
+
+    try {
+        populateMidiDevices(await midiBridge.init());
+    } catch (err) {
+        console.error("MIDI unavailable:", err);
+        midiEnableBtn.innerText = "MIDI Unavailable";
+        midiBridge = null;
+        return;
+    }
+
+    const config = midiBridge.config;
+    midiNoteChannelInput.value = config.noteChannel;
+    midiDrumChannelInput.value = config.drumChannel;
+    midiCcInput.value = config.controlNumber;
+    midiEnableBtn.classList.add('hidden');
+    midiSettings.classList.remove('hidden');
+}
+
+function populateMidiDevices({ outputs, inputs }) {
+    const fill = (select, ports, selectedId) => {
+        select.innerHTML = '<option value="">None</option>';
+        ports.forEach(port => {
+            const option = document.createElement('option');
+            option.value = port.id;
+            option.textContent = port.name;
+            select.appendChild(option);
+        });
+        select.value = ports.some(port => port.id === selectedId) ? selectedId : '';
+    };
+    fill(midiOutputSelect, outputs, midiBridge.config.outputId);
+    fill(midiInputSelect, inputs, midiBridge.config.inputId);
+}
+
+function updateMidiConfig() {
+    const channel = input => Math.max(1, Math.min(16, parseInt(input.value, 10) || 1));
+    midiBridge.configure({
+        outputId: midiOutputSelect.value || null,
+        inputId: midiInputSelect.value || null,
+        noteChannel: channel(midiNoteChannelInput),
+        drumChannel: channel(midiDrumChannelInput),
+        controlChannel: channel(midiNoteChannelInput),
+        controlNumber: Math.max(0, Math.min(127, parseInt(midiCcInput.value, 10) || 0))
+    });
+    localStorage.setItem(MIDI_CONFIG_KEY, JSON.stringify(midiBridge.config));
+}
+
+// Light up whichever instrument plays the incoming note (no sound, to avoid doubling the DAW)
+function handleIncomingMidiNote(note, velocity, channel) {
+    const isDrumChannel = channel === midiBridge.config.drumChannel;
+    instrumentMeshes.forEach(mesh => {
+        const def = mesh.userData.def;
+        if ((def.type === 'drum') !== isDrumChannel) return;
+        if (instrumentMidiNotes(def).includes(note)) flashInstrument(mesh, velocity);
+    });
+}
+
+midiEnableBtn.addEventListener('click', enableMidi);
+[midiOutputSelect, midiInputSelect, midiNoteChannelInput, midiDrumChannelInput, midiCcInput].forEach(el => {
+    el.addEventListener('change', updateMidiConfig);
+});
+
+function toggleSessionRecording() {
+    if (inputSource instanceof RecordedSource) return;
+
+    if (sessionRecorder.isRecording) {
+        sessionRecorder.stop();
+        sessionRecorder.download();
+        recStatus.innerText = "Off";
+        recStatusDot.classList.remove("active");
+    } else {
+        sessionRecorder.start(Date.now());
+        recStatus.innerText = "Recording";
+        recStatusDot.classList.add("active");
+    }
+}
+
+// Shortcuts stay out of the way while typing in panel fields (pose names, settings, ...)
+function isTypingTarget(target) {
+    return !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
 }
 
 // Debug manual trigger for testing audio
 window.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e.target)) return;
+    if (e.key === 'r' && isExperienceStarted) {
+        toggleSessionRecording();
+        return;
+    }
+    if (e.key === 'l' && looper) {
+        looper.toggleRecording();
+        return;
+    }
+    if (e.key === 'c' && isExperienceStarted) {
+        if (calibrationSession) stopCalibration();
+        else startCalibration();
+        return;
+    }
+    if (e.key === 'Escape' && calibrationSession) {
+        stopCalibration();
+        return;
+    }
+
     if (e.key >= '1' && e.key <= '8') {
         const idx = parseInt(e.key) - 1;
-        const mesh = instrumentMeshes.find(m => m.userData.id === `piano_${idx}`);
-        if (mesh) triggerInstrument(mesh, Tone.now());
+        const mesh = instrumentMeshes[idx];
+        if (mesh) engine.hit(mesh.userData.id, { velocity: 0.8, source: 'keyboard' });
     }
 });
@@ -0,0 +1,59 @@
+// Offline cache. Everything the app fetches (page, bundles, MediaPipe WASM and model,
+// fonts) is cached as it loads, so after one online visit the app also starts offline.
+//   pages: network first, cached copy when offline
+//   hashed / versioned files (assets/, mediapipe/<version>/): cache first
+//   everything else: cached copy immediately, refreshed in the background
+const CACHE = 'gesture-particles-v1';
+const CACHED_ORIGINS = [self.location.origin, 'https://storage.googleapis.com', 'https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+const IMMUTABLE = /\/assets\/|\/mediapipe\/\d[^/]*\/wasm\//;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        return await fetchAndCache(request);
+    } catch (err) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function cacheFirst(request) {
+    return (await caches.match(request)) || fetchAndCache(request);
+}
+
+async function staleWhileRevalidate(event) {
+    const cached = await caches.match(event.request);
+    const refresh = fetchAndCache(event.request);
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !CACHED_ORIGINS.includes(url.origin)) return;
+
+    if (request.mode === 'navigate') event.respondWith(networkFirst(request));
+    else if (IMMUTABLE.test(url.pathname)) event.respondWith(cacheFirst(request));
+    else event.respondWith(staleWhileRevalidate(event));
+});
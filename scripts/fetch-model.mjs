@@ -0,0 +1,26 @@
+// Downloads the gesture recognizer model into public/ so it is self-hosted
+// (served by the dev server and copied into builds). Usage: npm run fetch-model
+// With --if-missing an existing model is kept; `npm run build` runs it that way first.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MODEL_URL = "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task";
+const target = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'mediapipe', 'models', 'gesture_recognizer.task');
+
+if (process.argv.includes('--if-missing')) {
+    const existing = await fs.stat(target).catch(() => null);
+    if (existing && existing.size > 0) {
+        console.log(`Using ${path.relative(process.cwd(), target)}`);
+        process.exit(0);
+    }
+}
+
+const response = await fetch(MODEL_URL);
+if (!response.ok) {
+    console.error(`Download failed: ${response.status} ${response.statusText}`);
+    process.exit(1);
+}
+await fs.mkdir(path.dirname(target), { recursive: true });
+await fs.writeFile(target, Buffer.from(await response.arrayBuffer()));
+console.log(`Saved ${path.relative(process.cwd(), target)}`);
@@ -0,0 +1,103 @@
+// Jam session relay: a dependency-free WebSocket server that groups browsers into
+// rooms and forwards their messages to everyone else in the room. It also answers
+// clock-sync pings with its own time so clients can agree on a shared clock.
+//   node server/relay.mjs            (PORT defaults to 8787)
+// Protocol (JSON text frames, see src/network/jamSession.js):
+//   -> { type: 'join', room, name }     <- { type: 'welcome', id, peers: [{ id, name }] }
+//                                        <- { type: 'peerJoined', id, name } / { type: 'peerLeft', id }
+//   -> { type: 'ping', t0 }              <- { type: 'pong', t0, serverTime }
+//   -> { type: 'hands' | 'hit', ... }   -> forwarded to the room as { ...message, from: id }
+// Anything else is dropped, so peers can't impersonate the relay's own messages.
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { OPCODES, encodeFrame, closeFrame, createFrameReader } from './websocket.mjs';
+
+const PORT = Number(process.env.PORT) || 8787;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const FORWARDED_TYPES = new Set(['hands', 'hit']);
+
+const rooms = new Map(); // room -> Set<client>
+let nextClientId = 1;
+
+function send(client, message) {
+    if (client.socket.writable) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+}
+
+function broadcast(client, message) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+    room.forEach(peer => {
+        if (peer !== client) send(peer, message);
+    });
+}
+
+function leave(client) {
+    const room = rooms.get(client.room);
+    if (!room || !room.delete(client)) return;
+    if (room.size === 0) rooms.delete(client.room);
+    broadcast(client, { type: 'peerLeft', id: client.id });
+    console.log(`${client.name} (#${client.id}) left "${client.room}"`);
+}
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    if (message.type === 'ping') {
+        send(client, { type: 'pong', t0: message.t0, serverTime: performance.timeOrigin + performance.now() });
+    } else if (message.type === 'join') {
+        if (client.room) leave(client);
+        client.room = String(message.room || 'default');
+        client.name = String(message.name || `Player ${client.id}`).slice(0, 40);
+        const room = rooms.get(client.room) || new Set();
+        rooms.set(client.room, room);
+        send(client, { type: 'welcome', id: client.id, peers: [...room].map(peer => ({ id: peer.id, name: peer.name })) });
+        room.add(client);
+        broadcast(client, { type: 'peerJoined', id: client.id, name: client.name });
+        console.log(`${client.name} (#${client.id}) joined "${client.room}" (${room.size} in room)`);
+    } else if (client.room && FORWARDED_TYPES.has(message.type)) {
+        broadcast(client, { ...message, from: client.id });
+    }
+}
+
+// `head` is whatever the client sent after its upgrade request in the same packet(s)
+function accept(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const acceptKey = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = { id: nextClientId++, socket, room: null, name: null };
+    const reader = createFrameReader({
+        onText: text => handleMessage(client, text),
+        onPing: payload => socket.write(encodeFrame(OPCODES.pong, payload)),
+        onClose: (code, reason) => socket.end(closeFrame(code, reason))
+    });
+
+    socket.on('data', reader.push);
+    if (head && head.length > 0) reader.push(head);
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`Gesture Particles jam relay: ${rooms.size} room(s)\n`);
+});
+server.on('upgrade', accept);
+server.listen(PORT, () => console.log(`Jam relay listening on ws://localhost:${PORT}`));
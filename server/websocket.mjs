@@ -0,0 +1,124 @@
+// Just enough of RFC 6455 for the jam relay: server-side frame encoding, and a reader
+// that turns a client's byte stream back into text messages. Kept apart from the
+// server so it can be tested without opening a port.
+
+export const MAX_PAYLOAD = 1 << 20; // Per message, across all of its fragments
+
+export const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+export const CLOSE_CODES = { normal: 1000, protocolError: 1002, messageTooBig: 1009 };
+
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function protocolError(message, closeCode) {
+    return Object.assign(new Error(message), { closeCode });
+}
+
+// Close frame payload: 2-byte status code + UTF-8 reason
+export function closeFrame(code, reason = '') {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    return encodeFrame(OPCODES.close, payload);
+}
+
+// Pulls complete frames off the front of `buffer`; returns { frames, rest }.
+// Throws (with a closeCode) on frames a client must never send.
+export function decodeFrames(buffer, maxPayload = MAX_PAYLOAD) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7f;
+        let cursor = offset + 2;
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        if (length > maxPayload) throw protocolError("Frame too large", CLOSE_CODES.messageTooBig);
+        // RFC 6455 5.1: every client-to-server frame is masked
+        if ((second & 0x80) === 0) throw protocolError("Unmasked client frame", CLOSE_CODES.protocolError);
+        if (buffer.length < cursor + 4) break;
+        const mask = buffer.subarray(cursor, cursor + 4);
+        cursor += 4;
+        if (buffer.length < cursor + length) break;
+
+        const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+        offset = cursor + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// Feed it the client's bytes as they arrive with push(chunk). Complete (reassembled)
+// text messages go to onText, pings to onPing; onClose(code, reason) is called once,
+// when the client closes or breaks the protocol, and everything after is ignored.
+export function createFrameReader({ onText, onPing = () => {}, onClose, maxPayload = MAX_PAYLOAD }) {
+    let pending = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentsLength = 0;
+    let closed = false;
+
+    function close(code, reason) {
+        closed = true;
+        onClose(code, reason);
+    }
+
+    function push(chunk) {
+        if (closed) return;
+        let decoded;
+        try {
+            decoded = decodeFrames(Buffer.concat([pending, chunk]), maxPayload);
+        } catch (err) {
+            close(err.closeCode || CLOSE_CODES.protocolError, err.message);
+            return;
+        }
+        pending = decoded.rest;
+
+        for (const { fin, opcode, payload } of decoded.frames) {
+            if (opcode === OPCODES.close) {
+                close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal, '');
+            } else if (opcode === OPCODES.ping) {
+                onPing(payload);
+            } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+                fragmentsLength += payload.length;
+                if (fragmentsLength > maxPayload) {
+                    close(CLOSE_CODES.messageTooBig, "Message too large");
+                } else {
+                    fragments.push(payload);
+                    if (!fin) continue;
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    fragmentsLength = 0;
+                    onText(text);
+                }
+            }
+            if (closed) return;
+        }
+    }
+
+    return { push };
+}
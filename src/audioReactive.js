@@ -0,0 +1,125 @@
+import * as Tone from 'tone';
+
+// --- AUDIO-REACTIVE ANALYSIS ---
+// Taps the Tone.js master output with an FFT analyser and a meter and turns
+// them into normalized features each frame:
+//   { bass, mid, treble, level, onset } all in 0..1
+// `onset` is a decaying envelope that jumps on sudden spectral energy rises
+// (drum hits). Mappings decide which feature drives which visual target.
+
+export const AUDIO_SOURCES = ['none', 'bass', 'mid', 'treble', 'level', 'onset'];
+
+export const AUDIO_TARGETS = {
+    size: { label: "Particle size" },
+    color: { label: "Color tint" },
+    burst: { label: "Emission burst" },
+    rotation: { label: "Scene rotation" }
+};
+
+export const DEFAULT_AUDIO_MAPPINGS = {
+    size: { source: 'bass', amount: 1.0 },
+    color: { source: 'treble', amount: 0.8 },
+    burst: { source: 'onset', amount: 1.0 },
+    rotation: { source: 'level', amount: 1.0 }
+};
+
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 10000]
+};
+
+const ONSET_THRESHOLD = 0.08; // Minimum rise in mean spectrum (0..1 units) to count as an onset
+const ONSET_DECAY = 0.85;
+const BAND_SMOOTHING = 0.6;
+
+// dB -> 0..1 over a useful range
+function normalizeDb(db, floor) {
+    if (!Number.isFinite(db)) return 0;
+    return Math.max(0, Math.min(1, (db - floor) / -floor));
+}
+
+export class AudioReactor {
+    constructor({ fftSize = 512 } = {}) {
+        this.analyser = new Tone.Analyser('fft', fftSize);
+        this.meter = new Tone.Meter({ smoothing: 0.8 });
+        Tone.getDestination().connect(this.analyser);
+        Tone.getDestination().connect(this.meter);
+
+        this.features = { bass: 0, mid: 0, treble: 0, level: 0, onset: 0 };
+        this.previousSpectrum = null;
+    }
+
+    // Call once per frame; returns the latest features
+    update() {
+        const spectrum = this.analyser.getValue();
+        const nyquist = Tone.getContext().sampleRate / 2;
+        const binWidth = nyquist / spectrum.length;
+        const normalized = Array.from(spectrum, db => normalizeDb(db, -100));
+
+        Object.entries(BANDS).forEach(([band, [low, high]]) => {
+            const from = Math.max(0, Math.floor(low / binWidth));
+            const to = Math.min(normalized.length - 1, Math.ceil(high / binWidth));
+            let sum = 0;
+            for (let i = from; i <= to; i++) sum += normalized[i];
+            const energy = sum / Math.max(1, to - from + 1);
+            this.features[band] = this.features[band] * BAND_SMOOTHING + energy * (1 - BAND_SMOOTHING);
+        });
+
+        // Spectral flux: total positive change since the previous frame
+        let flux = 0;
+        if (this.previousSpectrum) {
+            for (let i = 0; i < normalized.length; i++) {
+                flux += Math.max(0, normalized[i] - this.previousSpectrum[i]);
+            }
+            flux /= normalized.length;
+        }
+        this.previousSpectrum = normalized;
+
+        const onset = flux > ONSET_THRESHOLD ? Math.min(1, flux / (ONSET_THRESHOLD * 3)) : 0;
+        this.features.onset = Math.max(this.features.onset * ONSET_DECAY, onset);
+
+        this.features.level = normalizeDb(this.meter.getValue(), -60);
+        return this.features;
+    }
+
+    // Resolve mappings into per-target amounts (0 when unmapped)
+    modulation(mappings) {
+        const result = {};
+        Object.keys(AUDIO_TARGETS).forEach(target => {
+            const mapping = mappings[target];
+            const value = mapping && mapping.source !== 'none' ? this.features[mapping.source] : 0;
+            result[target] = value * (mapping ? mapping.amount : 0);
+        });
+        return result;
+    }
+
+    dispose() {
+        this.analyser.dispose();
+        this.meter.dispose();
+    }
+}
+
+export function loadAudioMappings(storage, key) {
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        if (stored && typeof stored === 'object') {
+            const mappings = {};
+            Object.keys(AUDIO_TARGETS).forEach(target => {
+                const mapping = stored[target] || DEFAULT_AUDIO_MAPPINGS[target];
+                mappings[target] = {
+                    source: AUDIO_SOURCES.includes(mapping.source) ? mapping.source : 'none',
+                    amount: Number.isFinite(mapping.amount) ? mapping.amount : 1
+                };
+            });
+            return mappings;
+        }
+    } catch (err) {
+        console.warn("Ignoring invalid audio-reactive mappings:", err);
+    }
+    return JSON.parse(JSON.stringify(DEFAULT_AUDIO_MAPPINGS));
+}
+
+export function saveAudioMappings(storage, key, mappings) {
+    storage.setItem(key, JSON.stringify(mappings));
+}
@@ -0,0 +1,53 @@
+import { AUDIO_SOURCES, AUDIO_TARGETS } from './audioReactive.js';
+
+// Editor for audio-reactive mappings: one row per visual target with the
+// driving audio feature and an amount slider. Reports edits via onChange.
+export function createAudioReactivePanel(container, { getMappings, onChange }) {
+    const rows = document.createElement('div');
+    container.appendChild(rows);
+
+    function render() {
+        rows.innerHTML = '';
+        const mappings = getMappings();
+
+        Object.entries(AUDIO_TARGETS).forEach(([target, { label }]) => {
+            const mapping = mappings[target];
+            const row = document.createElement('div');
+            row.className = 'binding-row audio-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const source = document.createElement('select');
+            AUDIO_SOURCES.forEach(option => {
+                const opt = document.createElement('option');
+                opt.value = option;
+                opt.textContent = option;
+                source.appendChild(opt);
+            });
+            source.value = mapping.source;
+
+            const amount = document.createElement('input');
+            amount.type = 'range';
+            amount.min = 0;
+            amount.max = 2;
+            amount.step = 0.05;
+            amount.value = mapping.amount;
+
+            const update = () => {
+                onChange({
+                    ...getMappings(),
+                    [target]: { source: source.value, amount: parseFloat(amount.value) }
+                });
+            };
+            source.addEventListener('change', update);
+            amount.addEventListener('input', update);
+
+            row.append(name, source, amount);
+            rows.appendChild(row);
+        });
+    }
+
+    render();
+    return { render };
+}
@@ -0,0 +1,13 @@
+// Save a Blob (or JSON-serializable data) as a file through a temporary link
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+export function downloadJSON(data, filename) {
+    downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+}
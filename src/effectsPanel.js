@@ -0,0 +1,111 @@
+import { EFFECT_PARAMS, HAND_CONTROLS, CONTROL_SOURCES, CONTROL_HANDS, formatEffectParam } from './effectsRack.js';
+
+const sourceLabel = source => (HAND_CONTROLS[source] ? HAND_CONTROLS[source].label : "Fixed");
+
+// Editor for the master effects rack: one row per effect parameter with the hand
+// control driving it, which hand, and the fixed value used while unmapped.
+export function createEffectsPanel(container, { getMappings, onChange }) {
+    const rows = document.createElement('div');
+    container.appendChild(rows);
+
+    function select(options, value, label = option => option) {
+        const el = document.createElement('select');
+        options.forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option;
+            opt.textContent = label(option);
+            el.appendChild(opt);
+        });
+        el.value = value;
+        return el;
+    }
+
+    function render() {
+        rows.innerHTML = '';
+        const mappings = getMappings();
+
+        Object.entries(EFFECT_PARAMS).forEach(([param, { label }]) => {
+            const mapping = mappings[param];
+            const row = document.createElement('div');
+            row.className = 'binding-row effects-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const source = select(CONTROL_SOURCES, mapping.source, sourceLabel);
+            const hand = select(CONTROL_HANDS, mapping.hand);
+            hand.disabled = !HAND_CONTROLS[mapping.source] || HAND_CONTROLS[mapping.source].twoHanded;
+
+            const value = document.createElement('input');
+            value.type = 'range';
+            value.min = 0;
+            value.max = 1;
+            value.step = 0.01;
+            value.value = mapping.value;
+            value.title = "Value while unmapped";
+            value.disabled = mapping.source !== 'none';
+
+            const update = () => {
+                onChange({
+                    ...getMappings(),
+                    [param]: { source: source.value, hand: hand.value, value: parseFloat(value.value) }
+                });
+            };
+            source.addEventListener('change', () => {
+                update();
+                render();
+            });
+            hand.addEventListener('change', update);
+            value.addEventListener('input', update);
+
+            row.append(name, source, hand, value);
+            rows.appendChild(row);
+        });
+    }
+
+    render();
+    return { render };
+}
+
+// On-screen meters for the hand-controlled parameters; update() is cheap enough to
+// call every frame (rows are only rebuilt when the mapped set changes).
+export function createEffectsHud(container) {
+    let rowsKey = null;
+    let meters = {};
+
+    function update(values, mappings) {
+        const mapped = Object.keys(EFFECT_PARAMS).filter(param => mappings[param].source !== 'none');
+        const key = mapped.map(param => `${param}:${mappings[param].source}:${mappings[param].hand}`).join('|');
+        if (key !== rowsKey) {
+            rowsKey = key;
+            container.innerHTML = '';
+            meters = {};
+            mapped.forEach(param => {
+                const { source, hand } = mappings[param];
+                const row = document.createElement('div');
+                row.className = 'effects-meter';
+                const label = document.createElement('span');
+                label.textContent = `${EFFECT_PARAMS[param].label} ← ${sourceLabel(source)}`
+                    + (HAND_CONTROLS[source].twoHanded || hand === 'lead' ? '' : ` (${hand})`);
+                const bar = document.createElement('div');
+                bar.className = 'effects-meter-bar';
+                const fill = document.createElement('div');
+                bar.appendChild(fill);
+                const value = document.createElement('span');
+                value.className = 'effects-meter-value';
+                row.append(label, bar, value);
+                container.appendChild(row);
+                meters[param] = { fill, value };
+            });
+            container.classList.toggle('hidden', mapped.length === 0);
+        }
+
+        Object.entries(meters).forEach(([param, { fill, value }]) => {
+            const position = values[param] ?? 0;
+            fill.style.width = `${Math.round(position * 100)}%`;
+            value.textContent = formatEffectParam(param, position);
+        });
+    }
+
+    return { update };
+}
@@ -0,0 +1,195 @@
+import * as Tone from 'tone';
+
+// --- MASTER EFFECTS RACK ---
+// Every instrument voice (and the gesture chord synth) plays into `rack.input`:
+//   input -> distortion -> bitcrusher -> filter -> delay -> reverb -> master output
+// Effect parameters are driven by continuous hand controls (all 0..1) via mappings:
+//   { [param]: { source, hand, value } }
+// `source` is a HAND_CONTROLS key or 'none', `hand` picks which hand feeds it
+// ('lead' = first tracked hand) and `value` is the fixed 0..1 position used while the
+// parameter is unmapped. A mapped parameter holds its last value when its hand is lost.
+
+export const HAND_CONTROLS = {
+    palmX: { label: "Palm X" },
+    palmY: { label: "Palm Y" },
+    pinch: { label: "Pinch" },
+    rotation: { label: "Hand rotation" },
+    twoHandDistance: { label: "Two-hand distance", twoHanded: true }
+};
+
+export const CONTROL_SOURCES = ['none', ...Object.keys(HAND_CONTROLS)];
+export const CONTROL_HANDS = ['lead', 'Left', 'Right'];
+
+// World-space ranges mapped onto 0..1 (the default calibration spans x ±15, y ±11.25)
+export const CONTROL_RANGES = {
+    palmX: [-12, 12],
+    palmY: [-9, 9],
+    pinch: [0.15, 1.1], // Thumb–index tip distance over palm length
+    rotation: [-Math.PI / 2, Math.PI / 2], // Palm tilt from upright
+    twoHandDistance: [3, 24]
+};
+
+// min/max are the parameter values at control 0 and 1 ('exp' sweeps evenly in pitch)
+export const EFFECT_PARAMS = {
+    'filter.cutoff': { label: "Filter cutoff", node: 'filter', param: 'frequency', min: 100, max: 18000, curve: 'exp', unit: 'Hz' },
+    'filter.resonance': { label: "Filter resonance", node: 'filter', param: 'Q', min: 0.5, max: 12, unit: 'Q' },
+    'delay.wet': { label: "Delay", node: 'delay', param: 'wet', min: 0, max: 0.8, unit: '%' },
+    'delay.feedback': { label: "Delay feedback", node: 'delay', param: 'feedback', min: 0, max: 0.85, unit: '%' },
+    'reverb.wet': { label: "Reverb", node: 'reverb', param: 'wet', min: 0, max: 1, unit: '%' },
+    'distortion.wet': { label: "Distortion", node: 'distortion', param: 'wet', min: 0, max: 1, unit: '%' },
+    'bitcrusher.wet': { label: "Bitcrusher", node: 'bitcrusher', param: 'wet', min: 0, max: 1, unit: '%' },
+    'bitcrusher.bits': { label: "Bit depth", node: 'bitcrusher', param: 'bits', min: 16, max: 2, unit: 'bits' }
+};
+
+export const DEFAULT_EFFECT_MAPPINGS = {
+    'filter.cutoff': { source: 'palmY', hand: 'lead', value: 1 },
+    'filter.resonance': { source: 'none', hand: 'lead', value: 0.05 },
+    'delay.wet': { source: 'none', hand: 'lead', value: 0 },
+    'delay.feedback': { source: 'none', hand: 'lead', value: 0.45 },
+    'reverb.wet': { source: 'none', hand: 'lead', value: 0 },
+    'distortion.wet': { source: 'none', hand: 'lead', value: 0 },
+    'bitcrusher.wet': { source: 'none', hand: 'lead', value: 0 },
+    'bitcrusher.bits': { source: 'none', hand: 'lead', value: 0.5 }
+};
+
+const clamp01 = v => Math.max(0, Math.min(1, v));
+const normalize = (v, [low, high]) => clamp01((v - low) / (high - low));
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// 0..1 position -> parameter value
+export function effectParamValue(param, position) {
+    const { min, max, curve } = EFFECT_PARAMS[param];
+    const t = clamp01(position);
+    return curve === 'exp' ? min * Math.pow(max / min, t) : min + (max - min) * t;
+}
+
+export function formatEffectParam(param, position) {
+    const value = effectParamValue(param, position);
+    switch (EFFECT_PARAMS[param].unit) {
+        case 'Hz': return value >= 1000 ? `${(value / 1000).toFixed(1)} kHz` : `${Math.round(value)} Hz`;
+        case 'Q': return `Q ${value.toFixed(1)}`;
+        case 'bits': return `${value.toFixed(1)} bits`;
+        default: return `${Math.round(value * 100)}%`;
+    }
+}
+
+// Single-hand controls from world-space joints (hand landmark indices)
+export function handFeatures(joints) {
+    const wrist = joints[0];
+    const palm = joints[9];
+    const palmLength = distance(wrist, palm) || 1;
+    return {
+        palmX: normalize(palm.x, CONTROL_RANGES.palmX),
+        palmY: normalize(palm.y, CONTROL_RANGES.palmY),
+        pinch: normalize(distance(joints[4], joints[8]) / palmLength, CONTROL_RANGES.pinch),
+        rotation: normalize(Math.atan2(palm.x - wrist.x, palm.y - wrist.y), CONTROL_RANGES.rotation)
+    };
+}
+
+// hands: tracked hands in lead order, [{ joints, handedness }]
+// -> { hands: { lead, Left, Right } (features or null), twoHandDistance (0..1 or null) }
+export function readHandControls(hands) {
+    const features = { lead: hands[0] ? handFeatures(hands[0].joints) : null };
+    ['Left', 'Right'].forEach(side => {
+        const hand = hands.find(h => h.handedness === side);
+        features[side] = hand ? handFeatures(hand.joints) : null;
+    });
+    return {
+        hands: features,
+        twoHandDistance: hands.length >= 2
+            ? normalize(distance(hands[0].joints[9], hands[1].joints[9]), CONTROL_RANGES.twoHandDistance)
+            : null
+    };
+}
+
+// Current value of a mapping's control, or null when its hand(s) aren't tracked
+export function controlValue(controls, { source, hand }) {
+    if (!HAND_CONTROLS[source]) return null;
+    if (HAND_CONTROLS[source].twoHanded) return controls.twoHandDistance;
+    const features = controls.hands[hand];
+    return features ? features[source] : null;
+}
+
+export class EffectsRack {
+    constructor(destination = Tone.getDestination()) {
+        this.input = new Tone.Gain();
+        // Insertion order is signal order
+        this.nodes = {
+            distortion: new Tone.Distortion({ distortion: 0.6, wet: 0 }),
+            bitcrusher: new Tone.BitCrusher({ bits: 8, wet: 0 }),
+            filter: new Tone.Filter({ frequency: 18000, type: 'lowpass', rolloff: -24 }),
+            delay: new Tone.FeedbackDelay({ delayTime: '8n', feedback: 0.4, wet: 0 }),
+            reverb: new Tone.Reverb({ decay: 3, wet: 0 })
+        };
+        this.input.chain(...Object.values(this.nodes), destination);
+
+        this.values = {}; // param -> current 0..1 position
+        this.holdUntil = {}; // param -> Tone time until which controls are ignored (sweeps)
+        this.controls = readHandControls([]);
+    }
+
+    set(param, position, rampTime = 0.1) {
+        const { node, param: property } = EFFECT_PARAMS[param];
+        const target = this.nodes[node];
+        const value = effectParamValue(param, position);
+        this.values[param] = clamp01(position);
+        if (target[property] && typeof target[property].rampTo === 'function') target[property].rampTo(value, rampTime);
+        else target[property] = value;
+    }
+
+    // Ramp a parameter over `duration` seconds; hand control resumes afterwards
+    sweep(param, position, duration) {
+        this.set(param, position, duration);
+        this.holdUntil[param] = Tone.now() + duration;
+    }
+
+    // Apply mappings for the latest controls (see readHandControls); returns the
+    // params whose value changed
+    update(mappings, controls = this.controls) {
+        this.controls = controls;
+        const now = Tone.now();
+        const changed = [];
+        Object.keys(EFFECT_PARAMS).forEach(param => {
+            if (now < (this.holdUntil[param] || 0)) return;
+            const mapping = mappings[param];
+            const position = mapping.source === 'none' ? mapping.value : controlValue(controls, mapping);
+            if (position === null || Math.abs(position - (this.values[param] ?? -1)) < 0.002) return;
+            this.set(param, position);
+            changed.push(param);
+        });
+        return changed;
+    }
+
+    dispose() {
+        this.input.dispose();
+        Object.values(this.nodes).forEach(node => node.dispose());
+    }
+}
+
+export function loadEffectMappings(storage, key) {
+    const mappings = JSON.parse(JSON.stringify(DEFAULT_EFFECT_MAPPINGS));
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        if (stored && typeof stored === 'object') {
+            Object.keys(EFFECT_PARAMS).forEach(param => {
+                const mapping = stored[param];
+                if (!mapping) return;
+                mappings[param] = {
+                    source: CONTROL_SOURCES.includes(mapping.source) ? mapping.source : 'none',
+                    hand: CONTROL_HANDS.includes(mapping.hand) ? mapping.hand : 'lead',
+                    value: Number.isFinite(mapping.value) ? clamp01(mapping.value) : mappings[param].value
+                };
+            });
+        }
+    } catch (err) {
+        console.warn("Ignoring invalid effect mappings:", err);
+    }
+    return mappings;
+}
+
+export function saveEffectMappings(storage, key, mappings) {
+    storage.setItem(key, JSON.stringify(mappings));
+}
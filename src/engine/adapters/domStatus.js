@@ -0,0 +1,37 @@
+// --- HAND STATUS (DOM adapter) ---
+// The "Hands" line and current gestures in the status panel, following engine events.
+// Motion gestures are shown next to the held gestures for a moment after they happen.
+
+const MOTION_DISPLAY_MS = 800;
+
+const gestureLabel = gesture => gesture.replace(/_/g, ' ');
+
+export function connectHandStatus(engine, { statusEl, dotEl, gestureEl }) {
+    let lastMotion = null; // { gesture, until }
+
+    function render() {
+        const tracked = engine.hands.tracked;
+        if (tracked.length > 0) {
+            statusEl.innerText = "Detected (" + tracked.length + ")";
+            dotEl.classList.add("active");
+            gestureEl.innerText = tracked
+                .map(hand => (hand.handedness !== "Unknown" ? hand.handedness + ": " : "") + gestureLabel(hand.gesture))
+                .join(', ');
+            if (lastMotion && performance.now() < lastMotion.until) {
+                gestureEl.innerText += " · " + gestureLabel(lastMotion.gesture);
+            }
+        } else {
+            statusEl.innerText = "Not Detected";
+            dotEl.classList.remove("active");
+            gestureEl.innerText = "None";
+        }
+    }
+
+    engine.on('handUpdate', render);
+    engine.on('handRemoved', render);
+    engine.on('motionGesture', ({ gesture }) => {
+        lastMotion = { gesture, until: performance.now() + MOTION_DISPLAY_MS };
+        render();
+    });
+    return { render };
+}
@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+import { LANDMARK_COUNT, FINGERTIP_INDICES, HAND_BONES } from '../../input/handFrame.js';
+
+// --- HAND RENDERING (Three.js adapter) ---
+// Draws each engine hand as joint spheres + bone lines, keeping one mesh per hand id
+// in step with handUpdate / handRemoved. Remote (jam) hands reuse create / update /
+// dispose directly with `ghost: true` hands.
+
+// Joint, fingertip and bone colors per handedness so two hands stay distinguishable
+// (Left / Right joint and bone colors follow the settings)
+export const HAND_COLORS = {
+    Left: { joint: 0x00ffcc, tip: 0xff00ff, bone: 0x00ffcc },
+    Right: { joint: 0xffcc00, tip: 0xff3366, bone: 0xffcc00 },
+    Unknown: { joint: 0xffffff, tip: 0xff00ff, bone: 0xffffff }
+};
+const LOST_HAND_OPACITY = 0.3;
+const GHOST_COLORS = { joint: 0x8899ff, tip: 0xccd4ff, bone: 0x8899ff }; // Remote (jam) players
+const GHOST_OPACITY = 0.35;
+
+export class HandMeshes {
+    constructor(scene) {
+        this.scene = scene;
+        this.meshes = new Map(); // engine hand id -> mesh
+    }
+
+    attach(engine) {
+        engine.on('handUpdate', ({ hands }) => {
+            hands.forEach(hand => {
+                if (!this.meshes.has(hand.id)) this.meshes.set(hand.id, this.create());
+                this.update(this.meshes.get(hand.id), hand);
+            });
+        });
+        engine.on('handRemoved', ({ hand }) => {
+            const mesh = this.meshes.get(hand.id);
+            if (!mesh) return;
+            this.dispose(mesh);
+            this.meshes.delete(hand.id);
+        });
+    }
+
+    create() {
+        const group = new THREE.Group();
+        const jointMaterial = new THREE.MeshBasicMaterial({ transparent: true });
+        const tipMaterial = new THREE.MeshBasicMaterial({ transparent: true });
+        const geometry = new THREE.SphereGeometry(0.15, 16, 16); // Made joint spheres smaller
+
+        // MediaPipe has 21 landmarks per hand; fingertips are drawn larger
+        const joints = [];
+        for (let i = 0; i < LANDMARK_COUNT; i++) {
+            const isTip = FINGERTIP_INDICES.includes(i);
+            const mesh = new THREE.Mesh(geometry, isTip ? tipMaterial : jointMaterial);
+            if (isTip) mesh.scale.set(1.5, 1.5, 1.5);
+            joints.push(mesh);
+            group.add(mesh);
+        }
+
+        const boneGeometry = new THREE.BufferGeometry();
+        boneGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(HAND_BONES.length * 6), 3));
+        const bones = new THREE.LineSegments(boneGeometry, new THREE.LineBasicMaterial({ transparent: true, opacity: 0.6 }));
+        bones.frustumCulled = false;
+        group.add(bones);
+
+        this.scene.add(group);
+        return { group, joints, bones, jointMaterial, tipMaterial };
+    }
+
+    update(mesh, hand) {
+        const { joints, bones, jointMaterial, tipMaterial } = mesh;
+        const colors = hand.ghost ? GHOST_COLORS : (HAND_COLORS[hand.handedness] || HAND_COLORS.Unknown);
+        const opacity = hand.ghost ? GHOST_OPACITY : hand.lostSince === null ? 1 : LOST_HAND_OPACITY;
+
+        jointMaterial.color.setHex(colors.joint);
+        tipMaterial.color.setHex(colors.tip);
+        bones.material.color.setHex(colors.bone);
+        jointMaterial.opacity = opacity;
+        tipMaterial.opacity = opacity;
+        bones.material.opacity = opacity * 0.6;
+
+        joints.forEach((jointMesh, i) => jointMesh.position.copy(hand.joints[i]));
+
+        const positions = bones.geometry.attributes.position;
+        HAND_BONES.forEach(([a, b], i) => {
+            positions.setXYZ(i * 2, hand.joints[a].x, hand.joints[a].y, hand.joints[a].z);
+            positions.setXYZ(i * 2 + 1, hand.joints[b].x, hand.joints[b].y, hand.joints[b].z);
+        });
+        positions.needsUpdate = true;
+    }
+
+    dispose(mesh) {
+        this.scene.remove(mesh.group);
+        mesh.joints[0].geometry.dispose();
+        mesh.jointMaterial.dispose();
+        mesh.tipMaterial.dispose();
+        mesh.bones.geometry.dispose();
+        mesh.bones.material.dispose();
+    }
+}
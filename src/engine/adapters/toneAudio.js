@@ -0,0 +1,21 @@
+import * as Tone from 'tone';
+
+// --- AUDIO (Tone.js adapter) ---
+// Hit times on the engine follow the audio clock, so hits can be scheduled exactly;
+// every instrumentHit is handed to `play` once the AudioContext is running.
+
+export const toneClock = { now: () => Tone.now() };
+
+// Audio-context time (as passed to Tone's scheduling) -> performance.now() time, for
+// APIs such as Web MIDI that schedule on the page clock
+export function toPerformanceTime(time) {
+    return performance.now() + (time - Tone.getContext().currentTime) * 1000;
+}
+
+export function connectToneAudio(engine, play) {
+    return engine.on('instrumentHit', hit => {
+        // Chrome sometimes suspends the AudioContext; resuming is harmless when it's running
+        if (Tone.getContext().state !== 'running') Tone.getContext().resume();
+        play(hit);
+    });
+}
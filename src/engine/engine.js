@@ -0,0 +1,116 @@
+import { EventBus } from './eventBus.js';
+import { HandModel } from './handModel.js';
+import { InstrumentBoard, FINGERTIPS } from './instrumentBoard.js';
+import { GestureMapper } from '../gestures/gestureMapper.js';
+import { MotionDetector } from '../gestures/motionGestures.js';
+import { FORCE_MODES } from '../particles/forces.js';
+
+// --- ENGINE ---
+// Headless core of the app: hand model, gestures, instrument collisions and particle
+// forces, with no DOM, Three.js or Tone.js. It is driven with hand frames (from any
+// input source, or synthetic ones) and reports what happened on its event bus:
+//   handUpdate    { hands, tracked, timestamp }   after every applied frame
+//   handRemoved   { hand }                        a lost hand's grace period ran out
+//   gestureChange { hand, gesture, previous }     a hand's debounced gesture changed
+//   motionGesture { gesture, hand, ... }          swipe, pinch, circle or clap
+//   instrumentHit { id, instrument, time, velocity, source, hand }
+// Adapters (src/engine/adapters/) turn these into rendering, audio and UI updates.
+// All `nowMs` arguments come from one monotonic millisecond clock chosen by the caller;
+// hit times come from `clock.now()` (seconds, e.g. the audio clock).
+
+export class Engine {
+    constructor({
+        toWorld, classifyPose, smoothing, tracking, hitConfig,
+        gestureMapper = new GestureMapper(),
+        clock = { now: () => performance.now() / 1000 },
+        retriggerMs = 50
+    } = {}) {
+        this.events = new EventBus();
+        this.hands = new HandModel({ toWorld, classifyPose, smoothing, tracking });
+        this.board = new InstrumentBoard({ hitConfig });
+        this.gestureMapper = gestureMapper;
+        this.motion = new MotionDetector({ onGesture: event => this.handleMotion(event) });
+        this.clock = clock;
+        this.retriggerMs = retriggerMs; // Several fingertips entering together only play once
+        this.stableGestures = new Map(); // hand id -> last reported gesture
+    }
+
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    setInstruments(defs) {
+        this.hands.clearContacts();
+        return this.board.setInstruments(defs);
+    }
+
+    applyFrame(frame, nowMs) {
+        this.hands.apply(frame, nowMs);
+        const tracked = this.hands.tracked;
+        this.motion.update(tracked, nowMs);
+        this.events.emit('handUpdate', { hands: this.hands.hands, tracked, timestamp: frame.timestamp });
+    }
+
+    // Per render tick: expire lost hands, detect presses (unless `detectHits` is off, e.g.
+    // while calibrating) and advance the gesture bindings
+    update(nowMs, { detectHits = true } = {}) {
+        this.hands.expire(nowMs).forEach(hand => {
+            this.stableGestures.delete(hand.id);
+            this.events.emit('handRemoved', { hand });
+        });
+
+        if (detectHits) {
+            this.board.detect(this.hands.hands).forEach(({ instrument, hand, finger, velocity }) => {
+                this.hit(instrument.id, { velocity, source: 'hand', hand, finger });
+            });
+        } else {
+            this.board.clearHover();
+        }
+
+        this.gestureMapper.update(this.hands.hands, nowMs);
+        this.hands.hands.forEach(hand => {
+            const gesture = this.gestureMapper.getGesture(hand);
+            const previous = this.stableGestures.get(hand.id) || "None";
+            if (gesture === previous) return;
+            this.stableGestures.set(hand.id, gesture);
+            this.events.emit('gestureChange', { hand, gesture, previous });
+        });
+    }
+
+    // Play an instrument by id (fingertips, keyboard, MIDI, jam partners); source tells
+    // listeners where it came from. Returns whether the hit got past the retrigger guard.
+    hit(id, { time = this.clock.now(), velocity = 0.8, source = 'hand', hand = null, finger = null } = {}) {
+        const instrument = this.board.get(id);
+        if (!instrument || time - instrument.lastHitTime <= this.retriggerMs / 1000) return false;
+        instrument.lastHitTime = time;
+        this.events.emit('instrumentHit', { id, instrument, time, velocity, source, hand, finger });
+        return true;
+    }
+
+    handleMotion(event) {
+        this.gestureMapper.fire(event.gesture, event.hand);
+        this.events.emit('motionGesture', event);
+    }
+
+    // Fingertips of every hand with an active particle force mode from the gesture
+    // bindings (attract / repel / swirl), as the particle systems expect them
+    particleFingers(nowMs) {
+        const fingers = [];
+        this.hands.hands.forEach(hand => {
+            if (hand.gesture === "None") return;
+            const mode = this.gestureMapper.getMode(hand, 'particles', nowMs);
+            if (!mode || mode === 'none') return;
+
+            FINGERTIPS.forEach(finger => {
+                const { x, y, z } = hand.joints[finger];
+                fingers.push({ x, y, z, mode: FORCE_MODES[mode] });
+            });
+        });
+        return fingers;
+    }
+
+    // Whether any tracked hand holds a gesture bound to a mode group's value
+    isModeActive(group, value, nowMs) {
+        return this.hands.tracked.some(hand => this.gestureMapper.getMode(hand, group, nowMs) === value);
+    }
+}
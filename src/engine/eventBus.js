@@ -0,0 +1,25 @@
+// --- EVENT BUS ---
+// Synchronous publish / subscribe between the engine and its adapters. Listeners
+// run in subscription order; on() returns a function that unsubscribes again.
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // type -> listener[]
+    }
+
+    on(type, listener) {
+        const listeners = this.listeners.get(type) || [];
+        this.listeners.set(type, [...listeners, listener]);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) this.listeners.set(type, listeners.filter(l => l !== listener));
+    }
+
+    emit(type, payload) {
+        // Copy-on-write lists, so listeners may (un)subscribe while this runs
+        (this.listeners.get(type) || []).forEach(listener => listener(payload));
+    }
+}
@@ -0,0 +1,107 @@
+import { LANDMARK_COUNT } from '../input/handFrame.js';
+import { matchHands, HAND_TRACKING } from '../input/handTracking.js';
+import { LandmarkFilter, SMOOTHING_CONFIG } from '../input/landmarkFilter.js';
+import { DEFAULT_CALIBRATION, applyCalibration, handDepth } from '../input/calibration.js';
+
+// --- HAND MODEL ---
+// The hands being tracked, in scene coordinates. A tracked hand is
+// { id, joints: [{ x, y, z }] x 21, velocities: [{ x, y, z }] x 21, gesture, handedness,
+//   contacts, filter, lostSince }
+// Detections are matched to tracked hands by handedness and palm position, so each
+// hand keeps its id (and its gesture holds / contacts) when the tracker reorders them.
+// Hands the tracker drops freeze in place (keeping their gesture and contacts) for a
+// grace period, so a few missed frames don't retrigger keys or restart gesture holds.
+
+// Landmark -> scene mapping before any calibration
+export function defaultToWorld(landmarks) {
+    const depth = handDepth(DEFAULT_CALIBRATION, landmarks);
+    return landmarks.map(landmark => applyCalibration(DEFAULT_CALIBRATION, landmark, depth));
+}
+
+const vector = ({ x, y, z }) => ({ x, y, z });
+
+export class HandModel {
+    // toWorld(landmarks) -> scene positions; classifyPose(landmarks) -> trained pose name or
+    // null, given the raw normalized landmarks.
+    // smoothing / tracking are read live, so edits to them apply to every hand.
+    constructor({ toWorld = defaultToWorld, classifyPose = () => null, smoothing = SMOOTHING_CONFIG, tracking = HAND_TRACKING } = {}) {
+        this.toWorld = toWorld;
+        this.classifyPose = classifyPose;
+        this.smoothing = smoothing;
+        this.tracking = tracking;
+        this.hands = [];
+        this.nextId = 1;
+    }
+
+    get tracked() {
+        return this.hands.filter(hand => hand.lostSince === null);
+    }
+
+    create(detection) {
+        const hand = {
+            id: this.nextId++,
+            joints: detection.world.map(vector), // Start where it was detected instead of flying in
+            landmarks: detection.handInfo.landmarks, // Latest raw (normalized) landmarks, for pose features
+            velocities: Array.from({ length: LANDMARK_COUNT }, () => ({ x: 0, y: 0, z: 0 })),
+            gesture: "None",
+            handedness: detection.handedness,
+            contacts: {}, // fingertip index -> Set of instrument ids the finger is inside
+            filter: new LandmarkFilter(LANDMARK_COUNT, this.smoothing), // Smoothing + latency prediction
+            lostSince: null // ms (caller's clock) when the tracker stopped seeing this hand
+        };
+        this.hands.push(hand);
+        return hand;
+    }
+
+    // Map a hand frame onto the tracked hands; nowMs stamps hands that went missing
+    apply(frame, nowMs) {
+        const detections = frame.hands.map(handInfo => {
+            const world = this.toWorld(handInfo.landmarks);
+            return { handInfo, world, handedness: handInfo.handedness, palm: world[9] };
+        });
+        const matches = matchHands(this.hands.map(hand => ({ handedness: hand.handedness, palm: hand.joints[9] })), detections, this.tracking);
+
+        const seen = new Set();
+        detections.forEach((detection, index) => {
+            const hand = matches[index] >= 0 ? this.hands[matches[index]] : this.create(detection);
+            seen.add(hand);
+
+            hand.lostSince = null;
+            hand.handedness = detection.handedness;
+            hand.landmarks = detection.handInfo.landmarks;
+
+            // Filtered, predicted positions drive both collisions and rendering, and the
+            // filtered velocity (scene units / second) drives velocity-sensitive hits
+            hand.filter.apply(detection.world, frame.timestamp).forEach(({ position, velocity }, i) => {
+                Object.assign(hand.joints[i], position);
+                Object.assign(hand.velocities[i], velocity);
+            });
+
+            // A trained pose wins over the built-in gesture when it matches
+            hand.gesture = this.classifyPose(hand.landmarks) || detection.handInfo.gesture;
+        });
+
+        this.hands.forEach(hand => {
+            if (seen.has(hand) || hand.lostSince !== null) return;
+            hand.lostSince = nowMs;
+            hand.filter.reset();
+            hand.velocities.forEach(velocity => Object.assign(velocity, { x: 0, y: 0, z: 0 }));
+        });
+    }
+
+    // Drop hands lost for longer than the grace period; returns the removed hands
+    expire(nowMs) {
+        const expired = this.hands.filter(hand => hand.lostSince !== null && nowMs - hand.lostSince > this.tracking.lostGraceMs);
+        if (expired.length > 0) this.hands = this.hands.filter(hand => !expired.includes(hand));
+        return expired;
+    }
+
+    // Joints jump when the landmark mapping changes, so don't smooth (or predict) across it
+    resetFilters() {
+        this.hands.forEach(hand => hand.filter.reset());
+    }
+
+    clearContacts() {
+        this.hands.forEach(hand => { hand.contacts = {}; });
+    }
+}
@@ -0,0 +1,6 @@
+// Headless engine core: everything here runs without a DOM, WebGL or Web Audio
+// (e.g. under Node). Browser adapters live in ./adapters and are imported directly.
+export { Engine } from './engine.js';
+export { EventBus } from './eventBus.js';
+export { HandModel, defaultToWorld } from './handModel.js';
+export { InstrumentBoard, FINGERTIPS } from './instrumentBoard.js';
@@ -0,0 +1,83 @@
+import { isPointInInstrument } from '../instruments/layouts.js';
+import { HIT_CONFIG, pressDepth, pressProgress, isReleased, speedToVelocity } from '../instruments/hits.js';
+
+// --- INSTRUMENT BOARD ---
+// Per-instrument interaction state for the loaded layout and fingertip collision
+// detection against it (see src/instruments/hits.js for the press model). An
+// instrument is { id, def, position: { x, y, z }, hover, lastHitTime }, where hover is
+// the 0..1 pre-press glow from the nearest fingertip (1 = held down).
+
+export const FINGERTIPS = [4, 8, 12, 16, 20]; // Thumb, Index, Middle, Ring, Pinky
+
+export class InstrumentBoard {
+    constructor({ hitConfig = HIT_CONFIG } = {}) {
+        this.hitConfig = hitConfig;
+        this.instruments = [];
+        this.byId = new Map();
+    }
+
+    // defs: expanded layout instruments (src/instruments/layouts.js); returns their states
+    setInstruments(defs) {
+        this.instruments = defs.map(def => ({
+            id: def.id,
+            def,
+            position: { x: def.position[0], y: def.position[1], z: def.position[2] },
+            hover: 0,
+            lastHitTime: -Infinity
+        }));
+        this.byId = new Map(this.instruments.map(instrument => [instrument.id, instrument]));
+        return this.instruments;
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    clearHover() {
+        this.instruments.forEach(instrument => { instrument.hover = 0; });
+    }
+
+    // Fingertips of tracked hands with a gesture against every instrument. Updates hover and
+    // each hand's contacts; returns the new presses as [{ instrument, hand, finger, velocity }].
+    detect(hands) {
+        this.clearHover();
+        const presses = [];
+
+        hands.forEach(hand => {
+            if (hand.gesture === "None" || hand.lostSince !== null) return;
+
+            FINGERTIPS.forEach(finger => {
+                const fingerPos = hand.joints[finger];
+                const contacts = hand.contacts[finger] || (hand.contacts[finger] = new Set());
+
+                this.instruments.forEach(instrument => {
+                    const { def, position } = instrument;
+                    const depth = pressDepth(fingerPos, position);
+
+                    // Held down: wait until the finger pulls back or leaves the (slightly larger) exit zone
+                    if (contacts.has(def.id)) {
+                        if (isReleased(def, depth, this.hitConfig) || !isPointInInstrument(def, position, fingerPos, this.hitConfig.exitMargin)) {
+                            contacts.delete(def.id);
+                        } else {
+                            instrument.hover = 1;
+                        }
+                        return;
+                    }
+
+                    // Collision volume comes from the layout definition (shape, size, hitPadding)
+                    if (!isPointInInstrument(def, position, fingerPos)) return;
+
+                    // Pre-press glow while the fingertip approaches the plane
+                    instrument.hover = Math.max(instrument.hover, pressProgress(def, depth));
+                    if (depth < def.pressDepth) return;
+                    contacts.add(def.id);
+
+                    // Forward speed through the plane sets the velocity
+                    const velocity = speedToVelocity(Math.max(0, hand.velocities[finger].z), this.hitConfig);
+                    presses.push({ instrument, hand, finger, velocity });
+                });
+            });
+        });
+        return presses;
+    }
+}
@@ -0,0 +1,91 @@
+import { GESTURES, HANDS, GESTURE_ACTIONS } from './gestureMapper.js';
+
+// In-app editor for gesture bindings. Rebuilds its rows from `getBindings()`
+// and reports every edit through `onChange(bindings)`. `getGestures()` lists the
+// gestures to offer (built-in, trained poses and motion gestures).
+export function createBindingsPanel(container, { getBindings, onChange, onReset, getGestures = () => GESTURES }) {
+    const list = document.createElement('div');
+    list.className = 'bindings-list';
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'secondary small';
+    addBtn.innerText = "Add binding";
+    addBtn.addEventListener('click', () => {
+        onChange([...getBindings(), {
+            id: `binding-${Date.now()}`,
+            gesture: getGestures()[0],
+            hand: "Any",
+            holdMs: 0,
+            action: 'chord'
+        }]);
+        render();
+    });
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'secondary small';
+    resetBtn.innerText = "Reset defaults";
+    resetBtn.addEventListener('click', () => {
+        onReset();
+        render();
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'bindings-footer';
+    footer.append(addBtn, resetBtn);
+    container.append(list, footer);
+
+    function select(options, value, labelFor = option => option.replace(/_/g, ' ')) {
+        const el = document.createElement('select');
+        options.forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option;
+            opt.textContent = labelFor(option);
+            el.appendChild(opt);
+        });
+        el.value = value;
+        return el;
+    }
+
+    function render() {
+        list.innerHTML = '';
+        getBindings().forEach(binding => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+
+            const gesture = select(getGestures(), binding.gesture);
+            const hand = select(HANDS, binding.hand);
+            const action = select(Object.keys(GESTURE_ACTIONS), binding.action, id => GESTURE_ACTIONS[id].label);
+            const hold = document.createElement('input');
+            hold.type = 'number';
+            hold.min = 0;
+            hold.step = 100;
+            hold.value = binding.holdMs;
+            hold.title = "Hold duration (ms)";
+
+            const remove = document.createElement('button');
+            remove.className = 'secondary small';
+            remove.innerText = "×";
+            remove.addEventListener('click', () => {
+                onChange(getBindings().filter(b => b.id !== binding.id));
+                render();
+            });
+
+            const update = () => {
+                onChange(getBindings().map(b => b.id !== binding.id ? b : {
+                    ...b,
+                    gesture: gesture.value,
+                    hand: hand.value,
+                    action: action.value,
+                    holdMs: Math.max(0, parseInt(hold.value, 10) || 0)
+                }));
+            };
+            [gesture, hand, action, hold].forEach(el => el.addEventListener('change', update));
+
+            row.append(gesture, hand, hold, action, remove);
+            list.appendChild(row);
+        });
+    }
+
+    render();
+    return { render };
+}
@@ -0,0 +1,175 @@
+// --- GESTURE BINDINGS ---
+// Maps recognized gestures to actions. A binding is
+// { id, gesture, hand: "Any" | "Left" | "Right", holdMs, action }
+// "mode" actions stay active while the gesture is held (e.g. particle forces);
+// "trigger" actions fire once each time the gesture has been held for holdMs.
+// A gesture only counts as changed once it has been stable for changeThresholdMs,
+// so single-frame misclassifications don't flip modes or fire actions.
+// Besides the built-in GESTURES, a mapper accepts any extra gesture names it is
+// given (user-trained poses, motion gestures); motion gestures are one-off events
+// delivered through fire() and only drive trigger actions.
+
+export const GESTURES = ["Closed_Fist", "Open_Palm", "Pointing_Up", "Thumb_Up", "Thumb_Down", "Victory", "ILoveYou"];
+export const HANDS = ["Any", "Left", "Right"];
+
+export const GESTURE_ACTIONS = {
+    'particles.attract': { label: "Particles: attract", kind: 'mode', group: 'particles', value: 'attract' },
+    'particles.repel': { label: "Particles: repel", kind: 'mode', group: 'particles', value: 'repel' },
+    'particles.swirl': { label: "Particles: swirl", kind: 'mode', group: 'particles', value: 'swirl' },
+    'particles.ignore': { label: "Particles: no force", kind: 'mode', group: 'particles', value: 'none' },
+    'arpeggiator.hold': { label: "Arpeggiate while held", kind: 'mode', group: 'arpeggiator', value: 'on' },
+    'chord': { label: "Play gesture chord", kind: 'trigger' },
+    'filter.sweepUp': { label: "Filter sweep up", kind: 'trigger' },
+    'filter.sweepDown': { label: "Filter sweep down", kind: 'trigger' },
+    'octave.up': { label: "Octave up", kind: 'trigger' },
+    'octave.down': { label: "Octave down", kind: 'trigger' },
+    'looper.toggleRecording': { label: "Looper: record / stop", kind: 'trigger' },
+    'looper.undoLastLayer': { label: "Looper: undo layer", kind: 'trigger' },
+    'looper.clear': { label: "Looper: clear", kind: 'trigger' },
+    'formation.next': { label: "Particles: next formation", kind: 'trigger' },
+    'formation.hand': { label: "Particles: hand silhouette on/off", kind: 'trigger' }
+};
+
+// Mirrors the original hard-coded behaviour: fist attracts, palm repels,
+// everything else swirls; Victory / left Thumb Down held for a second drive the looper
+// and holding ILoveYou cycles the particle formations. A left Thumb Up arpeggiates
+// the keys played with the other hand; right Thumb Up / Down shift the octave.
+export const DEFAULT_BINDINGS = [
+    { id: 'default-attract', gesture: "Closed_Fist", hand: "Any", holdMs: 0, action: 'particles.attract' },
+    { id: 'default-repel', gesture: "Open_Palm", hand: "Any", holdMs: 0, action: 'particles.repel' },
+    { id: 'default-loop-record', gesture: "Victory", hand: "Any", holdMs: 1000, action: 'looper.toggleRecording' },
+    { id: 'default-loop-undo', gesture: "Thumb_Down", hand: "Left", holdMs: 1000, action: 'looper.undoLastLayer' },
+    { id: 'default-formation-next', gesture: "ILoveYou", hand: "Any", holdMs: 800, action: 'formation.next' },
+    { id: 'default-arpeggiator', gesture: "Thumb_Up", hand: "Left", holdMs: 150, action: 'arpeggiator.hold' },
+    { id: 'default-octave-up', gesture: "Thumb_Up", hand: "Right", holdMs: 800, action: 'octave.up' },
+    { id: 'default-octave-down', gesture: "Thumb_Down", hand: "Right", holdMs: 800, action: 'octave.down' }
+];
+
+export const DEFAULT_MODES = { particles: 'swirl', arpeggiator: 'off' };
+
+export function validateBinding(binding, gestures = GESTURES) {
+    if (!gestures.includes(binding.gesture)) throw new Error(`Unknown gesture "${binding.gesture}"`);
+    if (!HANDS.includes(binding.hand)) throw new Error(`Unknown hand "${binding.hand}"`);
+    if (!GESTURE_ACTIONS[binding.action]) throw new Error(`Unknown action "${binding.action}"`);
+    if (!(binding.holdMs >= 0)) throw new Error(`Invalid hold duration for "${binding.id}"`);
+    return binding;
+}
+
+// A bad stored binding (e.g. for a pose that has since been deleted) is dropped on
+// its own; the rest are kept
+export function loadBindings(storage, key, gestures = GESTURES) {
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        if (Array.isArray(stored)) {
+            return stored.filter(binding => {
+                try {
+                    validateBinding(binding, gestures);
+                    return true;
+                } catch (err) {
+                    console.warn("Ignoring gesture binding:", err.message);
+                    return false;
+                }
+            });
+        }
+    } catch (err) {
+        console.warn("Ignoring invalid gesture bindings:", err);
+    }
+    return DEFAULT_BINDINGS.map(binding => ({ ...binding }));
+}
+
+export function saveBindings(storage, key, bindings) {
+    storage.setItem(key, JSON.stringify(bindings));
+}
+
+export class GestureMapper {
+    constructor({ bindings = DEFAULT_BINDINGS, gestures = GESTURES, handlers = {}, changeThresholdMs = 100 } = {}) {
+        this.bindings = bindings;
+        this.gestures = gestures; // Names bindings may use
+        this.handlers = handlers; // action id -> (binding, hand)
+        this.changeThresholdMs = changeThresholdMs;
+        this.handStates = new Map(); // hand id -> debounced gesture state
+    }
+
+    setBindings(bindings) {
+        this.bindings = bindings.map(binding => validateBinding(binding, this.gestures));
+        this.handStates.forEach(state => state.fired.clear());
+    }
+
+    setGestures(gestures) {
+        this.gestures = gestures;
+    }
+
+    matches(binding, state, hand) {
+        return binding.gesture === state.stable && this.matchesHand(binding, hand);
+    }
+
+    matchesHand(binding, hand) {
+        return binding.hand === "Any" || (hand !== null && binding.hand === hand.handedness);
+    }
+
+    // One-off gesture event (e.g. a swipe): runs its trigger bindings right away,
+    // ignoring holdMs. `hand` is null for two-handed events, which only match "Any".
+    fire(gesture, hand) {
+        this.bindings.forEach(binding => {
+            if (binding.gesture !== gesture || GESTURE_ACTIONS[binding.action].kind !== 'trigger') return;
+            if (!this.matchesHand(binding, hand)) return;
+            const handler = this.handlers[binding.action];
+            if (handler) handler(binding, hand);
+        });
+    }
+
+    // hands: [{ id, gesture, handedness }]; state follows the id so reordered hands keep their holds
+    update(hands, nowMs) {
+        const ids = new Set(hands.map(hand => hand.id));
+        this.handStates.forEach((state, id) => {
+            if (!ids.has(id)) this.handStates.delete(id);
+        });
+
+        hands.forEach(hand => {
+            let state = this.handStates.get(hand.id);
+            if (!state) {
+                state = { raw: "None", rawSince: nowMs, stable: "None", stableSince: nowMs, fired: new Set() };
+                this.handStates.set(hand.id, state);
+            }
+
+            if (hand.gesture !== state.raw) {
+                state.raw = hand.gesture;
+                state.rawSince = nowMs;
+            }
+            if (state.raw !== state.stable && nowMs - state.rawSince >= this.changeThresholdMs) {
+                state.stable = state.raw;
+                state.stableSince = nowMs;
+                state.fired.clear();
+            }
+
+            this.bindings.forEach(binding => {
+                if (GESTURE_ACTIONS[binding.action].kind !== 'trigger') return;
+                if (state.fired.has(binding.id) || !this.matches(binding, state, hand)) return;
+                if (nowMs - state.stableSince < binding.holdMs) return;
+
+                state.fired.add(binding.id);
+                const handler = this.handlers[binding.action];
+                if (handler) handler(binding, hand);
+            });
+        });
+    }
+
+    // Stable gesture for a hand after change filtering ("None" if unknown)
+    getGesture(hand) {
+        const state = this.handStates.get(hand.id);
+        return state ? state.stable : "None";
+    }
+
+    // Current value of a mode group (e.g. 'particles') for one hand
+    getMode(hand, group, nowMs) {
+        const state = this.handStates.get(hand.id);
+        if (!state || state.stable === "None") return null;
+
+        const binding = this.bindings.find(b => {
+            const action = GESTURE_ACTIONS[b.action];
+            return action.kind === 'mode' && action.group === group &&
+                this.matches(b, state, hand) && nowMs - state.stableSince >= b.holdMs;
+        });
+        return binding ? GESTURE_ACTIONS[binding.action].value : DEFAULT_MODES[group];
+    }
+}
@@ -0,0 +1,161 @@
+// --- MOTION GESTURES ---
+// Dynamic gestures detected from how tracked hands move rather than how they're
+// shaped: swipes, pinches, circles drawn with the index finger and claps. Each
+// detection is reported once through onGesture({ gesture, hand, ...details }) and
+// can be bound to trigger actions like any static gesture (GestureMapper.fire).
+// Distances are in scene units (the default calibration spans x ±15, y ±11.25).
+
+export const MOTION_GESTURES = ["Swipe_Left", "Swipe_Right", "Swipe_Up", "Swipe_Down", "Pinch", "Circle", "Clap"];
+
+export const MOTION_CONFIG = {
+    swipeWindowMs: 250, // Palm travel is measured over this window...
+    swipeMinDistance: 6, // ...and has to cover at least this far
+    swipeAxisRatio: 2, // Main direction vs. the other one, so diagonals don't count
+    pinchClose: 0.25, // Thumb-index tip distance / palm length to pinch...
+    pinchOpen: 0.45, // ...and to let go again
+    circleWindowMs: 1500,
+    circleMinRadius: 1,
+    circleMaxRoundness: 0.45, // Radius spread / mean radius; larger means the path wasn't round
+    clapDistance: 3, // Palms this close...
+    clapSpeed: 20, // ...approaching at least this fast (units / second)...
+    clapWindowMs: 200, // ...measured over this window
+    clapArmDistance: 6, // Hands have to be this far apart before the next clap counts
+    cooldownMs: 600 // Per hand and gesture, so one motion isn't reported twice
+};
+
+const TWO_PI = Math.PI * 2;
+
+function planarDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+export class MotionDetector {
+    constructor({ config = MOTION_CONFIG, onGesture = () => {} } = {}) {
+        this.config = config;
+        this.onGesture = onGesture;
+        this.handStates = new Map(); // hand id -> { palm: [{ x, y, t }], tip: [...], pinched, cooldowns }
+        this.clap = { history: [], armed: true }; // palm distances of the first two hands
+    }
+
+    // hands: [{ id, joints, handedness }] currently tracked; nowMs: monotonic time
+    update(hands, nowMs) {
+        const ids = new Set(hands.map(hand => hand.id));
+        this.handStates.forEach((state, id) => {
+            if (!ids.has(id)) this.handStates.delete(id);
+        });
+
+        hands.forEach(hand => {
+            let state = this.handStates.get(hand.id);
+            if (!state) {
+                state = { palm: [], tip: [], pinched: true, cooldowns: {} };
+                this.handStates.set(hand.id, state);
+            }
+            const palm = hand.joints[9];
+            const tip = hand.joints[8];
+            state.palm.push({ x: palm.x, y: palm.y, t: nowMs });
+            state.tip.push({ x: tip.x, y: tip.y, t: nowMs });
+            while (state.palm[0].t < nowMs - this.config.swipeWindowMs) state.palm.shift();
+            while (state.tip[0].t < nowMs - this.config.circleWindowMs) state.tip.shift();
+
+            this.detectSwipe(hand, state, nowMs);
+            this.detectPinch(hand, state, nowMs);
+            this.detectCircle(hand, state, nowMs);
+        });
+
+        this.detectClap(hands, nowMs);
+    }
+
+    emit(state, gesture, hand, nowMs, details = {}) {
+        if (state) {
+            if (nowMs < (state.cooldowns[gesture] || 0)) return;
+            state.cooldowns[gesture] = nowMs + this.config.cooldownMs;
+        }
+        this.onGesture({ gesture, hand, ...details });
+    }
+
+    detectSwipe(hand, state, nowMs) {
+        const first = state.palm[0];
+        const last = state.palm[state.palm.length - 1];
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        const ax = Math.abs(dx);
+        const ay = Math.abs(dy);
+        if (Math.max(ax, ay) < this.config.swipeMinDistance) return;
+
+        let gesture = null;
+        if (ax >= ay * this.config.swipeAxisRatio) gesture = dx > 0 ? "Swipe_Right" : "Swipe_Left";
+        else if (ay >= ax * this.config.swipeAxisRatio) gesture = dy > 0 ? "Swipe_Up" : "Swipe_Down";
+        if (!gesture) return;
+
+        // One swipe per movement: start measuring afresh from here
+        state.palm = [last];
+        this.emit(state, gesture, hand, nowMs, { speed: Math.hypot(dx, dy) / Math.max(1, last.t - first.t) * 1000 });
+    }
+
+    // Starts "pinched" so a hand that appears mid-pinch doesn't fire until it opens once
+    detectPinch(hand, state, nowMs) {
+        const palmLength = distance(hand.joints[0], hand.joints[9]) || 1;
+        const ratio = distance(hand.joints[4], hand.joints[8]) / palmLength;
+        if (state.pinched) {
+            if (ratio > this.config.pinchOpen) state.pinched = false;
+        } else if (ratio < this.config.pinchClose) {
+            state.pinched = true;
+            this.emit(state, "Pinch", hand, nowMs);
+        }
+    }
+
+    // A full turn of the index fingertip around the centre of its recent path
+    detectCircle(hand, state, nowMs) {
+        const points = state.tip;
+        if (points.length < 8) return;
+
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        const centre = { x: cx, y: cy };
+        const radii = points.map(p => planarDistance(p, centre));
+        const meanRadius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+        if (meanRadius < this.config.circleMinRadius) return;
+
+        let turned = 0;
+        for (let i = 1; i < points.length; i++) {
+            let step = Math.atan2(points[i].y - cy, points[i].x - cx) - Math.atan2(points[i - 1].y - cy, points[i - 1].x - cx);
+            if (step > Math.PI) step -= TWO_PI;
+            if (step < -Math.PI) step += TWO_PI;
+            turned += step;
+        }
+        if (Math.abs(turned) < TWO_PI * 0.9) return;
+
+        const spread = Math.sqrt(radii.reduce((sum, r) => sum + (r - meanRadius) ** 2, 0) / radii.length);
+        if (spread / meanRadius > this.config.circleMaxRoundness) return;
+
+        state.tip = [points[points.length - 1]];
+        this.emit(state, "Circle", hand, nowMs, { direction: turned > 0 ? 'counterclockwise' : 'clockwise', radius: meanRadius });
+    }
+
+    // Two palms closing in fast; reported without a hand (hand: null)
+    detectClap(hands, nowMs) {
+        const clap = this.clap;
+        if (hands.length < 2) {
+            clap.history = [];
+            return;
+        }
+
+        const current = distance(hands[0].joints[9], hands[1].joints[9]);
+        if (current > this.config.clapArmDistance) clap.armed = true;
+        clap.history.push({ distance: current, t: nowMs });
+        while (clap.history[0].t < nowMs - this.config.clapWindowMs) clap.history.shift();
+
+        const oldest = clap.history[0];
+        if (!clap.armed || current > this.config.clapDistance || nowMs === oldest.t) return;
+        const speed = (oldest.distance - current) / (nowMs - oldest.t) * 1000;
+        if (speed < this.config.clapSpeed) return;
+
+        clap.armed = false;
+        clap.history = [];
+        this.emit(null, "Clap", null, nowMs, { speed });
+    }
+}
@@ -0,0 +1,149 @@
+// --- CUSTOM POSES ---
+// User-trained static hand poses, recognized alongside MediaPipe's built-in gestures.
+// A pose is described by its joint angles (how far each finger joint bends and how
+// far adjacent fingers spread, normalized to 0..1), which don't change with the hand's
+// position, size, rotation or mirroring. Classification is k-nearest-neighbours over
+// the recorded examples, with a distance cut-off so unfamiliar poses stay unlabeled.
+// Features come from the tracker's raw normalized landmarks, not scene joints: the
+// calibration mapping stretches axes unevenly and smoothing / prediction lag the
+// fingers, both of which bend the angles (and recalibrating would void trained poses).
+
+const FINGER_CHAINS = [
+    [0, 1, 2, 3, 4], // thumb
+    [0, 5, 6, 7, 8], // index
+    [0, 9, 10, 11, 12], // middle
+    [0, 13, 14, 15, 16], // ring
+    [0, 17, 18, 19, 20] // pinky
+];
+
+export const POSE_CONFIG = {
+    k: 5,
+    maxDistance: 0.45, // Euclidean feature distance beyond which a neighbour doesn't count
+    minExamples: 3 // per label before it is recognized
+};
+
+export const MAX_POSE_LABEL_LENGTH = 24;
+
+// Bumped when the features change meaning; older saved examples are dropped
+const POSE_FORMAT_VERSION = 2;
+
+function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+// Angle between two vectors, 0..1 (0 = same direction, 1 = opposite)
+function angleBetween(a, b) {
+    const lengths = Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z);
+    if (lengths === 0) return 0;
+    const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / lengths;
+    return Math.acos(Math.max(-1, Math.min(1, cos))) / Math.PI;
+}
+
+// 21 raw landmarks ({ x, y, z }) -> 19 features: 3 bends per finger, 4 spreads between fingers
+export function poseFeatures(landmarks) {
+    const features = [];
+    FINGER_CHAINS.forEach(chain => {
+        for (let i = 1; i < chain.length - 1; i++) {
+            features.push(angleBetween(sub(landmarks[chain[i]], landmarks[chain[i - 1]]), sub(landmarks[chain[i + 1]], landmarks[chain[i]])));
+        }
+    });
+    for (let f = 0; f < FINGER_CHAINS.length - 1; f++) {
+        const a = FINGER_CHAINS[f];
+        const b = FINGER_CHAINS[f + 1];
+        features.push(angleBetween(sub(landmarks[a[2]], landmarks[a[1]]), sub(landmarks[b[2]], landmarks[b[1]])));
+    }
+    return features;
+}
+
+function featureDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+    return Math.sqrt(sum);
+}
+
+// "my pose" -> "my_pose", matching the built-in gesture naming
+export function normalizePoseLabel(label) {
+    return String(label).trim().replace(/\s+/g, '_').slice(0, MAX_POSE_LABEL_LENGTH);
+}
+
+// Normalized label, or throws; `reserved` are names already taken (built-in / motion gestures)
+export function validatePoseLabel(label, reserved = []) {
+    const normalized = normalizePoseLabel(label);
+    if (!normalized) throw new Error("Give the pose a name");
+    if (normalized === "None" || reserved.includes(normalized)) throw new Error(`"${normalized}" is already a gesture`);
+    return normalized;
+}
+
+export class PoseClassifier {
+    constructor({ examples = [], config = POSE_CONFIG } = {}) {
+        this.config = config;
+        this.examples = examples; // [{ label, features }]
+    }
+
+    // Labels with enough examples to be recognized
+    get labels() {
+        return Object.entries(this.counts())
+            .filter(([, count]) => count >= this.config.minExamples)
+            .map(([label]) => label)
+            .sort();
+    }
+
+    counts() {
+        const counts = {};
+        this.examples.forEach(({ label }) => { counts[label] = (counts[label] || 0) + 1; });
+        return counts;
+    }
+
+    addExample(label, landmarks) {
+        this.examples.push({ label, features: poseFeatures(landmarks) });
+    }
+
+    removeLabel(label) {
+        this.examples = this.examples.filter(example => example.label !== label);
+    }
+
+    // Best label for a hand, or null; distance-weighted vote of the k nearest examples
+    classify(landmarks) {
+        const recognized = new Set(this.labels);
+        if (recognized.size === 0) return null;
+
+        const features = poseFeatures(landmarks);
+        const nearest = this.examples
+            .filter(example => recognized.has(example.label))
+            .map(example => ({ label: example.label, distance: featureDistance(features, example.features) }))
+            .filter(neighbour => neighbour.distance <= this.config.maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.config.k);
+        if (nearest.length === 0) return null;
+
+        const votes = {};
+        nearest.forEach(({ label, distance }) => {
+            votes[label] = (votes[label] || 0) + 1 / (distance + 1e-3);
+        });
+        return Object.entries(votes).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    toJSON() {
+        return { version: POSE_FORMAT_VERSION, examples: this.examples };
+    }
+}
+
+export function loadPoseClassifier(storage, key) {
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        if (stored && stored.version !== POSE_FORMAT_VERSION) {
+            console.warn("Dropping custom poses saved by an older version; please record them again");
+        } else if (stored && Array.isArray(stored.examples)) {
+            const examples = stored.examples.filter(example =>
+                typeof example.label === 'string' && Array.isArray(example.features) && example.features.length === 19);
+            return new PoseClassifier({ examples });
+        }
+    } catch (err) {
+        console.warn("Ignoring invalid custom poses:", err);
+    }
+    return new PoseClassifier();
+}
+
+export function savePoseClassifier(storage, key, classifier) {
+    storage.setItem(key, JSON.stringify(classifier));
+}
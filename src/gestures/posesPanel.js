@@ -0,0 +1,83 @@
+// Trainer for custom poses: name a pose, hold it in front of the camera while
+// examples are recorded, and delete poses that are no longer wanted.
+// getPoses() -> [{ label, count }]; getRecording() -> null | { label, status };
+// onRecord(label) throws (shown on the name field) when the label is rejected.
+export function createPosesPanel(container, { getPoses, getRecording, onRecord, onCancel, onDelete }) {
+    const form = document.createElement('div');
+    form.className = 'binding-row pose-row';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = "Pose name";
+
+    const recordBtn = document.createElement('button');
+    recordBtn.className = 'secondary small';
+
+    const status = document.createElement('span');
+    status.className = 'pose-status';
+
+    form.append(nameInput, recordBtn);
+    const list = document.createElement('div');
+    container.append(form, status, list);
+
+    recordBtn.addEventListener('click', () => {
+        if (getRecording()) {
+            onCancel();
+        } else {
+            try {
+                onRecord(nameInput.value);
+                nameInput.classList.remove('invalid');
+                nameInput.title = '';
+            } catch (err) {
+                nameInput.classList.add('invalid');
+                nameInput.title = err.message;
+                status.textContent = err.message;
+                return;
+            }
+        }
+        render();
+    });
+
+    // Cheap enough to call every frame while recording
+    function renderStatus() {
+        const recording = getRecording();
+        recordBtn.innerText = recording ? "Cancel" : "Record";
+        nameInput.disabled = !!recording;
+        status.textContent = recording ? recording.status : "Hold the pose with one hand while recording.";
+    }
+
+    function render() {
+        renderStatus();
+        list.innerHTML = '';
+        getPoses().forEach(({ label, count }) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row pose-row';
+
+            const name = document.createElement('span');
+            name.textContent = `${label.replace(/_/g, ' ')} (${count} examples)`;
+
+            const more = document.createElement('button');
+            more.className = 'secondary small';
+            more.innerText = "Add examples";
+            more.disabled = !!getRecording();
+            more.addEventListener('click', () => {
+                onRecord(label);
+                render();
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'secondary small';
+            remove.innerText = "×";
+            remove.addEventListener('click', () => {
+                onDelete(label);
+                render();
+            });
+
+            row.append(name, more, remove);
+            list.appendChild(row);
+        });
+    }
+
+    render();
+    return { render, renderStatus };
+}
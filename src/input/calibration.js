@@ -0,0 +1,228 @@
+import { handScale } from './handFrame.js';
+
+// --- CALIBRATION ---
+// Maps normalized landmarks (0..1 camera space) onto the z=0 instrument plane with a
+// homography fitted from four corner touches, so the user's actual reach covers the
+// visible scene regardless of camera aspect, framing or distance. Depth combines each
+// landmark's z (relative to the wrist) with how large the hand appears compared to
+// its size during calibration. Calibrations are stored per camera device.
+
+// Legacy fixed mapping: mirrored X spread over 30 units, Y over 22.5, z * -10
+export const DEFAULT_CALIBRATION = {
+    version: 1,
+    matrix: [-30, 0, 15, 0, -22.5, 11.25, 0, 0, 1], // Row-major 3x3, (x, y, 1) -> scene (x, y, w)
+    depthScale: -10,
+    referenceHandScale: 0.095 // handScale() at the resting distance (matches the synthetic hands)
+};
+
+export const DEPTH_CONFIG = {
+    handScaleDepth: 20, // Scene units towards the camera per 100% growth in apparent hand size
+    restDepth: 2 // How far behind the instrument plane a hand at the reference size sits
+};
+
+export const CALIBRATION_CONFIG = {
+    targetInset: 0.75, // Fraction of the visible plane the corner targets span
+    dwellMs: 1000, // How long the fingertip must hold still on a target
+    dwellTolerance: 0.02, // Max fingertip drift (normalized units) while dwelling
+    minSpread: 0.05 // Captured corners closer together than this can't be solved reliably
+};
+
+const CALIBRATION_LANDMARK = 8; // Index fingertip
+
+// Solve the n x n system A x = b in place (Gaussian elimination with partial pivoting)
+function solveLinear(A, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) throw new Error("Calibration points are degenerate");
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+// Homography taking four source points [{x, y}] onto four destination points
+export function solveHomography(src, dst) {
+    if (src.length !== 4 || dst.length !== 4) throw new Error("Homography needs exactly four point pairs");
+
+    const A = [];
+    const b = [];
+    src.forEach(({ x, y }, i) => {
+        const { x: u, y: v } = dst[i];
+        A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        b.push(u);
+        A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        b.push(v);
+    });
+
+    return [...solveLinear(A, b), 1];
+}
+
+function invert3x3(m) {
+    const [a, b, c, d, e, f, g, h, i] = m;
+    const A = e * i - f * h;
+    const B = -(d * i - f * g);
+    const C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (Math.abs(det) < 1e-12) throw new Error("Calibration matrix is not invertible");
+
+    return [
+        A / det, -(b * i - c * h) / det, (b * f - c * e) / det,
+        B / det, (a * i - c * g) / det, -(a * f - c * d) / det,
+        C / det, -(a * h - b * g) / det, (a * e - b * d) / det
+    ];
+}
+
+function project(m, x, y) {
+    const w = m[6] * x + m[7] * y + m[8];
+    return {
+        x: (m[0] * x + m[1] * y + m[2]) / w,
+        y: (m[3] * x + m[4] * y + m[5]) / w
+    };
+}
+
+// Scene z offset of a whole hand from its apparent size (> 0 is in front of the plane)
+export function handDepth(calibration, landmarks, config = DEPTH_CONFIG) {
+    const growth = handScale(landmarks) / calibration.referenceHandScale - 1;
+    return growth * config.handScaleDepth - config.restDepth;
+}
+
+// Normalized landmark -> scene position { x, y, z }, with an optional per-hand depth offset
+export function applyCalibration(calibration, landmark, depthOffset = 0) {
+    const { x, y } = project(calibration.matrix, landmark.x, landmark.y);
+    return { x, y, z: (landmark.z || 0) * calibration.depthScale + depthOffset };
+}
+
+// Scene position on the z=0 plane -> normalized landmark { x, y } (used by pointer input)
+export function invertCalibration(calibration, x, y) {
+    return project(invert3x3(calibration.matrix), x, y);
+}
+
+// Four corner targets (top-left, top-right, bottom-right, bottom-left) on the z=0 plane
+// for a perspective camera looking down -z from `distance`
+export function calibrationTargets({ fov, aspect, distance }, inset = CALIBRATION_CONFIG.targetInset) {
+    const halfHeight = Math.tan((fov * Math.PI / 180) / 2) * distance * inset;
+    const halfWidth = halfHeight * aspect;
+    return [
+        { x: -halfWidth, y: halfHeight },
+        { x: halfWidth, y: halfHeight },
+        { x: halfWidth, y: -halfHeight },
+        { x: -halfWidth, y: -halfHeight }
+    ];
+}
+
+export function validateCalibration(calibration) {
+    if (!calibration || typeof calibration !== 'object') throw new Error("Calibration must be an object");
+    const {
+        matrix,
+        depthScale = DEFAULT_CALIBRATION.depthScale,
+        referenceHandScale = DEFAULT_CALIBRATION.referenceHandScale
+    } = calibration;
+    if (!Array.isArray(matrix) || matrix.length !== 9 || !matrix.every(Number.isFinite)) {
+        throw new Error("Calibration matrix must be 9 numbers");
+    }
+    if (!Number.isFinite(depthScale)) throw new Error("Calibration depthScale must be a number");
+    if (!(referenceHandScale > 0)) throw new Error("Calibration referenceHandScale must be positive");
+    invert3x3(matrix);
+    return { version: 1, matrix: [...matrix], depthScale, referenceHandScale };
+}
+
+export function calibrationStorageKey(prefix, deviceKey) {
+    return prefix + ':' + (deviceKey || 'default');
+}
+
+export function loadCalibration(storage, key) {
+    try {
+        const raw = storage.getItem(key);
+        if (raw) return validateCalibration(JSON.parse(raw));
+    } catch (err) {
+        console.warn("Ignoring stored calibration:", err.message);
+    }
+    return validateCalibration(DEFAULT_CALIBRATION);
+}
+
+export function saveCalibration(storage, key, calibration) {
+    storage.setItem(key, JSON.stringify(validateCalibration(calibration)));
+}
+
+// Guided corner-touch flow. Feed it hand frames; it captures the index fingertip once
+// it has held still on each target for dwellMs, then fits the homography. The average
+// hand size while touching the targets becomes the resting depth reference.
+export class CalibrationSession {
+    constructor(targets, { config = CALIBRATION_CONFIG, depthScale = DEFAULT_CALIBRATION.depthScale } = {}) {
+        this.targets = targets;
+        this.config = config;
+        this.depthScale = depthScale;
+        this.captured = [];
+        this.scales = [];
+        this.anchor = null; // { x, y, since, samples, scales }
+    }
+
+    get index() {
+        return this.captured.length;
+    }
+
+    get done() {
+        return this.captured.length === this.targets.length;
+    }
+
+    // Returns dwell progress (0..1) on the current target
+    update(frame, nowMs) {
+        if (this.done) return 1;
+        const hand = frame.hands[0];
+        if (!hand) {
+            this.anchor = null;
+            return 0;
+        }
+
+        const tip = hand.landmarks[CALIBRATION_LANDMARK];
+        const anchor = this.anchor;
+        if (!anchor || Math.hypot(tip.x - anchor.x, tip.y - anchor.y) > this.config.dwellTolerance) {
+            this.anchor = { x: tip.x, y: tip.y, since: nowMs, samples: [tip], scales: [handScale(hand.landmarks)] };
+            return 0;
+        }
+
+        anchor.samples.push(tip);
+        anchor.scales.push(handScale(hand.landmarks));
+        const progress = Math.min(1, (nowMs - anchor.since) / this.config.dwellMs);
+        if (progress < 1) return progress;
+
+        const mean = anchor.samples.reduce((sum, s) => ({ x: sum.x + s.x, y: sum.y + s.y }), { x: 0, y: 0 });
+        const point = { x: mean.x / anchor.samples.length, y: mean.y / anchor.samples.length };
+        if (this.captured.some(p => Math.hypot(p.x - point.x, p.y - point.y) < this.config.minSpread)) {
+            // Same spot as an earlier corner: wait for the finger to move on
+            this.anchor.since = nowMs;
+            return 0;
+        }
+
+        this.captured.push(point);
+        this.scales.push(anchor.scales.reduce((sum, scale) => sum + scale, 0) / anchor.scales.length);
+        this.anchor = null;
+        return 1;
+    }
+
+    result() {
+        if (!this.done) throw new Error("Calibration is not finished");
+        return validateCalibration({
+            matrix: solveHomography(this.captured, this.targets),
+            depthScale: this.depthScale,
+            referenceHandScale: this.scales.reduce((sum, scale) => sum + scale, 0) / this.scales.length
+        });
+    }
+}
@@ -0,0 +1,111 @@
+// --- HAND FRAMES ---
+// Every input source produces the same normalized "hand frame":
+// {
+//   timestamp: number (ms),
+//   hands: [{ landmarks: [{ x, y, z }] x 21, gesture: string, handedness: string }]
+// }
+// Landmarks use MediaPipe's image space (x/y in 0..1 from the camera's point of
+// view, z relative depth) so the rest of the app doesn't care where they came from.
+// `handedness` is the performer's actual hand ("Left" / "Right" / "Unknown").
+
+export const LANDMARK_COUNT = 21;
+export const FINGERTIP_INDICES = [4, 8, 12, 16, 20]; // Thumb, Index, Middle, Ring, Pinky
+
+// MediaPipe hand skeleton as pairs of landmark indices
+export const HAND_BONES = [
+    [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8], // Index
+    [5, 9], [9, 10], [10, 11], [11, 12], // Middle
+    [9, 13], [13, 14], [14, 15], [15, 16], // Ring
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20] // Pinky + palm
+];
+
+// Wrist to middle-finger knuckle length in normalized image units; grows as the
+// hand moves towards the camera, so it doubles as a depth proxy
+export function handScale(landmarks) {
+    return Math.hypot(landmarks[9].x - landmarks[0].x, landmarks[9].y - landmarks[0].y);
+}
+
+// MediaPipe labels handedness as if the image were mirrored (a selfie view), but it
+// is given the unflipped camera frames, so its "Left" is the performer's right hand.
+// The swap is its own inverse, so the same map converts both ways.
+const MEDIAPIPE_HANDEDNESS = { Left: "Right", Right: "Left" };
+
+function swapHandedness(label) {
+    return MEDIAPIPE_HANDEDNESS[label] || label;
+}
+
+export function createHandFrame(timestamp, hands = []) {
+    return { timestamp, hands };
+}
+
+// Convert a GestureRecognizerResult (or a recorded copy of one) into a hand frame
+export function resultsToHandFrame(results, timestamp) {
+    const gestures = results.gestures || [];
+    const handedness = results.handedness || results.handednesses || [];
+    const landmarks = results.landmarks || [];
+
+    const hands = gestures.map((gestureInfo, index) => ({
+        landmarks: (landmarks[index] || []).map(l => ({ x: l.x, y: l.y, z: l.z || 0 })),
+        gesture: gestureInfo[0] ? gestureInfo[0].categoryName : "None",
+        handedness: handedness[index] && handedness[index][0] ? swapHandedness(handedness[index][0].categoryName) : "Unknown"
+    }));
+
+    return createHandFrame(timestamp, hands);
+}
+
+// Inverse of resultsToHandFrame, used to keep recordings MediaPipe-shaped
+export function handFrameToResults(frame) {
+    return {
+        gestures: frame.hands.map(hand => [{ categoryName: hand.gesture, score: 1 }]),
+        handedness: frame.hands.map(hand => [{ categoryName: swapHandedness(hand.handedness), score: 1 }]),
+        landmarks: frame.hands.map(hand => hand.landmarks)
+    };
+}
+
+// --- SYNTHETIC HAND POSES ---
+// Landmark offsets from the wrist for a right hand with all fingers extended,
+// in normalized image units (roughly a hand filling a fifth of the frame).
+const OPEN_HAND_OFFSETS = [
+    [0, 0],
+    [-0.03, -0.02], [-0.055, -0.045], [-0.07, -0.07], [-0.085, -0.09],
+    [-0.025, -0.09], [-0.03, -0.13], [-0.033, -0.155], [-0.035, -0.18],
+    [0, -0.095], [0, -0.14], [0, -0.165], [0, -0.19],
+    [0.022, -0.09], [0.025, -0.13], [0.027, -0.15], [0.028, -0.17],
+    [0.042, -0.08], [0.05, -0.105], [0.055, -0.12], [0.058, -0.135]
+];
+
+// Which fingers (thumb, index, middle, ring, pinky) are extended for each gesture
+const GESTURE_FINGERS = {
+    "Open_Palm": [1, 1, 1, 1, 1],
+    "Closed_Fist": [0, 0, 0, 0, 0],
+    "Pointing_Up": [0, 1, 0, 0, 0],
+    "Victory": [0, 1, 1, 0, 0],
+    "Thumb_Up": [1, 0, 0, 0, 0],
+    "ILoveYou": [1, 1, 0, 0, 1]
+};
+
+// Build 21 landmarks for a synthetic hand whose anchor joint (index fingertip
+// by default) sits at (x, y). Curled fingers fold back onto their knuckle.
+export function buildHandLandmarks(x, y, gesture = "Pointing_Up", { anchor = 8, scale = 1, z = 0 } = {}) {
+    const fingers = GESTURE_FINGERS[gesture] || GESTURE_FINGERS["Open_Palm"];
+
+    const offsets = OPEN_HAND_OFFSETS.map(([ox, oy], i) => {
+        if (i === 0) return [ox, oy, 0];
+        const finger = Math.floor((i - 1) / 4);
+        const segment = (i - 1) % 4; // 0 = knuckle ... 3 = tip
+        if (fingers[finger] || segment === 0) return [ox, oy, 0];
+
+        // Fold the finger down towards the palm
+        const [kx, ky] = OPEN_HAND_OFFSETS[finger * 4 + 1];
+        const fold = segment * 0.25;
+        return [kx + (ox - kx) * fold, ky + 0.01 * segment, -0.02 * segment];
+    });
+
+    const [ax, ay] = offsets[anchor];
+    return offsets.map(([ox, oy, oz]) => ({
+        x: x + (ox - ax) * scale,
+        y: y + (oy - ay) * scale,
+        z: z + oz * scale
+    }));
+}
@@ -0,0 +1,42 @@
+// --- HAND IDENTITY ---
+// MediaPipe returns hands in no particular order, so detections are matched to
+// the hands already being tracked by handedness and palm proximity instead of
+// by result index. Positions are in scene units.
+
+export const HAND_TRACKING = {
+    maxMatchDistance: 8, // Palms further apart than this are treated as different hands
+    handednessPenalty: 6, // Extra cost for matching a Left detection to a Right hand (or vice versa)
+    lostGraceMs: 400 // How long a lost hand lingers before it's removed
+};
+
+function distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// tracked / detections: [{ handedness, palm: { x, y, z } }]
+// Returns, for each detection, the index of the tracked hand it continues, or -1 for a new hand.
+export function matchHands(tracked, detections, config = HAND_TRACKING) {
+    const pairs = [];
+    detections.forEach((detection, d) => {
+        tracked.forEach((hand, t) => {
+            const knownHandedness = hand.handedness !== "Unknown" && detection.handedness !== "Unknown";
+            const penalty = knownHandedness && hand.handedness !== detection.handedness ? config.handednessPenalty : 0;
+            const cost = distance(hand.palm, detection.palm) + penalty;
+            if (cost <= config.maxMatchDistance) pairs.push({ d, t, cost });
+        });
+    });
+
+    // Greedy: cheapest pairs first, each hand / detection used once
+    pairs.sort((a, b) => a.cost - b.cost);
+    const result = new Array(detections.length).fill(-1);
+    const usedTracked = new Set();
+    pairs.forEach(({ d, t }) => {
+        if (result[d] !== -1 || usedTracked.has(t)) return;
+        result[d] = t;
+        usedTracked.add(t);
+    });
+    return result;
+}
@@ -0,0 +1,15 @@
+// Hand-tracking input sources. Each source implements:
+//   start(): Promise<void>
+//   poll(nowInMs): HandFrame | null   (null = no new frame since last poll)
+//   stop(): void
+export { createHandFrame, resultsToHandFrame, handFrameToResults, buildHandLandmarks, LANDMARK_COUNT, FINGERTIP_INDICES, HAND_BONES, handScale } from './handFrame.js';
+export { matchHands, HAND_TRACKING } from './handTracking.js';
+export { OneEuroFilter, LandmarkFilter, SMOOTHING_CONFIG } from './landmarkFilter.js';
+export {
+    DEFAULT_CALIBRATION, DEPTH_CONFIG, CalibrationSession, applyCalibration, handDepth, invertCalibration, calibrationTargets,
+    solveHomography, validateCalibration, calibrationStorageKey, loadCalibration, saveCalibration
+} from './calibration.js';
+export { MediaPipeSource } from './mediaPipeSource.js';
+export { PointerSource } from './pointerSource.js';
+export { SyntheticSource, demoScript } from './syntheticSource.js';
+export { RecordedSource } from './recordedSource.js';
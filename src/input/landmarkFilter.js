@@ -0,0 +1,87 @@
+// --- LANDMARK SMOOTHING ---
+// One Euro filter (Casiez et al. 2012) per joint coordinate: a low-pass filter whose
+// cutoff rises with speed, so a still hand stops jittering while fast strikes keep
+// up. The filtered velocity also extrapolates each joint a few milliseconds ahead to
+// make up for tracker latency. Positions are in scene units, time in milliseconds.
+
+export const SMOOTHING_CONFIG = {
+    minCutoff: 1.0, // Hz; lower = smoother when still, more lag on slow moves
+    beta: 0.3, // How quickly the cutoff opens up with speed (per scene unit / second)
+    derivativeCutoff: 1.0, // Hz; smoothing of the velocity estimate
+    predictionMs: 30 // How far ahead to extrapolate (0 disables prediction)
+};
+
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+export class OneEuroFilter {
+    constructor(config = SMOOTHING_CONFIG) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.raw = null;
+        this.derivative = 0; // Filtered rate of change (units / second)
+    }
+
+    // dt in seconds since the previous sample
+    filter(value, dt) {
+        if (this.value === null || !(dt > 0)) {
+            if (this.value === null) this.value = this.raw = value;
+            return this.value;
+        }
+
+        // Derivative from raw samples rather than the lagging filtered value, so it
+        // doubles as a usable velocity estimate for prediction and hit strength
+        const { minCutoff, beta, derivativeCutoff } = this.config;
+        const rawDerivative = (value - this.raw) / dt;
+        this.raw = value;
+        this.derivative += smoothingFactor(derivativeCutoff, dt) * (rawDerivative - this.derivative);
+
+        const cutoff = minCutoff + beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+// Filters a whole hand (one OneEuroFilter per joint axis)
+export class LandmarkFilter {
+    constructor(count, config = SMOOTHING_CONFIG) {
+        this.config = config;
+        this.filters = Array(count * 3).fill(0).map(() => new OneEuroFilter(config));
+        this.lastTimestamp = -1;
+    }
+
+    setConfig(config) {
+        this.config = config;
+        this.filters.forEach(filter => { filter.config = config; });
+    }
+
+    reset() {
+        this.filters.forEach(filter => filter.reset());
+        this.lastTimestamp = -1;
+    }
+
+    // points: [{ x, y, z }]; returns [{ position, velocity }] with the predicted position
+    // and filtered velocity (units / second) of each point
+    apply(points, timestampMs) {
+        const dt = this.lastTimestamp < 0 ? 0 : (timestampMs - this.lastTimestamp) / 1000;
+        if (dt > 0 || this.lastTimestamp < 0) this.lastTimestamp = timestampMs;
+        const lead = this.config.predictionMs / 1000;
+
+        return points.map((point, i) => {
+            const result = { position: {}, velocity: {} };
+            ['x', 'y', 'z'].forEach((axis, a) => {
+                const filter = this.filters[i * 3 + a];
+                const value = filter.filter(point[axis] || 0, dt);
+                result.position[axis] = value + filter.derivative * lead;
+                result.velocity[axis] = filter.derivative;
+            });
+            return result;
+        });
+    }
+}
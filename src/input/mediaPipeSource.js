@@ -0,0 +1,144 @@
+import { FilesetResolver, GestureRecognizer } from '@mediapipe/tasks-vision';
+import { resultsToHandFrame } from './handFrame.js';
+
+// WASM and model are self-hosted: vite.config.mjs serves / bundles the WASM of the
+// installed @mediapipe/tasks-vision under <base><version>/wasm, and `npm run fetch-model`
+// puts the model in public/mediapipe/models. VITE_MEDIAPIPE_BASE moves both (e.g. to a
+// mirror). Without a self-hosted model the pinned upstream copy is used.
+const env = import.meta.env || {};
+const VERSION = __MEDIAPIPE_VERSION__; // The exact installed version, defined by vite.config.mjs
+const BASE = env.VITE_MEDIAPIPE_BASE || `${env.BASE_URL || '/'}mediapipe/`;
+
+export const MEDIAPIPE_ASSETS = {
+    wasm: `${BASE}${VERSION}/wasm`,
+    model: `${BASE}models/gesture_recognizer.task`,
+    fallbackModel: "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task"
+};
+
+async function fetchModel(url) {
+    const response = await fetch(url);
+    // Dev servers answer unknown paths with index.html, so check the type as well
+    if (!response.ok || (response.headers.get('Content-Type') || '').includes('text/html')) {
+        throw new Error(`Model not found at ${url} (${response.status})`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Live webcam input through MediaPipe's GestureRecognizer
+export class MediaPipeSource {
+    constructor(videoElement, { numHands = 2, width = 640, height = 480, delegate = "GPU", assets = MEDIAPIPE_ASSETS, onStatus = () => {} } = {}) {
+        this.name = 'mediapipe';
+        this.videoElement = videoElement;
+        this.numHands = numHands;
+        this.resolution = { width, height };
+        this.delegate = delegate; // Preferred; GPU falls back to CPU if it can't initialize
+        this.activeDelegate = null;
+        this.assets = assets;
+        this.onStatus = onStatus; // (kind: 'camera' | 'tracker', text, ok)
+        this.gestureRecognizer = null;
+        this.lastVideoTime = -1;
+        this.deviceKey = null;
+    }
+
+    // Separate startup steps so a failed one can be retried on its own
+    get startupSteps() {
+        return [
+            { id: 'camera', label: "Camera", run: () => this.initWebcam() },
+            { id: 'tracker', label: "Hand tracking model", run: () => this.initMediaPipe() }
+        ];
+    }
+
+    async start() {
+        await this.initWebcam();
+        await this.initMediaPipe();
+    }
+
+    async initWebcam() {
+        if (this.videoElement.srcObject) return;
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: { ...this.resolution, facingMode: "user" }
+            });
+        } catch (err) {
+            console.error("Webcam access denied", err);
+            const denied = err.name === 'NotAllowedError' || err.name === 'SecurityError';
+            this.onStatus('camera', denied ? "Denied" : "Error", false);
+            throw new Error(denied
+                ? "Camera access was denied. Allow it in the browser's site settings, then retry."
+                : `Could not open the camera (${err.name || err.message}). Check it isn't in use by another app, then retry.`);
+        }
+
+        this.videoElement.srcObject = stream;
+        // Identifies the camera so per-device settings (e.g. calibration) follow it
+        const [track] = stream.getVideoTracks();
+        this.deviceKey = (track && (track.getSettings().deviceId || track.label)) || null;
+
+        await new Promise((resolve) => {
+            this.videoElement.onloadedmetadata = () => {
+                this.videoElement.play();
+                this.videoElement.style.display = "block";
+                this.onStatus('camera', "Active", true);
+                resolve();
+            };
+        });
+    }
+
+    async initMediaPipe() {
+        if (this.gestureRecognizer) return;
+        this.onStatus('tracker', "Loading model…", true);
+        try {
+            const vision = await FilesetResolver.forVisionTasks(this.assets.wasm);
+            const model = await fetchModel(this.assets.model).catch(err => {
+                console.warn(`${err.message}; using the upstream model`);
+                return fetchModel(this.assets.fallbackModel);
+            });
+            this.gestureRecognizer = await this.createRecognizer(vision, model);
+            console.log(`Gesture Recognizer loaded (${this.activeDelegate})`);
+            this.onStatus('tracker', this.activeDelegate === this.delegate ? "Ready" : `Ready (${this.activeDelegate} fallback)`, true);
+        } catch (err) {
+            console.error("Error loading MediaPipe:", err);
+            this.onStatus('tracker', "Error Loading AI", false);
+            throw new Error(`Could not load the hand tracking model: ${err.message}`);
+        }
+    }
+
+    async createRecognizer(vision, modelAssetBuffer) {
+        const delegates = this.delegate === "GPU" ? ["GPU", "CPU"] : ["CPU"];
+        let lastError = null;
+        for (const delegate of delegates) {
+            try {
+                const recognizer = await GestureRecognizer.createFromOptions(vision, {
+                    baseOptions: { modelAssetBuffer, delegate },
+                    runningMode: "VIDEO",
+                    numHands: this.numHands
+                });
+                this.activeDelegate = delegate;
+                return recognizer;
+            } catch (err) {
+                console.warn(`MediaPipe ${delegate} delegate failed:`, err);
+                lastError = err;
+            }
+        }
+        throw lastError;
+    }
+
+    // Returns a hand frame when the video has advanced, otherwise null
+    poll(nowInMs) {
+        if (!this.gestureRecognizer) return null;
+        if (this.videoElement.currentTime === this.lastVideoTime) return null;
+        this.lastVideoTime = this.videoElement.currentTime;
+
+        const results = this.gestureRecognizer.recognizeForVideo(this.videoElement, nowInMs);
+        return resultsToHandFrame(results, nowInMs);
+    }
+
+    stop() {
+        if (this.gestureRecognizer) this.gestureRecognizer.close();
+        this.gestureRecognizer = null;
+        const stream = this.videoElement.srcObject;
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        this.videoElement.srcObject = null;
+        this.videoElement.style.display = "none";
+    }
+}
@@ -0,0 +1,92 @@
+import { createHandFrame, buildHandLandmarks } from './handFrame.js';
+
+// Mouse / touch input: the pointer acts as the index fingertip of a single
+// synthetic hand. Holding the button (or touching) closes the fist and pushes the
+// hand towards the camera (pressing instruments), holding Shift opens the palm,
+// otherwise the hand is pointing and hovers behind the instrument plane.
+const PRESSED_HAND_SCALE = 1.25;
+
+export class PointerSource {
+    constructor(element, { toNormalized, onStatus = () => {} } = {}) {
+        this.name = 'pointer';
+        this.element = element;
+        // Maps client coordinates to normalized landmark space; defaults to a
+        // mirrored full-window mapping like the webcam preview.
+        this.toNormalized = toNormalized || ((clientX, clientY) => ({
+            x: 1 - clientX / window.innerWidth,
+            y: clientY / window.innerHeight
+        }));
+        this.onStatus = onStatus;
+        this.position = null;
+        this.isPressed = false;
+        this.isShift = false;
+        this.isDirty = false;
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+    }
+
+    async start() {
+        this.element.addEventListener('pointermove', this.onPointerMove);
+        this.element.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointerup', this.onPointerUp);
+        this.element.addEventListener('pointerleave', this.onPointerLeave);
+        this.onStatus('camera', "Mouse / Touch", true);
+    }
+
+    stop() {
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointerleave', this.onPointerLeave);
+    }
+
+    onPointerMove(e) {
+        this.position = this.toNormalized(e.clientX, e.clientY);
+        this.isShift = e.shiftKey;
+        this.isDirty = true;
+    }
+
+    onPointerDown(e) {
+        this.isPressed = true;
+        this.onPointerMove(e);
+    }
+
+    onPointerUp(e) {
+        this.isPressed = false;
+        this.isDirty = true;
+        // Touch has no hover, so lifting the finger removes the hand
+        if (e.pointerType === 'touch') this.position = null;
+    }
+
+    onPointerLeave(e) {
+        if (e.pointerType !== 'touch') {
+            this.position = null;
+            this.isDirty = true;
+        }
+    }
+
+    currentGesture() {
+        if (this.isPressed) return "Closed_Fist";
+        if (this.isShift) return "Open_Palm";
+        return "Pointing_Up";
+    }
+
+    poll(nowInMs) {
+        if (!this.isDirty) return null;
+        this.isDirty = false;
+
+        if (!this.position) return createHandFrame(nowInMs, []);
+
+        const gesture = this.currentGesture();
+        return createHandFrame(nowInMs, [{
+            landmarks: buildHandLandmarks(this.position.x, this.position.y, gesture, {
+                scale: this.isPressed ? PRESSED_HAND_SCALE : 1
+            }),
+            gesture,
+            handedness: "Right"
+        }]);
+    }
+}
@@ -0,0 +1,24 @@
+import { SessionPlayer } from '../sessionRecorder.js';
+import { resultsToHandFrame } from './handFrame.js';
+
+// Plays back a session captured with SessionRecorder at its original timing
+export class RecordedSource {
+    constructor(session, { loop = true, label = "Recorded Session", onStatus = () => {} } = {}) {
+        this.name = 'recorded';
+        this.player = new SessionPlayer(session, { loop });
+        this.label = label;
+        this.onStatus = onStatus;
+    }
+
+    async start() {
+        this.player.startTime = -1;
+        this.onStatus('camera', "Replaying " + this.label, true);
+    }
+
+    stop() { }
+
+    poll(nowInMs) {
+        const frame = this.player.next(nowInMs);
+        return frame ? resultsToHandFrame(frame, nowInMs) : null;
+    }
+}
@@ -0,0 +1,60 @@
+import { createHandFrame, buildHandLandmarks } from './handFrame.js';
+
+// Default script: one hand sweeping back and forth over the piano row while
+// a second hand taps between the drum pads. Taps push the hand towards the
+// camera (larger scale) so they press through the instrument plane.
+export function demoScript(t) {
+    const seconds = t / 1000;
+    return [
+        {
+            x: 0.5 + Math.sin(seconds * 0.8) * 0.4,
+            y: 0.72 + Math.abs(Math.sin(seconds * 4)) * 0.04,
+            scale: 1 + Math.max(0, Math.sin(seconds * 4)) * 0.25,
+            gesture: "Pointing_Up",
+            handedness: "Right"
+        },
+        {
+            x: 0.5 + Math.cos(seconds * 0.5) * 0.3,
+            y: 0.4 + Math.sin(seconds * 1.3) * 0.08,
+            scale: 1 + Math.max(0, Math.sin(seconds * 3)) * 0.25,
+            gesture: Math.floor(seconds / 4) % 2 ? "Open_Palm" : "Closed_Fist",
+            handedness: "Left"
+        }
+    ];
+}
+
+// Scripted hands for working without a camera. `script(t)` receives the ms
+// elapsed since start and returns [{ x, y, z?, scale?, gesture, handedness }] where
+// x/y is the index fingertip in normalized landmark space and scale the apparent
+// hand size (1 = resting distance, larger = closer to the camera).
+export class SyntheticSource {
+    constructor({ script = demoScript, frameInterval = 33, onStatus = () => {} } = {}) {
+        this.name = 'synthetic';
+        this.script = script;
+        this.frameInterval = frameInterval;
+        this.onStatus = onStatus;
+        this.startTime = -1;
+        this.lastFrameTime = -Infinity;
+    }
+
+    async start() {
+        this.startTime = -1;
+        this.onStatus('camera', "Synthetic Hands", true);
+    }
+
+    stop() { }
+
+    // Emits frames at a fixed rate, like a ~30fps camera would
+    poll(nowInMs) {
+        if (this.startTime < 0) this.startTime = nowInMs;
+        if (nowInMs - this.lastFrameTime < this.frameInterval) return null;
+        this.lastFrameTime = nowInMs;
+
+        const hands = this.script(nowInMs - this.startTime).map(hand => ({
+            landmarks: buildHandLandmarks(hand.x, hand.y, hand.gesture, { z: hand.z || 0, scale: hand.scale || 1 }),
+            gesture: hand.gesture,
+            handedness: hand.handedness || "Right"
+        }));
+        return createHandFrame(nowInMs, hands);
+    }
+}
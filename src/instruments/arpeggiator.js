@@ -0,0 +1,78 @@
+import * as Tone from 'tone';
+import { arpeggioSequence } from './theory.js';
+
+// --- ARPEGGIATOR ---
+// While running, steps through the notes of the last struck key's chord on the
+// transport grid instead of playing them together. Struck keys replace the chord;
+// the arpeggiator keeps cycling until stopped (e.g. when the gesture is released).
+
+function startTransport() {
+    const transport = Tone.getTransport();
+    if (transport.state !== 'started') transport.start();
+}
+
+export class Arpeggiator {
+    constructor({ rate = '16n', pattern = 'up', octaves = 2, onNote = () => {}, ensureTransport = startTransport } = {}) {
+        this.pattern = pattern;
+        this.octaves = octaves;
+        this.onNote = onNote; // (midiNote, time, velocity, source)
+        this.ensureTransport = ensureTransport; // Whoever owns the tempo starts the transport
+        this.notes = []; // The struck chord; `sequence` is it expanded by pattern / octaves
+        this.sequence = [];
+        this.step = 0;
+        this.velocity = 0.8;
+        this.source = null;
+        this.loop = new Tone.Loop(time => this.tick(time), rate);
+        // The loop starts on the next grid line, so its own state still reads 'stopped'
+        // for a moment after start(); track ours explicitly
+        this.running = false;
+    }
+
+    get isRunning() {
+        return this.running;
+    }
+
+    // source is passed back to onNote (e.g. the instrument that was struck)
+    setNotes(notes, velocity, source) {
+        this.notes = notes;
+        this.sequence = arpeggioSequence(notes, this.pattern, this.octaves);
+        this.velocity = velocity;
+        this.source = source;
+        this.step = 0;
+    }
+
+    setPattern(pattern) {
+        this.pattern = pattern;
+        this.sequence = arpeggioSequence(this.notes, pattern, this.octaves);
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.ensureTransport();
+        this.step = 0;
+        this.loop.start(Tone.getTransport().nextSubdivision(this.loop.interval));
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        this.loop.stop(); // Also cancels a start still waiting for its grid line
+        this.notes = [];
+        this.sequence = [];
+        this.source = null;
+    }
+
+    tick(time) {
+        if (this.sequence.length === 0) return;
+        const index = this.pattern === 'random'
+            ? Math.floor(Math.random() * this.sequence.length)
+            : this.step % this.sequence.length;
+        this.step++;
+        this.onNote(this.sequence[index], time, this.velocity, this.source);
+    }
+
+    dispose() {
+        this.loop.dispose();
+    }
+}
@@ -0,0 +1,8 @@
+// Layouts bundled with the app, keyed by file name (e.g. "classic")
+const layoutModules = import.meta.glob('./layouts/*.json', { eager: true, import: 'default' });
+
+export const BUILTIN_LAYOUTS = Object.fromEntries(
+    Object.entries(layoutModules).map(([path, layout]) => [path.match(/([^/]+)\.json$/)[1], layout])
+);
+
+export const DEFAULT_LAYOUT = "classic";
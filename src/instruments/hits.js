@@ -0,0 +1,38 @@
+// --- HIT DETECTION ---
+// Hits are press events: a fingertip over an instrument's collision volume pushing
+// "through" the instrument plane (towards the camera, +z) past the instrument's
+// pressDepth. Before that, within hoverDepth of the plane, the instrument only
+// glows (pre-press). How fast the finger pushes sets the velocity, and the same
+// finger can't hit again until it has pulled back or left the (slightly larger) exit zone.
+
+export const HIT_CONFIG = {
+    minPressSpeed: 2, // scene units / second of forward motion that maps to the softest hit
+    maxPressSpeed: 40, // press speed that maps to full velocity
+    minVelocity: 0.15, // softest audible hit
+    exitMargin: 0.25, // hysteresis so jitter on the boundary doesn't retrigger
+    releaseDepth: 0.4 // how far back past pressDepth a finger must pull to release
+};
+
+// Signed depth of a point relative to the instrument plane (> 0 is through it)
+export function pressDepth(point, position) {
+    return point.z - position.z;
+}
+
+// 0 outside the hover zone, rising to 1 as the fingertip reaches the press depth
+export function pressProgress(def, depth) {
+    const range = def.hoverDepth + def.pressDepth;
+    if (range <= 0) return depth >= def.pressDepth ? 1 : 0;
+    return Math.max(0, Math.min(1, (depth + def.hoverDepth) / range));
+}
+
+// Whether a finger currently holding an instrument down has let go of it
+export function isReleased(def, depth, config = HIT_CONFIG) {
+    return depth < def.pressDepth - config.releaseDepth;
+}
+
+// Map forward (press) speed to a 0..1 velocity (minVelocity at minPressSpeed, 1 at maxPressSpeed)
+export function speedToVelocity(speed, config = HIT_CONFIG) {
+    const t = (speed - config.minPressSpeed) / (config.maxPressSpeed - config.minPressSpeed);
+    const clamped = Math.max(0, Math.min(1, t));
+    return config.minVelocity + (1 - config.minVelocity) * clamped;
+}
@@ -0,0 +1,44 @@
+import * as THREE from 'three';
+
+// --- KEY LABELS ---
+// Text sprites floating under each instrument, redrawn when the note / chord changes.
+
+const LABEL_CANVAS_WIDTH = 256;
+const LABEL_CANVAS_HEIGHT = 64;
+const LABEL_HEIGHT = 0.5; // Scene units
+
+function drawLabel(canvas, text, color) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = "600 40px Inter, sans-serif";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = color;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+}
+
+export function createLabelSprite(text, color = '#ffffff') {
+    const canvas = document.createElement('canvas');
+    canvas.width = LABEL_CANVAS_WIDTH;
+    canvas.height = LABEL_CANVAS_HEIGHT;
+    drawLabel(canvas, text, color);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, opacity: 0.8, depthWrite: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(LABEL_HEIGHT * LABEL_CANVAS_WIDTH / LABEL_CANVAS_HEIGHT, LABEL_HEIGHT, 1);
+    sprite.userData = { canvas, text, color };
+    return sprite;
+}
+
+export function setLabelText(sprite, text) {
+    if (sprite.userData.text === text) return;
+    sprite.userData.text = text;
+    drawLabel(sprite.userData.canvas, text, sprite.userData.color);
+    sprite.material.map.needsUpdate = true;
+}
+
+export function disposeLabelSprite(sprite) {
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+}
@@ -0,0 +1,131 @@
+// --- INSTRUMENT LAYOUTS ---
+// A layout is a JSON document describing every playable instrument:
+// {
+//   "name": "Classic",
+//   "instruments": [
+//     { "id", "type", "shape", "position": [x, y, z], "size", "note", "synth",
+//       "color", "hitColor", "opacity", "hitPadding": [x, y], "pressDepth", "hoverDepth" },
+//     // or a row of evenly spaced instruments sharing the same properties:
+//     { ...shared, "row": { "notes": [...], "center": [x, y, z], "step": 2, "idPrefix": "piano" } }
+//   ]
+// }
+// Shapes: "box" (size = [width, height, depth]) and "cylinder" (size = [radius, depth]).
+// Collision volumes are derived from the same shape + size, grown by hitPadding.
+// pressDepth is how far a fingertip must push through the instrument plane to play it,
+// hoverDepth how far in front of the plane the pre-press glow starts (scene units).
+// "synth" names a preset (SYNTH_PRESETS); the caller passes the known names in so this
+// module stays free of Web Audio for the headless engine.
+
+const DEFAULTS = {
+    shape: "box",
+    color: "#ffffff",
+    hitColor: "#00ffcc",
+    opacity: 0.3,
+    hitPadding: [0, 0],
+    pressDepth: 0.5,
+    hoverDepth: 3
+};
+
+const SHAPES = ["box", "cylinder"];
+const SIZE_LENGTHS = { box: 3, cylinder: 2 }; // [width, height, depth] / [radius, depth]
+
+const isNumberArray = (value, length) =>
+    Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+// A note name, or a chord of them (as for a single instrument's "note")
+const isNote = value =>
+    typeof value === 'string' || (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string'));
+
+function expandRow(entry) {
+    const { row, ...shared } = entry;
+    const where = `row "${row.idPrefix || shared.type}"`;
+    const notes = row.notes || [];
+    if (!Array.isArray(notes)) throw new Error(`${where}: notes must be a list`);
+    notes.forEach((note, i) => {
+        if (note !== null && !isNote(note)) {
+            throw new Error(`${where}: note ${i + 1} must be a note name, a chord or null, got ${JSON.stringify(note)}`);
+        }
+    });
+    const step = row.step;
+    if (!Number.isFinite(step)) throw new Error(`${where}: step must be a number`);
+    const center = row.center || [0, 0, 0];
+    const colors = row.colors || [];
+    const startX = center[0] - ((notes.length - 1) * step) / 2;
+    const prefix = row.idPrefix || shared.type;
+
+    const instruments = [];
+    notes.forEach((note, i) => {
+        // null leaves a gap (e.g. no black key between E and F)
+        if (note === null) return;
+        instruments.push({
+            ...shared,
+            id: `${prefix}_${instruments.length}`,
+            note,
+            color: colors[i] || shared.color,
+            position: [startX + i * step, center[1], center[2]]
+        });
+    });
+    return instruments;
+}
+
+function validateInstrument(def, synths) {
+    const where = `instrument "${def.id}"`;
+    if (!def.type) throw new Error(`${where}: missing type`);
+    if (!SHAPES.includes(def.shape)) throw new Error(`${where}: unknown shape "${def.shape}"`);
+    if (!isNumberArray(def.position, 3)) throw new Error(`${where}: position must be [x, y, z]`);
+    if (!isNumberArray(def.size, SIZE_LENGTHS[def.shape]) || def.size.some(v => v <= 0)) {
+        throw new Error(`${where}: size must be ${def.shape === "box" ? "[width, height, depth]" : "[radius, depth]"} (positive numbers)`);
+    }
+    if (!isNumberArray(def.hitPadding, 2)) throw new Error(`${where}: hitPadding must be [x, y]`);
+    if (!def.synth) throw new Error(`${where}: missing synth preset`);
+    if (synths && !synths.includes(def.synth)) throw new Error(`${where}: unknown synth preset "${def.synth}"`);
+    ['pressDepth', 'hoverDepth'].forEach(key => {
+        if (!Number.isFinite(def[key]) || def[key] < 0) throw new Error(`${where}: ${key} must be a number >= 0`);
+    });
+}
+
+// Flatten rows, apply defaults and validate. Returns a list of instrument definitions.
+// `synths` lists the valid preset names (any name is accepted when omitted).
+export function expandLayout(layout, synths = null) {
+    if (!layout || !Array.isArray(layout.instruments)) {
+        throw new Error('Invalid layout: missing instruments');
+    }
+
+    const instruments = [];
+    layout.instruments.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') throw new Error(`Invalid layout: instrument ${index + 1} must be an object`);
+        const expanded = entry.row ? expandRow(entry) : [{ id: `${entry.type}_${index}`, ...entry }];
+        expanded.forEach(def => {
+            const full = { ...DEFAULTS, ...def };
+            validateInstrument(full, synths);
+            instruments.push(full);
+        });
+    });
+
+    const ids = new Set();
+    instruments.forEach(def => {
+        if (ids.has(def.id)) throw new Error(`Duplicate instrument id "${def.id}"`);
+        ids.add(def.id);
+    });
+
+    return instruments;
+}
+
+// Planar (XY) hit test of a point against an instrument's collision volume,
+// optionally grown by `margin` (used as the exit zone for hysteresis)
+export function isPointInInstrument(def, position, point, margin = 0) {
+    const padX = def.hitPadding[0] + margin;
+    const padY = def.hitPadding[1] + margin;
+    const dx = Math.abs(point.x - position.x);
+    const dy = Math.abs(point.y - position.y);
+
+    if (def.shape === "box") {
+        const [width, height] = def.size;
+        return dx < width / 2 + padX && dy < height / 2 + padY;
+    }
+    if (def.shape === "cylinder") {
+        const [radius] = def.size;
+        return Math.sqrt(dx * dx + dy * dy) < radius + padX;
+    }
+    return false;
+}
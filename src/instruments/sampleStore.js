@@ -0,0 +1,53 @@
+// --- SAMPLE STORE ---
+// User audio files live in IndexedDB (they're far too big for localStorage), keyed by
+// name: { name, type, data: Blob, addedAt }.
+
+const DB_NAME = 'gesture-particles-samples';
+const STORE = 'samples';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'name' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = action(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Sample name from a file name: "Kick 01.wav" -> "Kick 01"
+export function sampleNameFromFile(fileName) {
+    return fileName.replace(/\.[^.]+$/, '');
+}
+
+export function saveSample(name, blob) {
+    return withStore('readwrite', store => store.put({ name, type: blob.type, data: blob, addedAt: Date.now() }));
+}
+
+export async function loadSample(name) {
+    const record = await withStore('readonly', store => store.get(name));
+    if (!record) throw new Error(`Sample "${name}" not found`);
+    return record.data;
+}
+
+export async function listSamples() {
+    const keys = await withStore('readonly', store => store.getAllKeys());
+    return keys.sort();
+}
+
+export function deleteSample(name) {
+    return withStore('readwrite', store => store.delete(name));
+}
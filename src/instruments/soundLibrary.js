@@ -0,0 +1,160 @@
+import * as Tone from 'tone';
+import { SYNTH_PRESETS, validatePatch, createPatchVoice, createPresetVoice } from './synthPresets.js';
+import { loadSample, listSamples, saveSample, deleteSample, sampleNameFromFile } from './sampleStore.js';
+
+// --- SOUND LIBRARY ---
+// Everything an instrument can sound like, and which instrument uses what:
+//   sound refs: { kind: 'preset' | 'patch' | 'sample', name }
+//   user patches (localStorage): { [name]: patch }          (see synthPresets.js)
+//   assignments (localStorage): { [layoutName]: { [instrumentId]: ref } }
+// Samples are stored in IndexedDB and played through a Tone.Sampler rooted at
+// SAMPLE_ROOT: pitched instruments transpose it, drums always play it as recorded.
+
+export const SAMPLE_ROOT = "C4";
+
+export function soundLabel(ref) {
+    if (!ref) return "Layout default";
+    const prefix = { preset: "Preset", patch: "Patch", sample: "Sample" }[ref.kind];
+    return `${prefix}: ${ref.name}`;
+}
+
+function loadJSON(storage, key, fallback) {
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        if (stored && typeof stored === 'object') return stored;
+    } catch (err) {
+        console.warn(`Ignoring invalid ${key}:`, err);
+    }
+    return fallback;
+}
+
+function createSamplerVoice(url, pitched, destination) {
+    return new Promise((resolve, reject) => {
+        const sampler = new Tone.Sampler({
+            urls: { [SAMPLE_ROOT]: url },
+            onload: () => {
+                URL.revokeObjectURL(url);
+                resolve({
+                    synth: sampler,
+                    play: (note, time, velocity = 1) => sampler.triggerAttack(pitched && note ? note : SAMPLE_ROOT, time, velocity),
+                    dispose: () => sampler.dispose()
+                });
+            },
+            onerror: err => {
+                URL.revokeObjectURL(url);
+                sampler.dispose();
+                reject(err);
+            }
+        }).connect(destination);
+    });
+}
+
+export class SoundLibrary {
+    constructor({ storage, patchesKey, assignmentsKey }) {
+        this.storage = storage;
+        this.patchesKey = patchesKey;
+        this.assignmentsKey = assignmentsKey;
+        this.patches = loadJSON(storage, patchesKey, {});
+        this.assignments = loadJSON(storage, assignmentsKey, {});
+        this.samples = []; // Sample names, filled by refreshSamples()
+    }
+
+    async refreshSamples() {
+        try {
+            this.samples = await listSamples();
+        } catch (err) {
+            console.warn("Sample storage unavailable:", err);
+            this.samples = [];
+        }
+        return this.samples;
+    }
+
+    listSounds() {
+        return [
+            ...Object.keys(SYNTH_PRESETS).map(name => ({ kind: 'preset', name })),
+            ...Object.keys(this.patches).sort().map(name => ({ kind: 'patch', name })),
+            ...this.samples.map(name => ({ kind: 'sample', name }))
+        ];
+    }
+
+    // --- Patches ---
+    getPatch(name) {
+        return this.patches[name] || SYNTH_PRESETS[name] || null;
+    }
+
+    savePatch(name, patch) {
+        if (!name) throw new Error("Patch needs a name");
+        this.patches[name] = validatePatch({ ...patch, name });
+        this.storage.setItem(this.patchesKey, JSON.stringify(this.patches));
+    }
+
+    deletePatch(name) {
+        delete this.patches[name];
+        this.storage.setItem(this.patchesKey, JSON.stringify(this.patches));
+        this.forgetSound({ kind: 'patch', name });
+    }
+
+    exportPatches() {
+        return { version: 1, patches: this.patches };
+    }
+
+    importPatches(data) {
+        const patches = data && data.patches;
+        if (!patches || typeof patches !== 'object') throw new Error("Not a patch file");
+        Object.entries(patches).forEach(([name, patch]) => this.savePatch(name, patch));
+        return Object.keys(patches);
+    }
+
+    // --- Samples ---
+    async addSampleFile(file) {
+        const name = sampleNameFromFile(file.name);
+        await saveSample(name, file);
+        await this.refreshSamples();
+        return name;
+    }
+
+    async deleteSample(name) {
+        await deleteSample(name);
+        await this.refreshSamples();
+        this.forgetSound({ kind: 'sample', name });
+    }
+
+    // --- Assignments ---
+    getAssignment(layoutName, instrumentId) {
+        const layout = this.assignments[layoutName];
+        return (layout && layout[instrumentId]) || null;
+    }
+
+    assign(layoutName, instrumentId, ref) {
+        const layout = this.assignments[layoutName] || (this.assignments[layoutName] = {});
+        if (ref) layout[instrumentId] = ref;
+        else delete layout[instrumentId];
+        this.storage.setItem(this.assignmentsKey, JSON.stringify(this.assignments));
+    }
+
+    // Drop assignments to a sound that no longer exists
+    forgetSound(ref) {
+        Object.values(this.assignments).forEach(layout => {
+            Object.keys(layout).forEach(id => {
+                if (layout[id].kind === ref.kind && layout[id].name === ref.name) delete layout[id];
+            });
+        });
+        this.storage.setItem(this.assignmentsKey, JSON.stringify(this.assignments));
+    }
+
+    // Voice for an instrument definition: its assignment if any, else the layout's preset
+    async createVoice(ref, def, destination = Tone.getDestination()) {
+        if (!ref) return createPresetVoice(def.synth, destination);
+        if (ref.kind === 'preset') return createPresetVoice(ref.name, destination);
+        if (ref.kind === 'patch') {
+            const patch = this.patches[ref.name];
+            if (!patch) throw new Error(`Patch "${ref.name}" not found`);
+            return createPatchVoice(patch, destination);
+        }
+        if (ref.kind === 'sample') {
+            const blob = await loadSample(ref.name);
+            return createSamplerVoice(URL.createObjectURL(blob), def.type !== 'drum', destination);
+        }
+        throw new Error(`Unknown sound kind "${ref.kind}"`);
+    }
+}
@@ -0,0 +1,187 @@
+import { SYNTH_TYPES, EFFECT_TYPES, OSCILLATOR_TYPES, SYNTH_PRESETS } from './synthPresets.js';
+import { soundLabel } from './soundLibrary.js';
+
+// In-app sound browser: which sound each instrument of the current layout plays,
+// a small patch editor (synth, oscillator, envelope, effects chain) and the list of
+// stored samples. Edits go through the callbacks; render() rebuilds everything.
+//   getInstruments() -> [{ id, label, ref }]
+//   onAssign(instrumentId, ref | null), onSavePatch(name, patch), onDeletePatch(name),
+//   onImportFiles(files), onDeleteSample(name), onExportPatches()
+export function createSoundsPanel(container, { library, getInstruments, onAssign, onSavePatch, onDeletePatch, onImportFiles, onDeleteSample, onExportPatches }) {
+    const assignments = document.createElement('div');
+    const editor = document.createElement('div');
+    editor.className = 'patch-editor';
+    const samples = document.createElement('div');
+    container.append(heading("Instruments"), assignments, heading("Patch editor"), editor, heading("Samples"), samples);
+
+    function heading(text) {
+        const el = document.createElement('h3');
+        el.innerText = text;
+        return el;
+    }
+
+    function select(options, value) {
+        const el = document.createElement('select');
+        options.forEach(([optionValue, label]) => {
+            const opt = document.createElement('option');
+            opt.value = optionValue;
+            opt.textContent = label;
+            el.appendChild(opt);
+        });
+        el.value = value;
+        return el;
+    }
+
+    function button(text, onClick) {
+        const el = document.createElement('button');
+        el.className = 'secondary small';
+        el.innerText = text;
+        el.addEventListener('click', onClick);
+        return el;
+    }
+
+    function numberInput(value, { min = 0, max, step = 0.01, title }) {
+        const el = document.createElement('input');
+        el.type = 'number';
+        el.min = min;
+        if (max !== undefined) el.max = max;
+        el.step = step;
+        el.value = value;
+        el.title = title;
+        return el;
+    }
+
+    const refKey = ref => (ref ? `${ref.kind}:${ref.name}` : '');
+
+    function renderAssignments() {
+        assignments.innerHTML = '';
+        const sounds = library.listSounds();
+        const options = [['', soundLabel(null)], ...sounds.map(ref => [refKey(ref), soundLabel(ref)])];
+
+        getInstruments().forEach(instrument => {
+            const row = document.createElement('div');
+            row.className = 'binding-row sound-row';
+            const name = document.createElement('span');
+            name.innerText = instrument.label;
+            const sound = select(options, refKey(instrument.ref));
+            sound.addEventListener('change', () => {
+                onAssign(instrument.id, sounds.find(ref => refKey(ref) === sound.value) || null);
+            });
+            row.append(name, sound);
+            assignments.appendChild(row);
+        });
+    }
+
+    // --- Patch editor ---
+    let draft = { name: "my-patch", ...structuredClone(SYNTH_PRESETS.triangle) };
+
+    function renderEditor() {
+        editor.innerHTML = '';
+        const patchNames = [...Object.keys(SYNTH_PRESETS), ...Object.keys(library.patches)];
+        const base = select([['', "Start from…"], ...patchNames.map(name => [name, name])], '');
+        base.addEventListener('change', () => {
+            const patch = library.getPatch(base.value);
+            if (!patch) return;
+            draft = { ...structuredClone(patch), name: library.patches[base.value] ? base.value : `${base.value}-copy` };
+            renderEditor();
+        });
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = draft.name;
+        name.title = "Patch name";
+        name.addEventListener('change', () => { draft.name = name.value.trim(); });
+
+        const synth = select(Object.keys(SYNTH_TYPES).map(type => [type, type]), draft.synth);
+        synth.addEventListener('change', () => { draft.synth = synth.value; });
+        const oscillator = select(OSCILLATOR_TYPES.map(type => [type, type]), (draft.options.oscillator || {}).type || 'sine');
+        oscillator.addEventListener('change', () => {
+            draft.options.oscillator = { ...draft.options.oscillator, type: oscillator.value };
+        });
+        const poly = document.createElement('label');
+        const polyBox = document.createElement('input');
+        polyBox.type = 'checkbox';
+        polyBox.checked = Boolean(draft.poly);
+        polyBox.addEventListener('change', () => { draft.poly = polyBox.checked; });
+        poly.append(polyBox, " Poly");
+
+        const envelope = draft.options.envelope || (draft.options.envelope = { attack: 0.01, decay: 0.3, sustain: 0.3, release: 1 });
+        const envelopeRow = document.createElement('div');
+        envelopeRow.className = 'binding-row envelope-row';
+        ['attack', 'decay', 'sustain', 'release'].forEach(stage => {
+            const input = numberInput(envelope[stage] ?? 0, { max: stage === 'sustain' ? 1 : 10, title: stage });
+            input.addEventListener('change', () => { envelope[stage] = Math.max(0, parseFloat(input.value) || 0); });
+            envelopeRow.append(input);
+        });
+
+        const effectsList = document.createElement('div');
+        (draft.effects || (draft.effects = [])).forEach((effect, index) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row effect-row';
+            const type = select(Object.keys(EFFECT_TYPES).map(t => [t, t]), effect.type);
+            type.addEventListener('change', () => { effect.type = type.value; });
+            const wet = numberInput(effect.options.wet ?? 1, { max: 1, title: "Wet" });
+            wet.addEventListener('change', () => { effect.options.wet = Math.max(0, Math.min(1, parseFloat(wet.value) || 0)); });
+            row.append(type, wet, button("×", () => {
+                draft.effects.splice(index, 1);
+                renderEditor();
+            }));
+            effectsList.appendChild(row);
+        });
+
+        const mainRow = document.createElement('div');
+        mainRow.className = 'binding-row patch-row';
+        mainRow.append(base, name, synth, oscillator, poly);
+
+        const footer = document.createElement('div');
+        footer.className = 'bindings-footer';
+        footer.append(
+            button("Add effect", () => {
+                draft.effects.push({ type: 'Reverb', options: { wet: 0.3 } });
+                renderEditor();
+            }),
+            button("Save patch", () => onSavePatch(draft.name, structuredClone(draft))),
+            button("Delete", () => onDeletePatch(draft.name)),
+            button("Export", onExportPatches)
+        );
+
+        editor.append(mainRow, envelopeRow, effectsList, footer);
+    }
+
+    // --- Samples ---
+    function renderSamples() {
+        samples.innerHTML = '';
+        const drop = document.createElement('div');
+        drop.className = 'sample-drop';
+        drop.innerText = "Drop audio files or patch .json here (or anywhere). Samples named after an instrument are assigned to it.";
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'audio/*,.json,application/json';
+        fileInput.multiple = true;
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', () => {
+            onImportFiles([...fileInput.files]);
+            fileInput.value = '';
+        });
+        drop.addEventListener('click', () => fileInput.click());
+        samples.append(drop, fileInput);
+
+        library.samples.forEach(name => {
+            const row = document.createElement('div');
+            row.className = 'binding-row sound-row';
+            const label = document.createElement('span');
+            label.innerText = name;
+            row.append(label, button("×", () => onDeleteSample(name)));
+            samples.appendChild(row);
+        });
+    }
+
+    function render() {
+        renderAssignments();
+        renderEditor();
+        renderSamples();
+    }
+
+    render();
+    return { render };
+}
@@ -0,0 +1,150 @@
+import * as Tone from 'tone';
+
+// --- SYNTH PRESETS ---
+// Instrument layouts refer to sounds by preset name. A preset is a plain-data patch,
+// so user patches can be edited, saved and shared as JSON:
+// {
+//   "name": "triangle",
+//   "synth": "Synth",                 // key of SYNTH_TYPES
+//   "poly": true,                     // wrap in a PolySynth (chords / overlapping notes)
+//   "options": { "oscillator": { "type": "triangle" }, "envelope": { ... } },
+//   "duration": "8n",                 // note length per hit
+//   "pitched": true,                  // false = ignore the note (noise / metal drums)
+//   "defaultNote": "C1",              // note used when an instrument has none, and the
+//                                     // fixed pitch (note or Hz) of unpitched voices
+//   "effects": [{ "type": "Reverb", "options": { "decay": 2, "wet": 0.3 } }]
+// }
+// Each instrument gets its own voice so every key/pad can ring out independently.
+
+export const SYNTH_TYPES = {
+    Synth: Tone.Synth,
+    FMSynth: Tone.FMSynth,
+    AMSynth: Tone.AMSynth,
+    MonoSynth: Tone.MonoSynth,
+    MembraneSynth: Tone.MembraneSynth,
+    MetalSynth: Tone.MetalSynth,
+    NoiseSynth: Tone.NoiseSynth
+};
+
+// Synths that can't be wrapped in a PolySynth or don't take a note
+const UNPITCHED_TYPES = ['MetalSynth', 'NoiseSynth'];
+
+export const EFFECT_TYPES = {
+    Reverb: Tone.Reverb,
+    FeedbackDelay: Tone.FeedbackDelay,
+    Chorus: Tone.Chorus,
+    Distortion: Tone.Distortion,
+    Filter: Tone.Filter,
+    Phaser: Tone.Phaser,
+    Tremolo: Tone.Tremolo,
+    BitCrusher: Tone.BitCrusher
+};
+
+export const OSCILLATOR_TYPES = ["sine", "triangle", "square", "sawtooth", "fatsawtooth", "fatsquare", "fmsine", "amsine"];
+
+export const SYNTH_PRESETS = {
+    triangle: {
+        synth: "Synth", poly: true, duration: "8n",
+        options: {
+            oscillator: { type: "triangle" },
+            envelope: { attack: 0.01, decay: 0.5, sustain: 0.1, release: 1 }
+        }
+    },
+    mallet: {
+        synth: "FMSynth", poly: true, duration: "8n",
+        options: {
+            harmonicity: 8,
+            modulationIndex: 2,
+            oscillator: { type: "sine" },
+            envelope: { attack: 0.001, decay: 0.6, sustain: 0, release: 0.4 },
+            modulationEnvelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.1 }
+        }
+    },
+    pad: {
+        synth: "Synth", poly: true, duration: "2n",
+        options: {
+            oscillator: { type: "fatsawtooth", count: 3, spread: 30 },
+            envelope: { attack: 0.3, decay: 0.4, sustain: 0.6, release: 2.5 }
+        }
+    },
+    kick: { synth: "MembraneSynth", duration: "8n", defaultNote: "C1", options: {} },
+    tom: { synth: "MembraneSynth", duration: "8n", defaultNote: "G2", options: { pitchDecay: 0.08, octaves: 4 } },
+    snare: {
+        synth: "NoiseSynth", duration: "16n",
+        options: {
+            noise: { type: 'white' },
+            envelope: { attack: 0.005, decay: 0.1, sustain: 0, release: 0 }
+        }
+    },
+    hihat: {
+        synth: "MetalSynth", duration: "32n", defaultNote: 200,
+        options: {
+            envelope: { attack: 0.001, decay: 0.1, release: 0.01 },
+            harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5
+        }
+    },
+    openHat: {
+        synth: "MetalSynth", duration: "8n", defaultNote: 200,
+        options: {
+            envelope: { attack: 0.001, decay: 0.5, release: 0.2 },
+            harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5
+        }
+    },
+    cymbal: {
+        synth: "MetalSynth", duration: "2n", defaultNote: 300,
+        options: {
+            envelope: { attack: 0.001, decay: 1.4, release: 0.8 },
+            harmonicity: 5.1, modulationIndex: 40, resonance: 3000, octaves: 1.5
+        }
+    }
+};
+
+export function validatePatch(patch) {
+    if (!patch || typeof patch !== 'object') throw new Error("Patch must be an object");
+    if (!SYNTH_TYPES[patch.synth]) throw new Error(`Unknown synth type "${patch.synth}"`);
+    const effects = patch.effects || [];
+    if (!Array.isArray(effects)) throw new Error("Patch effects must be a list");
+    effects.forEach(effect => {
+        if (!EFFECT_TYPES[effect.type]) throw new Error(`Unknown effect "${effect.type}"`);
+    });
+
+    const unpitched = UNPITCHED_TYPES.includes(patch.synth);
+    return {
+        ...patch,
+        poly: Boolean(patch.poly) && !unpitched,
+        pitched: patch.pitched !== undefined ? Boolean(patch.pitched) : !unpitched,
+        duration: patch.duration || "8n",
+        options: patch.options || {},
+        effects: effects.map(effect => ({ type: effect.type, options: effect.options || {} }))
+    };
+}
+
+// patch -> { synth, play(note, time, velocity = 1), dispose }
+export function createPatchVoice(patch, destination = Tone.getDestination()) {
+    const { synth: type, poly, options, effects, duration, pitched, defaultNote } = validatePatch(patch);
+    const synth = poly ? new Tone.PolySynth(SYNTH_TYPES[type], options) : new SYNTH_TYPES[type](options);
+    const chain = effects.map(effect => new EFFECT_TYPES[effect.type](effect.options));
+    synth.chain(...chain, destination);
+
+    return {
+        synth,
+        play: (note, time, velocity = 1) => {
+            // NoiseSynth is the only voice without a note argument; the others (MetalSynth
+            // included) take (note, duration, time, velocity) even when unpitched.
+            // options.frequency is how older saved Metal patches set their pitch.
+            if (type === 'NoiseSynth') synth.triggerAttackRelease(duration, time, velocity);
+            else if (!pitched) synth.triggerAttackRelease(defaultNote || options.frequency || "C4", duration, time, velocity);
+            else synth.triggerAttackRelease(note || defaultNote || "C4", duration, time, velocity);
+        },
+        dispose: () => {
+            synth.dispose();
+            chain.forEach(node => node.dispose());
+        }
+    };
+}
+
+export function createPresetVoice(presetName, destination) {
+    const preset = SYNTH_PRESETS[presetName];
+    if (!preset) throw new Error(`Unknown synth preset "${presetName}"`);
+    return createPatchVoice(preset, destination);
+}
@@ -0,0 +1,162 @@
+import { noteNameToMidi } from '../midi.js';
+
+// --- MUSIC THEORY ---
+// Maps the melodic keys of a layout onto a chosen root + scale, and builds diatonic
+// chords for chord mode. Keys are ordered by their layout pitch, so the lowest key
+// plays the root and each key to the right plays the next scale degree.
+//   theory settings: { root: 0..11, scale: key of SCALES, chordMode: key of CHORD_MODES,
+//                      arpPattern: key of ARP_PATTERNS }
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// Semitone steps from the root; "layout" keeps the notes written in the layout file
+export const SCALES = {
+    layout: { label: "Layout notes", intervals: null },
+    major: { label: "Major", intervals: [0, 2, 4, 5, 7, 9, 11] },
+    minor: { label: "Natural minor", intervals: [0, 2, 3, 5, 7, 8, 10] },
+    harmonicMinor: { label: "Harmonic minor", intervals: [0, 2, 3, 5, 7, 8, 11] },
+    majorPentatonic: { label: "Major pentatonic", intervals: [0, 2, 4, 7, 9] },
+    minorPentatonic: { label: "Minor pentatonic", intervals: [0, 3, 5, 7, 10] },
+    blues: { label: "Blues", intervals: [0, 3, 5, 6, 7, 10] },
+    dorian: { label: "Dorian", intervals: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian: { label: "Phrygian", intervals: [0, 1, 3, 5, 7, 8, 10] },
+    lydian: { label: "Lydian", intervals: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { label: "Mixolydian", intervals: [0, 2, 4, 5, 7, 9, 10] },
+    locrian: { label: "Locrian", intervals: [0, 1, 3, 5, 6, 8, 10] },
+    chromatic: { label: "Chromatic", intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }
+};
+
+export const CHORD_MODES = {
+    single: { label: "Single notes", size: 1 },
+    triad: { label: "Triads", size: 3 },
+    seventh: { label: "Sevenths", size: 4 }
+};
+
+export const ARP_PATTERNS = {
+    up: "Arp up",
+    down: "Arp down",
+    upDown: "Arp up & down",
+    random: "Arp random"
+};
+
+export const DEFAULT_THEORY = { root: 0, scale: 'layout', chordMode: 'single', arpPattern: 'up' };
+
+// Chord qualities by semitones above the chord root
+const CHORD_SUFFIXES = {
+    "4,7": "", "3,7": "m", "3,6": "dim", "4,8": "aug",
+    "4,7,11": "maj7", "4,7,10": "7", "3,7,10": "m7", "3,6,10": "m7b5", "3,6,9": "dim7", "3,7,11": "mMaj7"
+};
+
+export function midiToNoteName(midi) {
+    return NOTE_NAMES[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+// Scale used for chords: "layout" borrows the major scale of the chosen root
+function chordIntervals(scale) {
+    return SCALES[scale].intervals || SCALES.major.intervals;
+}
+
+// MIDI note of a (possibly negative or > scale length) degree above rootMidi
+export function scaleDegreeToMidi(rootMidi, intervals, degree) {
+    const octave = Math.floor(degree / intervals.length);
+    const step = degree - octave * intervals.length;
+    return rootMidi + octave * 12 + intervals[step];
+}
+
+// Stack every other scale note on top of `midi`. Notes outside the scale stay single.
+export function diatonicChord(midi, root, intervals, size) {
+    if (size <= 1) return [midi];
+    const step = intervals.indexOf((((midi - root) % 12) + 12) % 12);
+    if (step < 0) return [midi];
+
+    const degreeRoot = midi - intervals[step];
+    const notes = [];
+    for (let i = 0; i < size; i++) notes.push(scaleDegreeToMidi(degreeRoot, intervals, step + i * 2));
+    return notes;
+}
+
+// Chord symbol such as "Dm" or "G7"; falls back to the note names
+export function chordName(notes) {
+    const [root, ...rest] = notes;
+    if (rest.length === 0) return midiToNoteName(root);
+    const suffix = CHORD_SUFFIXES[rest.map(note => note - root).join(',')];
+    if (suffix === undefined) return notes.map(midiToNoteName).join(' ');
+    return NOTE_NAMES[root % 12] + suffix;
+}
+
+// Play order for one arpeggio cycle over `notes`, spanning `octaves` octaves
+export function arpeggioSequence(notes, pattern = 'up', octaves = 1) {
+    const ascending = [];
+    for (let octave = 0; octave < octaves; octave++) {
+        [...notes].sort((a, b) => a - b).forEach(note => ascending.push(note + octave * 12));
+    }
+
+    switch (pattern) {
+        case 'down':
+            return ascending.reverse();
+        case 'upDown':
+            return ascending.length > 2 ? ascending.concat(ascending.slice(1, -1).reverse()) : ascending;
+        default:
+            return ascending; // 'random' picks from the ascending set at play time
+    }
+}
+
+// keys: [{ note }] in layout order, where note is a note name (or array, which is
+// kept as-is apart from octave shifting). Returns per key { notes: midi[], arpeggio: midi[], label },
+// where arpeggio is the chord the arpeggiator cycles through (at least a triad).
+export function mapKeysToScale(keys, theory, octaveShift = 0) {
+    const { root, scale, chordMode } = { ...DEFAULT_THEORY, ...theory };
+    if (!SCALES[scale]) throw new Error(`Unknown scale "${scale}"`);
+    if (!CHORD_MODES[chordMode]) throw new Error(`Unknown chord mode "${chordMode}"`);
+
+    const shift = octaveShift * 12;
+    const size = CHORD_MODES[chordMode].size;
+    const intervals = SCALES[scale].intervals;
+
+    const singles = keys
+        .map((key, index) => ({ index, midi: Array.isArray(key.note) ? null : noteNameToMidi(key.note) }))
+        .filter(key => key.midi !== null);
+    const result = keys.map(key => {
+        const notes = [].concat(key.note).map(note => noteNameToMidi(note) + shift);
+        return { notes, arpeggio: notes, label: notes.length > 1 ? chordName(notes) : midiToNoteName(notes[0]) };
+    });
+
+    // Assign scale degrees in pitch order, starting at the root at or below the lowest key
+    let pitches = new Map(singles.map(key => [key.index, key.midi]));
+    if (intervals && singles.length > 0) {
+        const sorted = [...singles].sort((a, b) => a.midi - b.midi || a.index - b.index);
+        const lowest = sorted[0].midi;
+        const rootMidi = lowest - ((((lowest - root) % 12) + 12) % 12);
+        pitches = new Map(sorted.map((key, degree) => [key.index, scaleDegreeToMidi(rootMidi, intervals, degree)]));
+    }
+
+    pitches.forEach((midi, index) => {
+        const notes = diatonicChord(midi + shift, root, chordIntervals(scale), size);
+        const arpeggio = size >= 3 ? notes : diatonicChord(midi + shift, root, chordIntervals(scale), 3);
+        result[index] = { notes, arpeggio, label: notes.length > 1 ? chordName(notes) : midiToNoteName(notes[0]) };
+    });
+    return result;
+}
+
+export function validateTheory(theory) {
+    const merged = { ...DEFAULT_THEORY, ...theory };
+    if (!Number.isInteger(merged.root) || merged.root < 0 || merged.root > 11) throw new Error("Root must be 0-11");
+    if (!SCALES[merged.scale]) throw new Error(`Unknown scale "${merged.scale}"`);
+    if (!CHORD_MODES[merged.chordMode]) throw new Error(`Unknown chord mode "${merged.chordMode}"`);
+    if (!ARP_PATTERNS[merged.arpPattern]) throw new Error(`Unknown arpeggio pattern "${merged.arpPattern}"`);
+    return { root: merged.root, scale: merged.scale, chordMode: merged.chordMode, arpPattern: merged.arpPattern };
+}
+
+export function loadTheory(storage, key) {
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        if (stored) return validateTheory(stored);
+    } catch (err) {
+        console.warn("Ignoring invalid key / scale settings:", err);
+    }
+    return { ...DEFAULT_THEORY };
+}
+
+export function saveTheory(storage, key, theory) {
+    storage.setItem(key, JSON.stringify(validateTheory(theory)));
+}
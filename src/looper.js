@@ -0,0 +1,165 @@
+import * as Tone from 'tone';
+
+// --- LOOPER ---
+// Records instrument hits quantized to the Tone.js Transport and plays them
+// back as a loop. Every recording pass becomes a new layer (overdub), so layers can be
+// undone one at a time. Loops serialize to JSON:
+// { version, bpm, bars, quantize, layers: [[{ tick, instrumentId, note, velocity }]] }
+
+const LOOP_FORMAT_VERSION = 1;
+
+// Snap an absolute transport tick to the grid and split it into the position within the
+// loop and the loop pass it falls in. Both come from the same snapped tick, so a hit just
+// before the loop end lands on tick 0 of the *next* pass rather than the current one.
+export function quantizeTick(absoluteTicks, grid, loopTicks) {
+    const snapped = Math.round(absoluteTicks / grid) * grid;
+    return { tick: snapped % loopTicks, cycle: Math.floor(snapped / loopTicks) };
+}
+
+export class Looper {
+    constructor({ bpm = 100, bars = 2, quantize = "16n", onPlay = () => {}, onChange = () => {} } = {}) {
+        this.bpm = bpm;
+        this.bars = bars;
+        this.quantize = quantize;
+        this.onPlay = onPlay; // (event, time) for every event played back
+        this.onChange = onChange; // () whenever state/layers change
+        this.layers = []; // [{ events: [], part: Tone.Part }]
+        this.isRecording = false;
+        this.recordingLayer = null;
+    }
+
+    get loopTicks() {
+        return Tone.Time(`${this.bars}m`).toTicks();
+    }
+
+    get isPlaying() {
+        return Tone.getTransport().state === 'started';
+    }
+
+    // The looper owns the tempo; anything else that needs the transport running (the
+    // arpeggiator) starts it through here so it runs at the loop's bpm
+    ensureTransport() {
+        const transport = Tone.getTransport();
+        transport.bpm.value = this.bpm;
+        transport.loop = false;
+        if (!this.isPlaying) {
+            transport.position = 0;
+            transport.start();
+        }
+    }
+
+    setTempo(bpm) {
+        this.bpm = bpm;
+        Tone.getTransport().bpm.value = bpm;
+        this.onChange();
+    }
+
+    startRecording() {
+        if (this.isRecording) return;
+        this.ensureTransport();
+        this.recordingLayer = this.createLayer([]);
+        this.layers.push(this.recordingLayer);
+        this.isRecording = true;
+        this.onChange();
+    }
+
+    stopRecording() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        // Drop empty passes so undo always removes something audible
+        if (this.recordingLayer.events.length === 0) this.removeLayer(this.recordingLayer);
+        this.recordingLayer = null;
+        this.onChange();
+    }
+
+    toggleRecording() {
+        if (this.isRecording) this.stopRecording();
+        else this.startRecording();
+    }
+
+    // Capture a hit at audio-context time `time`, snapped to the quantize grid
+    record(instrumentId, note, velocity, time = Tone.now()) {
+        if (!this.isRecording) return;
+
+        const grid = Tone.Time(this.quantize).toTicks();
+        const { tick, cycle } = quantizeTick(Tone.getTransport().getTicksAtTime(time), grid, this.loopTicks);
+
+        const event = {
+            tick,
+            instrumentId,
+            note,
+            velocity,
+            // The performer already heard this hit; don't echo it in the pass it was played
+            skipCycle: cycle
+        };
+        this.recordingLayer.events.push(event);
+        this.recordingLayer.part.add(`${tick}i`, event);
+        this.onChange();
+    }
+
+    undoLastLayer() {
+        if (this.isRecording) this.stopRecording();
+        const layer = this.layers[this.layers.length - 1];
+        if (layer) this.removeLayer(layer);
+        this.onChange();
+    }
+
+    clear() {
+        this.isRecording = false;
+        this.recordingLayer = null;
+        this.layers.forEach(layer => layer.part.dispose());
+        this.layers = [];
+        // The transport keeps running: the arpeggiator may be playing on it
+        this.onChange();
+    }
+
+    createLayer(events) {
+        const part = new Tone.Part((time, event) => {
+            const cycle = Math.floor(Tone.getTransport().getTicksAtTime(time) / this.loopTicks);
+            if (event.skipCycle === cycle) return;
+            this.onPlay(event, time);
+        }, events.map(event => [`${event.tick}i`, event]));
+
+        part.loop = true;
+        part.loopEnd = `${this.bars}m`;
+        part.start(0);
+        return { events, part };
+    }
+
+    removeLayer(layer) {
+        layer.part.dispose();
+        this.layers = this.layers.filter(l => l !== layer);
+    }
+
+    toJSON() {
+        return {
+            version: LOOP_FORMAT_VERSION,
+            bpm: this.bpm,
+            bars: this.bars,
+            quantize: this.quantize,
+            layers: this.layers.map(layer => layer.events.map(({ tick, instrumentId, note, velocity }) => ({
+                tick, instrumentId, note, velocity
+            })))
+        };
+    }
+
+    load(data) {
+        if (!data || !Array.isArray(data.layers)) throw new Error('Invalid loop file: missing layers');
+        if (data.version > LOOP_FORMAT_VERSION) throw new Error(`Unsupported loop version ${data.version}`);
+
+        this.clear();
+        this.bpm = data.bpm || this.bpm;
+        this.bars = data.bars || this.bars;
+        this.quantize = data.quantize || this.quantize;
+        data.layers.forEach(events => this.layers.push(this.createLayer(events.map(e => ({ ...e })))));
+
+        if (this.layers.length) this.ensureTransport();
+        this.onChange();
+    }
+
+    describe() {
+        if (this.isRecording) return `Recording layer ${this.layers.length}`;
+        if (this.layers.length) return `Playing ${this.layers.length} layer${this.layers.length > 1 ? 's' : ''}`;
+        return "Empty";
+    }
+}
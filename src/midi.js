@@ -0,0 +1,181 @@
+// --- WEB MIDI BRIDGE ---
+// Sends instrument hits as MIDI notes and palm height as a CC, and listens for
+// incoming notes so external gear can light up the matching instruments.
+// `requestMIDIAccess` is injectable so the bridge can run against a mock.
+// Timestamps are DOMHighResTimeStamps (the performance.now() clock) as taken by
+// MIDIOutput.send; omitted means "now".
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+
+// General MIDI percussion map (channel 10), keyed by drum name or synth preset
+export const GM_DRUM_MAP = {
+    Kick: 36,
+    Snare: 38,
+    HiHat: 42,
+    OpenHat: 46,
+    TomFloor: 43,
+    TomMid: 47,
+    TomHigh: 50,
+    Crash: 49,
+    Ride: 51,
+    kick: 36,
+    snare: 38,
+    hihat: 42,
+    openHat: 46,
+    tom: 47,
+    cymbal: 49
+};
+
+export const DEFAULT_MIDI_CONFIG = {
+    outputId: null,
+    inputId: null,
+    noteChannel: 1, // 1-16
+    drumChannel: 10,
+    controlChannel: 1,
+    controlNumber: 74, // Brightness / filter cutoff
+    noteLength: 250 // ms between note-on and note-off
+};
+
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// "C4" -> 60, "F#3" -> 54, "Bb2" -> 46
+export function noteNameToMidi(name) {
+    const match = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(name);
+    if (!match) throw new Error(`Invalid note name "${name}"`);
+
+    const [, letter, accidental, octave] = match;
+    let note = NOTE_OFFSETS[letter.toUpperCase()] + (parseInt(octave, 10) + 1) * 12;
+    if (accidental === '#') note++;
+    if (accidental === 'b') note--;
+    return note;
+}
+
+// MIDI note numbers an instrument definition should emit
+export function instrumentMidiNotes(def) {
+    if (def.midiNote !== undefined) return [].concat(def.midiNote);
+
+    if (def.type === 'drum') {
+        const gmNote = GM_DRUM_MAP[def.name] || GM_DRUM_MAP[def.synth];
+        return gmNote ? [gmNote] : [];
+    }
+
+    if (!def.note) return [];
+    return [].concat(def.note).map(noteNameToMidi);
+}
+
+export class MidiBridge {
+    constructor({ requestMIDIAccess, config = {}, onNote = () => {}, onDevicesChanged = () => {} } = {}) {
+        this.requestMIDIAccess = requestMIDIAccess ||
+            (typeof navigator !== 'undefined' && navigator.requestMIDIAccess ? navigator.requestMIDIAccess.bind(navigator) : null);
+        this.config = { ...DEFAULT_MIDI_CONFIG, ...config };
+        this.onNote = onNote; // (midiNote, velocity 0..1, channel) for incoming note-ons
+        this.onDevicesChanged = onDevicesChanged;
+        this.access = null;
+        this.output = null;
+        this.input = null;
+        this.lastControlValue = -1;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    get isSupported() {
+        return !!this.requestMIDIAccess;
+    }
+
+    async init() {
+        if (!this.isSupported) throw new Error('Web MIDI is not supported in this browser');
+
+        this.access = await this.requestMIDIAccess({ sysex: false });
+        this.access.onstatechange = () => {
+            this.applyConfig();
+            this.onDevicesChanged(this.listDevices());
+        };
+        this.applyConfig();
+        return this.listDevices();
+    }
+
+    listDevices() {
+        if (!this.access) return { outputs: [], inputs: [] };
+        const describe = port => ({ id: port.id, name: port.name });
+        return {
+            outputs: Array.from(this.access.outputs.values()).map(describe),
+            inputs: Array.from(this.access.inputs.values()).map(describe)
+        };
+    }
+
+    configure(changes) {
+        this.config = { ...this.config, ...changes };
+        this.applyConfig();
+    }
+
+    // Resolve configured device ids to ports; missing devices fall back to none
+    applyConfig() {
+        if (!this.access) return;
+
+        this.output = this.config.outputId ? this.access.outputs.get(this.config.outputId) || null : null;
+
+        const input = this.config.inputId ? this.access.inputs.get(this.config.inputId) || null : null;
+        if (input !== this.input) {
+            if (this.input) this.input.onmidimessage = null;
+            this.input = input;
+            if (this.input) this.input.onmidimessage = this.handleMessage;
+        }
+    }
+
+    send(bytes, timestamp) {
+        if (!this.output) return;
+        this.output.send(bytes, timestamp);
+    }
+
+    noteOn(note, velocity = 1, channel = this.config.noteChannel, timestamp) {
+        this.send([NOTE_ON | (channel - 1), note & 0x7f, toMidiValue(velocity) || 1], timestamp);
+    }
+
+    noteOff(note, channel = this.config.noteChannel, timestamp) {
+        this.send([NOTE_OFF | (channel - 1), note & 0x7f, 0], timestamp);
+    }
+
+    // Emit note-on/off for a layout instrument; drums go to the GM drum channel.
+    // `timestamp` is when the note sounds, so notes scheduled ahead stay in time with the audio.
+    playInstrument(def, velocity = 0.8, timestamp = performance.now()) {
+        if (!this.output) return;
+
+        const channel = def.type === 'drum' ? this.config.drumChannel : this.config.noteChannel;
+        instrumentMidiNotes(def).forEach(note => {
+            this.noteOn(note, velocity, channel, timestamp);
+            this.noteOff(note, channel, timestamp + this.config.noteLength);
+        });
+    }
+
+    // value: 0..1. Only sends when the 7-bit value actually changes.
+    sendControlChange(value, controller = this.config.controlNumber, channel = this.config.controlChannel) {
+        const midiValue = toMidiValue(value);
+        if (midiValue === this.lastControlValue) return;
+        this.lastControlValue = midiValue;
+        this.send([CONTROL_CHANGE | (channel - 1), controller & 0x7f, midiValue]);
+    }
+
+    handleMessage(event) {
+        const [status, note, velocity] = event.data;
+        const command = status & 0xf0;
+        const channel = (status & 0x0f) + 1;
+
+        // Note-on with velocity 0 is a note-off by convention
+        if (command === NOTE_ON && velocity > 0) {
+            this.onNote(note, velocity / 127, channel);
+        }
+    }
+
+    dispose() {
+        if (this.input) this.input.onmidimessage = null;
+        if (this.access) this.access.onstatechange = null;
+        this.input = null;
+        this.output = null;
+    }
+}
+
+function toMidiValue(value) {
+    return Math.max(0, Math.min(127, Math.round(value * 127)));
+}
@@ -0,0 +1,92 @@
+// --- STANDARD MIDI FILE WRITER ---
+// Builds a format 1 .mid file: a tempo track followed by one track per entry in
+// `tracks`. Pure (no DOM / Web Audio) so it can run anywhere.
+//
+// writeMidiFile({
+//   ppq: 480, bpm: 120,
+//   tracks: [{ name: "Piano", channel: 1, notes: [{ time, duration, note, velocity }] }]
+// }) -> Uint8Array
+// `time` and `duration` are in seconds, `velocity` in 0..1, `channel` 1-16.
+
+const HEADER_CHUNK = [0x4d, 0x54, 0x68, 0x64]; // "MThd"
+const TRACK_CHUNK = [0x4d, 0x54, 0x72, 0x6b]; // "MTrk"
+
+export function secondsToTicks(seconds, bpm, ppq) {
+    return Math.max(0, Math.round(seconds * (bpm / 60) * ppq));
+}
+
+// MIDI variable-length quantity: 7 bits per byte, high bit set on all but the last
+export function encodeVariableLength(value) {
+    if (value < 0 || !Number.isInteger(value)) throw new Error(`Invalid delta time ${value}`);
+
+    const bytes = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+function uint32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function uint16(value) {
+    return [(value >> 8) & 0xff, value & 0xff];
+}
+
+function textBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+function chunk(type, data) {
+    return [...type, ...uint32(data.length), ...data];
+}
+
+// Absolute-tick events -> delta-timed track data ending with End of Track
+function encodeTrack(events) {
+    const sorted = events
+        .map((event, index) => ({ ...event, index }))
+        // Note-offs first at equal ticks so repeated notes don't cut each other off
+        .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+
+    const data = [];
+    let lastTick = 0;
+    sorted.forEach(event => {
+        data.push(...encodeVariableLength(event.tick - lastTick), ...event.bytes);
+        lastTick = event.tick;
+    });
+    data.push(0x00, 0xff, 0x2f, 0x00);
+    return chunk(TRACK_CHUNK, data);
+}
+
+function tempoTrack(bpm) {
+    const microsecondsPerBeat = Math.round(60000000 / bpm);
+    return encodeTrack([
+        { tick: 0, order: 0, bytes: [0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff] },
+        { tick: 0, order: 0, bytes: [0xff, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08] } // 4/4
+    ]);
+}
+
+function noteTrack(track, bpm, ppq) {
+    const channel = (track.channel || 1) - 1;
+    const name = textBytes(track.name || "Track");
+    const events = [{ tick: 0, order: 0, bytes: [0xff, 0x03, ...encodeVariableLength(name.length), ...name] }];
+
+    track.notes.forEach(note => {
+        const start = secondsToTicks(note.time, bpm, ppq);
+        const end = Math.max(start + 1, secondsToTicks(note.time + note.duration, bpm, ppq));
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+        events.push({ tick: start, order: 2, bytes: [0x90 | channel, note.note & 0x7f, velocity] });
+        events.push({ tick: end, order: 1, bytes: [0x80 | channel, note.note & 0x7f, 0] });
+    });
+
+    return encodeTrack(events);
+}
+
+export function writeMidiFile({ ppq = 480, bpm = 120, tracks = [] } = {}) {
+    const header = chunk(HEADER_CHUNK, [...uint16(1), ...uint16(tracks.length + 1), ...uint16(ppq)]);
+    const body = [tempoTrack(bpm), ...tracks.map(track => noteTrack(track, bpm, ppq))];
+    return new Uint8Array([...header, ...body.flat()]);
+}
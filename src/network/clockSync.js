@@ -0,0 +1,49 @@
+// --- CLOCK SYNC ---
+// Estimates the offset between this page's clock (performance.now() based) and the
+// relay's clock from ping round trips (NTP style): offset = serverTime - (t0 + t1) / 2.
+// Round trips with the least delay give the most accurate samples, so the estimate
+// averages the offsets of the best few of the recent samples.
+
+export class ClockSync {
+    constructor({ maxSamples = 16, bestSamples = 4 } = {}) {
+        this.maxSamples = maxSamples;
+        this.bestSamples = bestSamples;
+        this.samples = []; // { rtt, offset }, oldest first
+    }
+
+    get synced() {
+        return this.samples.length > 0;
+    }
+
+    // t0 / t1: local send / receive times of the ping, serverTime: the relay's reply
+    addSample(t0, serverTime, t1) {
+        this.samples.push({ rtt: t1 - t0, offset: serverTime - (t0 + t1) / 2 });
+        if (this.samples.length > this.maxSamples) this.samples.shift();
+    }
+
+    best() {
+        return [...this.samples].sort((a, b) => a.rtt - b.rtt).slice(0, this.bestSamples);
+    }
+
+    get offset() {
+        const best = this.best();
+        return best.length ? best.reduce((sum, s) => sum + s.offset, 0) / best.length : 0;
+    }
+
+    get rtt() {
+        const best = this.best();
+        return best.length ? best[0].rtt : 0;
+    }
+
+    toServerTime(localMs) {
+        return localMs + this.offset;
+    }
+
+    toLocalTime(serverMs) {
+        return serverMs - this.offset;
+    }
+
+    reset() {
+        this.samples = [];
+    }
+}
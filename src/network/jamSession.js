@@ -0,0 +1,212 @@
+import { ClockSync } from './clockSync.js';
+
+// --- JAM SESSION ---
+// Shares hand skeletons and instrument hits with the other browsers in a relay room
+// (server/relay.mjs). Hits carry the shared (relay) clock time they were played at;
+// receivers schedule them playbackDelayMs after that so everyone hears them in the
+// same rhythm, even though the network jitters.
+//   hands: { type: 'hands', hands: [{ handedness, joints: [x, y, z, ...] }] }  (scene space)
+//   hit:   { type: 'hit', instrumentId, layout, velocity, time }
+
+export const JAM_CONFIG = {
+    pingIntervalMs: 2000,
+    handsIntervalMs: 50, // ~20 skeleton updates per second
+    playbackDelayMs: 60, // jitter buffer for remote hits
+    connectTimeoutMs: 5000
+};
+
+// Sent by the relay itself; a copy carrying `from` was forwarded from a peer and is ignored
+const RELAY_TYPES = ['welcome', 'peerJoined', 'peerLeft', 'pong'];
+
+const round = v => Math.round(v * 100) / 100;
+
+// Peers' messages are untrusted; these return null for anything malformed
+function parseHands(hands) {
+    if (!Array.isArray(hands)) return null;
+    const parsed = hands.map(hand => {
+        if (!hand || !Array.isArray(hand.joints) || hand.joints.length % 3 !== 0) return null;
+        if (!hand.joints.every(Number.isFinite)) return null;
+        const joints = [];
+        for (let i = 0; i < hand.joints.length; i += 3) {
+            joints.push({ x: hand.joints[i], y: hand.joints[i + 1], z: hand.joints[i + 2] });
+        }
+        return { handedness: hand.handedness, joints };
+    });
+    return parsed.includes(null) ? null : parsed;
+}
+
+function parseHit(message) {
+    if (typeof message.instrumentId !== 'string' || !Number.isFinite(message.velocity)) return null;
+    return {
+        instrumentId: message.instrumentId,
+        layout: message.layout,
+        velocity: Math.min(1, Math.max(0, message.velocity)),
+        time: Number.isFinite(message.time) ? message.time : null
+    };
+}
+
+export class JamSession {
+    constructor({ url, room, name, config = JAM_CONFIG, now = () => performance.now(), onStatus = () => {}, onPeers = () => {}, onSync = () => {}, onHands = () => {}, onHit = () => {}, onClose = () => {} }) {
+        this.url = url;
+        this.room = room;
+        this.name = name;
+        this.config = config;
+        this.now = now;
+        this.onStatus = onStatus; // (text, ok)
+        this.onPeers = onPeers; // (Map<id, { id, name }>)
+        this.onSync = onSync; // (clock: ClockSync) after each clock sample
+        this.onHands = onHands; // (peerId, [{ handedness, joints: [{ x, y, z }] }])
+        this.onHit = onHit; // (peerId, { instrumentId, layout, velocity, delayMs })
+        this.onClose = onClose; // Connection lost after joining (not called by disconnect())
+        this.clock = new ClockSync();
+        this.peers = new Map();
+        this.id = null;
+        this.socket = null;
+        this.pingTimer = null;
+        this.lastHandsSent = -Infinity;
+    }
+
+    get connected() {
+        return this.id !== null;
+    }
+
+    // Resolves once the relay has welcomed us into the room
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+            this.onStatus("Connecting…", true);
+            const timeout = setTimeout(() => {
+                socket.close();
+                reject(new Error(`No answer from ${this.url}`));
+            }, this.config.connectTimeoutMs);
+
+            socket.addEventListener('open', () => {
+                this.send({ type: 'join', room: this.room, name: this.name });
+                this.ping();
+                this.pingTimer = setInterval(() => this.ping(), this.config.pingIntervalMs);
+            });
+            socket.addEventListener('message', (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch {
+                    return;
+                }
+                if (!message || typeof message !== 'object') return;
+                this.handleMessage(message);
+                if (this.connected) {
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+            socket.addEventListener('error', () => {
+                clearTimeout(timeout);
+                reject(new Error(`Could not connect to ${this.url}`));
+            });
+            socket.addEventListener('close', () => {
+                clearTimeout(timeout);
+                if (this.socket !== socket) return; // disconnect() already cleaned up
+                const wasConnected = this.connected;
+                this.cleanup();
+                // Before the welcome this is a failed connect(), reported by its rejection
+                if (!wasConnected) {
+                    reject(new Error(`Connection to ${this.url} closed`));
+                    return;
+                }
+                this.onStatus("Disconnected", false);
+                this.onClose();
+            });
+        });
+    }
+
+    disconnect() {
+        if (this.socket) this.socket.close();
+        this.cleanup();
+    }
+
+    cleanup() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        this.id = null;
+        this.socket = null;
+        this.peers.clear();
+        this.onPeers(this.peers);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+    }
+
+    ping() {
+        this.send({ type: 'ping', t0: this.now() });
+    }
+
+    // Shared clock time for a local timestamp (ms)
+    serverNow() {
+        return this.clock.toServerTime(this.now());
+    }
+
+    // hands: [{ handedness, joints: [{ x, y, z }] }]; rate limited
+    sendHands(hands) {
+        if (!this.connected) return;
+        const now = this.now();
+        if (now - this.lastHandsSent < this.config.handsIntervalMs) return;
+        this.lastHandsSent = now;
+        this.send({
+            type: 'hands',
+            hands: hands.map(hand => ({
+                handedness: hand.handedness,
+                joints: hand.joints.flatMap(joint => [round(joint.x), round(joint.y), round(joint.z)])
+            }))
+        });
+    }
+
+    sendHit(instrumentId, layout, velocity) {
+        if (!this.connected) return;
+        const time = this.clock.synced ? this.serverNow() : null;
+        this.send({ type: 'hit', instrumentId, layout, velocity: round(velocity), time });
+    }
+
+    handleMessage(message) {
+        if (message.from !== undefined && RELAY_TYPES.includes(message.type)) return;
+        switch (message.type) {
+            case 'welcome':
+                if (!Array.isArray(message.peers)) return;
+                this.id = message.id;
+                message.peers.filter(peer => peer && peer.id !== undefined).forEach(peer => this.peers.set(peer.id, peer));
+                this.onPeers(this.peers);
+                this.onStatus(`Room "${this.room}"`, true);
+                break;
+            case 'peerJoined':
+                this.peers.set(message.id, { id: message.id, name: message.name });
+                this.onPeers(this.peers);
+                break;
+            case 'peerLeft':
+                this.peers.delete(message.id);
+                this.onPeers(this.peers);
+                this.onHands(message.id, []);
+                break;
+            case 'pong':
+                if (!Number.isFinite(message.t0) || !Number.isFinite(message.serverTime)) return;
+                this.clock.addSample(message.t0, message.serverTime, this.now());
+                this.onSync(this.clock);
+                break;
+            case 'hands': {
+                const hands = parseHands(message.hands);
+                if (hands) this.onHands(message.from, hands);
+                break;
+            }
+            case 'hit': {
+                const hit = parseHit(message);
+                if (!hit) return;
+                // Late hits (slow network) and hits from before either clock synced play immediately
+                const delayMs = hit.time !== null && this.clock.synced
+                    ? Math.max(0, hit.time + this.config.playbackDelayMs - this.serverNow())
+                    : 0;
+                this.onHit(message.from, { instrumentId: hit.instrumentId, layout: hit.layout, velocity: hit.velocity, delayMs });
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import { applyParticleForces, FORCE_PARAMS } from './forces.js';
+import { createParticleSeed } from './seed.js';
+import { FORMATION_PULL, createBoneAssignments, handBoneTarget } from './formations.js';
+
+// Fallback simulation: forces applied per particle on the CPU and the whole
+// position buffer re-uploaded each frame. Fine for a few thousand particles.
+export class CpuParticleSystem {
+    constructor(count, { palette } = {}) {
+        this.kind = 'cpu';
+        this.seed = createParticleSeed(count, { palette });
+        this.count = count;
+        this.scratch = [0, 0, 0];
+        this.origin = [0, 0, 0];
+        this.bones = createBoneAssignments(count);
+        this.setFormation({ kind: 'cloud' });
+
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.seed.positions.slice(), 3));
+        this.geometry.setAttribute('color', new THREE.BufferAttribute(this.seed.colors, 3));
+
+        this.material = new THREE.PointsMaterial({
+            size: 0.15,
+            vertexColors: true,
+            blending: THREE.AdditiveBlending,
+            transparent: true,
+            opacity: 0.8,
+        });
+
+        this.mesh = new THREE.Points(this.geometry, this.material);
+    }
+
+    // Audio-reactive modulation: size multiplier, tint color, burst strength
+    setModulation({ size = 1, tint = null, burst = 0 }) {
+        this.material.size = 0.15 * size;
+        if (tint) this.material.color.copy(tint);
+        this.params.burst = burst;
+    }
+
+    setFormation(formation) {
+        this.formation = formation;
+        this.params = {
+            ...FORCE_PARAMS,
+            burst: this.params ? this.params.burst : 0,
+            returnRate: formation.kind === 'cloud' ? FORCE_PARAMS.returnRate : FORMATION_PULL
+        };
+        if (formation.kind === 'points') this.homes = formation.points;
+        // Own copy, rewritten from the skeleton each frame; keeps the last pose when the hand is lost
+        else if (formation.kind === 'hand') this.homes = Float32Array.from(this.homes);
+        else this.homes = this.seed.origins;
+    }
+
+    // handJoints: 21 * 3 floats in scene space, used by the 'hand' formation
+    update(time, fingers, handJoints = null) {
+        const positions = this.geometry.attributes.position.array;
+        const { phases } = this.seed;
+        const homes = this.homes;
+        const out = this.scratch;
+        const origin = this.origin;
+        const followHand = this.formation.kind === 'hand' && handJoints;
+
+        for (let i = 0; i < this.count; i++) {
+            const i3 = i * 3;
+            out[0] = positions[i3];
+            out[1] = positions[i3 + 1];
+            out[2] = positions[i3 + 2];
+
+            if (followHand) {
+                const i4 = i * 4;
+                handBoneTarget(origin, handJoints, this.bones[i4], this.bones[i4 + 1], this.bones[i4 + 2], this.bones[i4 + 3]);
+                homes[i3] = origin[0];
+                homes[i3 + 1] = origin[1];
+                homes[i3 + 2] = origin[2];
+            } else {
+                origin[0] = homes[i3];
+                origin[1] = homes[i3 + 1];
+                origin[2] = homes[i3 + 2];
+            }
+
+            applyParticleForces(out, origin, phases[i], time, fingers, this.params);
+
+            positions[i3] = out[0];
+            positions[i3 + 1] = out[1];
+            positions[i3 + 2] = out[2];
+        }
+
+        this.geometry.attributes.position.needsUpdate = true;
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,119 @@
+// --- PARTICLE FORCES ---
+// Single source of truth for how particles move. The CPU path calls
+// applyParticleForces() directly; the GPU path compiles FORCE_GLSL, which is
+// generated from the same FORCE_PARAMS so both stay in lockstep.
+
+export const FORCE_PARAMS = {
+    wander: 0.01, // Wavy chaotic movement amplitude
+    returnRate: 0.001, // Pull back towards the particle's home position (formations raise it)
+    radius: 4, // Fingertip influence radius
+    strength: 0.02, // Force per unit of distance inside the radius
+    attract: 0.1,
+    repel: 1.0,
+    swirl: 0.3,
+    burst: 0 // Outward push from the cloud center (audio-reactive emission bursts)
+};
+
+// Encoded as floats so they can travel in a vec4 uniform
+export const FORCE_MODES = { none: 0, attract: 1, repel: 2, swirl: 3 };
+
+// Maximum fingertips the GPU shader accepts (2 hands x 5 fingertips, with headroom)
+export const MAX_FINGERS = 20;
+
+// Move one particle in place. `out` is [x, y, z] on input and output, `origin`
+// is its current home. fingers: [{ x, y, z, mode }] with mode from FORCE_MODES.
+export function applyParticleForces(out, origin, phase, time, fingers, params = FORCE_PARAMS) {
+    let vx = out[0];
+    let vy = out[1];
+    let vz = out[2];
+
+    vx += Math.sin(time + phase) * params.wander;
+    vy += Math.cos(time + phase * 0.5) * params.wander;
+
+    vx += (origin[0] - vx) * params.returnRate;
+    vy += (origin[1] - vy) * params.returnRate;
+    vz += (origin[2] - vz) * params.returnRate;
+
+    if (params.burst > 0) {
+        const length = Math.sqrt(vx * vx + vy * vy + vz * vz);
+        if (length > 1e-4) {
+            vx += (vx / length) * params.burst;
+            vy += (vy / length) * params.burst;
+            vz += (vz / length) * params.burst;
+        }
+    }
+
+    for (let i = 0; i < fingers.length; i++) {
+        const finger = fingers[i];
+        const dx = vx - finger.x;
+        const dy = vy - finger.y;
+        const dz = vz - finger.z;
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (dist >= params.radius) continue;
+
+        // Less force per finger so it doesn't explode instantly
+        const force = (params.radius - dist) * params.strength;
+
+        if (finger.mode === FORCE_MODES.attract) {
+            vx -= dx * force * params.attract;
+            vy -= dy * force * params.attract;
+            vz -= dz * force * params.attract;
+        } else if (finger.mode === FORCE_MODES.repel) {
+            vx += dx * force * params.repel;
+            vy += dy * force * params.repel;
+            vz += dz * force * params.repel;
+        } else if (finger.mode === FORCE_MODES.swirl) {
+            vx += -dy * force * params.swirl;
+            vy += dx * force * params.swirl;
+        }
+    }
+
+    out[0] = vx;
+    out[1] = vy;
+    out[2] = vz;
+    return out;
+}
+
+const glslFloat = value => (Number.isInteger(value) ? value.toFixed(1) : String(value));
+
+// GLSL equivalent of applyParticleForces(), for GPUComputationRenderer shaders
+export function forceGLSL(params = FORCE_PARAMS) {
+    return /* glsl */`
+#define MAX_FINGERS ${MAX_FINGERS}
+uniform vec4 fingers[MAX_FINGERS]; // xyz = fingertip, w = FORCE_MODES value
+uniform int fingerCount;
+uniform float returnRate;
+uniform float burst;
+
+vec3 applyParticleForces(vec3 pos, vec3 origin, float phase, float time) {
+    pos.x += sin(time + phase) * ${glslFloat(params.wander)};
+    pos.y += cos(time + phase * 0.5) * ${glslFloat(params.wander)};
+    pos += (origin - pos) * returnRate;
+
+    if (burst > 0.0) {
+        float len = length(pos);
+        if (len > 0.0001) pos += pos / len * burst;
+    }
+
+    for (int i = 0; i < MAX_FINGERS; i++) {
+        if (i >= fingerCount) break;
+        vec4 finger = fingers[i];
+        vec3 d = pos - finger.xyz;
+        float dist = length(d);
+        if (dist >= ${glslFloat(params.radius)}) continue;
+
+        float force = (${glslFloat(params.radius)} - dist) * ${glslFloat(params.strength)};
+        int mode = int(finger.w + 0.5);
+
+        if (mode == ${FORCE_MODES.attract}) {
+            pos -= d * force * ${glslFloat(params.attract)};
+        } else if (mode == ${FORCE_MODES.repel}) {
+            pos += d * force * ${glslFloat(params.repel)};
+        } else if (mode == ${FORCE_MODES.swirl}) {
+            pos.xy += vec2(-d.y, d.x) * force * ${glslFloat(params.swirl)};
+        }
+    }
+    return pos;
+}
+`;
+}
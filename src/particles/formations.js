@@ -0,0 +1,128 @@
+import { HAND_BONES } from '../input/handFrame.js';
+
+// --- PARTICLE FORMATIONS ---
+// A formation gives every particle a home position to be pulled towards:
+//   { kind: 'cloud' }                      the original random cube
+//   { kind: 'points', points, rotate }     static targets (count * 3 floats)
+//   { kind: 'hand' }                       follows the tracked hand skeleton
+// The pull is stronger than the cloud's drift, so switching formations is a
+// smooth flight from one layout to the next; fingertip forces still apply on top.
+
+export const FORMATION_PULL = 0.03; // returnRate while a formation is active
+export const FORMATION_MODES = { cloud: 0, points: 1, hand: 2 };
+
+const HAND_SPREAD = 0.35; // How far particles scatter around a bone
+
+// --- Geometric primitives ---
+export function sphereFormation(count, radius = 7) {
+    const points = new Float32Array(count * 3);
+    // Fibonacci sphere for an even distribution
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    for (let i = 0; i < count; i++) {
+        const y = 1 - (i / Math.max(1, count - 1)) * 2;
+        const r = Math.sqrt(1 - y * y);
+        const theta = golden * i;
+        points[i * 3] = Math.cos(theta) * r * radius;
+        points[i * 3 + 1] = y * radius;
+        points[i * 3 + 2] = Math.sin(theta) * r * radius;
+    }
+    return { kind: 'points', points, rotate: true };
+}
+
+export function torusFormation(count, radius = 7, tube = 2) {
+    const points = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const u = Math.random() * Math.PI * 2;
+        const v = Math.random() * Math.PI * 2;
+        points[i * 3] = (radius + tube * Math.cos(v)) * Math.cos(u);
+        points[i * 3 + 1] = (radius + tube * Math.cos(v)) * Math.sin(u);
+        points[i * 3 + 2] = tube * Math.sin(v);
+    }
+    return { kind: 'points', points, rotate: true };
+}
+
+export function spiralFormation(count, { arms = 3, turns = 2.5, radius = 12, thickness = 0.6 } = {}) {
+    const points = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const t = Math.random();
+        const arm = i % arms;
+        const angle = t * turns * Math.PI * 2 + (arm / arms) * Math.PI * 2;
+        const r = t * radius;
+        const scatter = (1 - t * 0.5) * thickness;
+        points[i * 3] = Math.cos(angle) * r + (Math.random() - 0.5) * scatter;
+        points[i * 3 + 1] = Math.sin(angle) * r + (Math.random() - 0.5) * scatter;
+        points[i * 3 + 2] = (Math.random() - 0.5) * scatter;
+    }
+    return { kind: 'points', points, rotate: true };
+}
+
+// Spread `count` particles over a list of 2D sample points (e.g. from a
+// rasterized text or image), centered and scaled to `width` scene units.
+export function pointsFromSamples(count, samples, { width = 22, depth = 0.3 } = {}) {
+    if (samples.length === 0) throw new Error('Formation source has no visible pixels');
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    samples.forEach(([x, y]) => {
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    });
+    const scale = width / Math.max(1, maxX - minX);
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+
+    const points = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        // Reuse samples when there are more particles than pixels, with a little jitter
+        const [x, y] = samples[i % samples.length];
+        const jitter = i >= samples.length ? scale * 0.5 : 0;
+        points[i * 3] = (x - cx) * scale + (Math.random() - 0.5) * jitter;
+        points[i * 3 + 1] = -(y - cy) * scale + (Math.random() - 0.5) * jitter;
+        points[i * 3 + 2] = (Math.random() - 0.5) * depth;
+    }
+    return { kind: 'points', points, rotate: false };
+}
+
+// --- Hand silhouette ---
+// Each particle is pinned to a bone: (jointA, jointB, t along the bone, jitter seed)
+export function createBoneAssignments(count) {
+    const assignments = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+        const [a, b] = HAND_BONES[i % HAND_BONES.length];
+        assignments[i * 4] = a;
+        assignments[i * 4 + 1] = b;
+        assignments[i * 4 + 2] = Math.random();
+        assignments[i * 4 + 3] = Math.random() * 100;
+    }
+    return assignments;
+}
+
+const hash = n => {
+    const s = Math.sin(n) * 43758.5453;
+    return s - Math.floor(s);
+};
+
+// Home of a hand-formation particle. joints: 21 * 3 floats (scene space).
+export function handBoneTarget(out, joints, a, b, t, seed) {
+    out[0] = joints[a * 3] + (joints[b * 3] - joints[a * 3]) * t + (hash(seed) - 0.5) * HAND_SPREAD;
+    out[1] = joints[a * 3 + 1] + (joints[b * 3 + 1] - joints[a * 3 + 1]) * t + (hash(seed + 1.7) - 0.5) * HAND_SPREAD;
+    out[2] = joints[a * 3 + 2] + (joints[b * 3 + 2] - joints[a * 3 + 2]) * t + (hash(seed + 3.1) - 0.5) * HAND_SPREAD;
+    return out;
+}
+
+// GLSL equivalent of handBoneTarget()
+export function formationGLSL() {
+    return /* glsl */`
+uniform vec3 handJoints[21];
+
+float formationHash(float n) {
+    return fract(sin(n) * 43758.5453);
+}
+
+vec3 handBoneTarget(vec4 bone) {
+    vec3 a = handJoints[int(bone.x + 0.5)];
+    vec3 b = handJoints[int(bone.y + 0.5)];
+    vec3 jitter = vec3(formationHash(bone.w), formationHash(bone.w + 1.7), formationHash(bone.w + 3.1)) - 0.5;
+    return mix(a, b, bone.z) + jitter * ${HAND_SPREAD};
+}
+`;
+}
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { forceGLSL, MAX_FINGERS, FORCE_PARAMS } from './forces.js';
+import { createParticleSeed } from './seed.js';
+import { formationGLSL, createBoneAssignments, FORMATION_MODES, FORMATION_PULL } from './formations.js';
+
+// Particle state lives in float textures (xyz = position) updated by a
+// ping-pong fragment shader; the points shader reads positions straight from
+// the current texture, so nothing is re-uploaded per frame.
+
+const positionShader = /* glsl */`
+uniform float time;
+uniform sampler2D textureOrigin; // xyz = cloud home position, w = wander phase
+uniform sampler2D textureTarget; // xyz = home in the current 'points' formation
+uniform sampler2D textureBones; // hand formation bone assignment (jointA, jointB, t, seed)
+uniform int formationMode;
+${forceGLSL()}
+${formationGLSL()}
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 pos = texture2D(texturePosition, uv).xyz;
+    vec4 origin = texture2D(textureOrigin, uv);
+
+    vec3 home = origin.xyz;
+    if (formationMode == ${FORMATION_MODES.points}) {
+        home = texture2D(textureTarget, uv).xyz;
+    } else if (formationMode == ${FORMATION_MODES.hand}) {
+        home = handBoneTarget(texture2D(textureBones, uv));
+    }
+
+    gl_FragColor = vec4(applyParticleForces(pos, home, origin.w, time), 1.0);
+}
+`;
+
+const pointsVertexShader = /* glsl */`
+uniform sampler2D texturePosition;
+uniform float size;
+uniform float scale;
+attribute vec2 reference;
+attribute vec3 particleColor;
+varying vec3 vColor;
+#include <fog_pars_vertex>
+
+void main() {
+    vColor = particleColor;
+    vec4 mvPosition = modelViewMatrix * vec4(texture2D(texturePosition, reference).xyz, 1.0);
+    // Same size attenuation as PointsMaterial
+    gl_PointSize = size * (scale / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+    #include <fog_vertex>
+}
+`;
+
+const pointsFragmentShader = /* glsl */`
+uniform float opacity;
+uniform vec3 tint;
+varying vec3 vColor;
+#include <fog_pars_fragment>
+
+void main() {
+    gl_FragColor = vec4(vColor * tint, opacity);
+    #include <fog_fragment>
+}
+`;
+
+export class GpuParticleSystem {
+    constructor(renderer, count, { palette } = {}) {
+        this.kind = 'gpu';
+        this.renderer = renderer;
+
+        const textureSize = Math.ceil(Math.sqrt(count));
+        this.count = count;
+        this.gpuCompute = new GPUComputationRenderer(textureSize, textureSize, renderer);
+
+        const seed = createParticleSeed(count, { palette });
+        const positionTexture = this.gpuCompute.createTexture();
+        const originTexture = this.gpuCompute.createTexture();
+        const positionData = positionTexture.image.data;
+        const originData = originTexture.image.data;
+        for (let i = 0; i < count; i++) {
+            positionData[i * 4] = originData[i * 4] = seed.positions[i * 3];
+            positionData[i * 4 + 1] = originData[i * 4 + 1] = seed.positions[i * 3 + 1];
+            positionData[i * 4 + 2] = originData[i * 4 + 2] = seed.positions[i * 3 + 2];
+            positionData[i * 4 + 3] = 1;
+            originData[i * 4 + 3] = seed.phases[i];
+        }
+
+        this.positionVariable = this.gpuCompute.addVariable('texturePosition', positionShader, positionTexture);
+        this.gpuCompute.setVariableDependencies(this.positionVariable, [this.positionVariable]);
+
+        const bonesTexture = this.gpuCompute.createTexture();
+        bonesTexture.image.data.set(createBoneAssignments(textureSize * textureSize));
+
+        this.fingerUniforms = Array.from({ length: MAX_FINGERS }, () => new THREE.Vector4());
+        this.jointUniforms = Array.from({ length: 21 }, () => new THREE.Vector3());
+        Object.assign(this.positionVariable.material.uniforms, {
+            time: { value: 0 },
+            textureOrigin: { value: originTexture },
+            textureTarget: { value: originTexture },
+            textureBones: { value: bonesTexture },
+            formationMode: { value: FORMATION_MODES.cloud },
+            returnRate: { value: FORCE_PARAMS.returnRate },
+            burst: { value: 0 },
+            handJoints: { value: this.jointUniforms },
+            fingers: { value: this.fingerUniforms },
+            fingerCount: { value: 0 }
+        });
+        this.originTexture = originTexture;
+        this.bonesTexture = bonesTexture;
+        this.hasHandPose = false; // Whether jointUniforms hold a real pose yet
+
+        const error = this.gpuCompute.init();
+        if (error !== null) {
+            this.gpuCompute.dispose();
+            throw new Error(error);
+        }
+
+        // Each vertex just points at its texel in the state texture
+        const references = new Float32Array(count * 2);
+        for (let i = 0; i < count; i++) {
+            references[i * 2] = ((i % textureSize) + 0.5) / textureSize;
+            references[i * 2 + 1] = (Math.floor(i / textureSize) + 0.5) / textureSize;
+        }
+
+        this.geometry = new THREE.BufferGeometry();
+        // Positions come from the texture; this attribute only sets the vertex count
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        this.geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+        this.geometry.setAttribute('particleColor', new THREE.BufferAttribute(seed.colors, 3));
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                {
+                    texturePosition: { value: null },
+                    size: { value: 0.15 },
+                    scale: { value: renderer.domElement.height / 2 },
+                    opacity: { value: 0.8 },
+                    tint: { value: new THREE.Color(0xffffff) }
+                }
+            ]),
+            vertexShader: pointsVertexShader,
+            fragmentShader: pointsFragmentShader,
+            blending: THREE.AdditiveBlending,
+            transparent: true,
+            fog: true
+        });
+
+        this.mesh = new THREE.Points(this.geometry, this.material);
+        // Positions move on the GPU, so the CPU-side bounds are meaningless
+        this.mesh.frustumCulled = false;
+    }
+
+    // Audio-reactive modulation: size multiplier, tint color, burst strength
+    setModulation({ size = 1, tint = null, burst = 0 }) {
+        this.material.uniforms.size.value = 0.15 * size;
+        if (tint) this.material.uniforms.tint.value.copy(tint);
+        this.positionVariable.material.uniforms.burst.value = burst;
+    }
+
+    setFormation(formation) {
+        const uniforms = this.positionVariable.material.uniforms;
+        this.formation = formation;
+
+        if (formation.kind === 'points') {
+            const targetTexture = this.gpuCompute.createTexture();
+            const data = targetTexture.image.data;
+            for (let i = 0; i < this.count; i++) {
+                data[i * 4] = formation.points[i * 3];
+                data[i * 4 + 1] = formation.points[i * 3 + 1];
+                data[i * 4 + 2] = formation.points[i * 3 + 2];
+            }
+            if (uniforms.textureTarget.value !== this.originTexture) uniforms.textureTarget.value.dispose();
+            uniforms.textureTarget.value = targetTexture;
+        }
+
+        // The joint uniforms start out all zero; until a hand has been seen, keep the
+        // previous formation rather than collapsing every particle onto the origin
+        if (formation.kind !== 'hand' || this.hasHandPose) this.applyFormationMode(formation.kind);
+    }
+
+    applyFormationMode(kind) {
+        const uniforms = this.positionVariable.material.uniforms;
+        uniforms.formationMode.value = FORMATION_MODES[kind];
+        uniforms.returnRate.value = kind === 'cloud' ? FORCE_PARAMS.returnRate : FORMATION_PULL;
+    }
+
+    // handJoints: 21 * 3 floats in scene space, used by the 'hand' formation
+    update(time, fingers, handJoints = null) {
+        const uniforms = this.positionVariable.material.uniforms;
+        uniforms.time.value = time;
+
+        // Without a hand the uniforms keep the last pose
+        if (handJoints) {
+            this.jointUniforms.forEach((joint, i) => joint.fromArray(handJoints, i * 3));
+            if (!this.hasHandPose && this.formation?.kind === 'hand') this.applyFormationMode('hand');
+            this.hasHandPose = true;
+        }
+
+        const fingerCount = Math.min(fingers.length, MAX_FINGERS);
+        for (let i = 0; i < fingerCount; i++) {
+            const finger = fingers[i];
+            this.fingerUniforms[i].set(finger.x, finger.y, finger.z, finger.mode);
+        }
+        uniforms.fingerCount.value = fingerCount;
+
+        this.gpuCompute.compute();
+        this.material.uniforms.texturePosition.value = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+        this.material.uniforms.scale.value = this.renderer.domElement.height / 2;
+    }
+
+    dispose() {
+        const target = this.positionVariable.material.uniforms.textureTarget.value;
+        if (target !== this.originTexture) target.dispose();
+        this.originTexture.dispose();
+        this.bonesTexture.dispose();
+        this.gpuCompute.dispose();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
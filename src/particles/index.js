@@ -0,0 +1,23 @@
+import { CpuParticleSystem } from './cpuParticles.js';
+import { GpuParticleSystem } from './gpuParticles.js';
+
+export { FORCE_PARAMS, FORCE_MODES, applyParticleForces } from './forces.js';
+export { sphereFormation, torusFormation, spiralFormation } from './formations.js';
+export { textFormation, imageFormation } from './rasterFormations.js';
+
+export const GPU_PARTICLE_COUNT = 100000;
+export const CPU_PARTICLE_COUNT = 5000;
+
+// GPU simulation when the renderer supports float render targets, else the
+// CPU fallback (also forced with preferGPU = false, e.g. ?particles=cpu).
+// palette: the two colors particles are mixed from (see seed.js)
+export function createParticleSystem(renderer, { preferGPU = true, gpuCount = GPU_PARTICLE_COUNT, cpuCount = CPU_PARTICLE_COUNT, palette } = {}) {
+    if (preferGPU) {
+        try {
+            return new GpuParticleSystem(renderer, gpuCount, { palette });
+        } catch (err) {
+            console.warn("GPU particle simulation unavailable, falling back to CPU:", err);
+        }
+    }
+    return new CpuParticleSystem(cpuCount, { palette });
+}
@@ -0,0 +1,72 @@
+import { pointsFromSamples } from './formations.js';
+
+// Formations sampled from a 2D canvas: text strings and images / SVGs.
+// Only the outline pixels are kept so shapes read clearly as particles.
+
+const RASTER_SIZE = 256;
+
+function outlineSamples(ctx, width, height) {
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] > 128;
+
+    const samples = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!filled(x, y)) continue;
+            // Edge pixel: at least one empty neighbour
+            if (!filled(x - 1, y) || !filled(x + 1, y) || !filled(x, y - 1) || !filled(x, y + 1)) {
+                samples.push([x, y]);
+            }
+        }
+    }
+    // Shuffle so partial reuse (more particles than pixels) spreads evenly
+    for (let i = samples.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [samples[i], samples[j]] = [samples[j], samples[i]];
+    }
+    return samples;
+}
+
+export function textFormation(count, text, { font = 'bold 120px Inter, sans-serif' } = {}) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.font = font;
+    const width = Math.ceil(ctx.measureText(text).width) + 20;
+    canvas.width = Math.max(1, width);
+    canvas.height = 160;
+
+    ctx.font = font;
+    ctx.fillStyle = '#fff';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 10, canvas.height / 2);
+
+    return pointsFromSamples(count, outlineSamples(ctx, canvas.width, canvas.height));
+}
+
+// Works for raster images and SVGs (anything an <img> can load)
+export async function imageFormation(count, url) {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const aspect = image.naturalWidth / image.naturalHeight || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = aspect >= 1 ? RASTER_SIZE : Math.round(RASTER_SIZE * aspect);
+    canvas.height = aspect >= 1 ? Math.round(RASTER_SIZE / aspect) : RASTER_SIZE;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    // Opaque images (e.g. black on white) have no alpha to trace: use darkness instead
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const hasAlpha = pixels.data.some((value, i) => i % 4 === 3 && value < 250);
+    if (!hasAlpha) {
+        for (let i = 0; i < pixels.data.length; i += 4) {
+            const luminance = (pixels.data[i] + pixels.data[i + 1] + pixels.data[i + 2]) / 3;
+            pixels.data[i + 3] = luminance < 128 ? 255 : 0;
+        }
+        ctx.putImageData(pixels, 0, 0);
+    }
+
+    return pointsFromSamples(count, outlineSamples(ctx, canvas.width, canvas.height));
+}
@@ -0,0 +1,31 @@
+import * as THREE from 'three';
+
+// Initial particle cloud: random positions in a 40-unit cube (which are also
+// each particle's home position), a mix of two colors and a wander phase.
+export const DEFAULT_PARTICLE_COLORS = [0xff00cc, 0x3333ff];
+
+export function createParticleSeed(count, { spread = 40, palette = DEFAULT_PARTICLE_COLORS } = {}) {
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const phases = new Float32Array(count);
+
+    const color1 = new THREE.Color(palette[0]);
+    const color2 = new THREE.Color(palette[1]);
+    const mixedColor = new THREE.Color();
+
+    for (let i = 0; i < count; i++) {
+        positions[i * 3] = (Math.random() - 0.5) * spread;
+        positions[i * 3 + 1] = (Math.random() - 0.5) * spread;
+        positions[i * 3 + 2] = (Math.random() - 0.5) * spread;
+
+        // Mixed colors
+        mixedColor.copy(color1).lerp(color2, Math.random());
+        colors[i * 3] = mixedColor.r;
+        colors[i * 3 + 1] = mixedColor.g;
+        colors[i * 3 + 2] = mixedColor.b;
+
+        phases[i] = Math.random() * Math.PI * 2;
+    }
+
+    return { count, positions, origins: positions.slice(), colors, phases };
+}
@@ -0,0 +1,100 @@
+import * as Tone from 'tone';
+import { writeMidiFile } from './midiFile.js';
+import { audioBufferToWav } from './wav.js';
+import { instrumentMidiNotes } from './midi.js';
+
+// --- PERFORMANCE CAPTURE ---
+// Logs every instrument hit (live or looped) and records the Tone.js master
+// output, so a session can be saved as a Standard MIDI File and a WAV.
+
+// Note lengths written to the MIDI file, per instrument type
+const NOTE_DURATIONS = { drum: 0.1, pad: 1.0 };
+const DEFAULT_NOTE_DURATION = 0.25;
+const DRUM_CHANNEL = 10;
+
+// Other tracks get channels 1-9 and 11-16, so only drums ever land on the GM drum channel
+function trackChannel(index) {
+    const channel = (index % 15) + 1;
+    return channel >= DRUM_CHANNEL ? channel + 1 : channel;
+}
+
+export class PerformanceRecorder {
+    constructor() {
+        this.events = [];
+        this.startTime = 0;
+        this.isRecording = false;
+        this.recorder = null;
+        this.audioBlob = null;
+    }
+
+    async start() {
+        this.events = [];
+        this.audioBlob = null;
+        this.startTime = Tone.now();
+
+        // Tone.Recorder throws where MediaRecorder is unavailable
+        this.recorder = new Tone.Recorder();
+        Tone.getDestination().connect(this.recorder);
+        try {
+            await this.recorder.start();
+        } catch (err) {
+            Tone.getDestination().disconnect(this.recorder);
+            this.recorder.dispose();
+            this.recorder = null;
+            throw err;
+        }
+        this.isRecording = true;
+    }
+
+    async stop() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+
+        // Even when the audio can't be finished the hits are kept, and the recorder released
+        try {
+            this.audioBlob = await this.recorder.stop();
+        } finally {
+            Tone.getDestination().disconnect(this.recorder);
+            this.recorder.dispose();
+            this.recorder = null;
+        }
+    }
+
+    // `time` is the audio-context time the note sounds at
+    record(def, velocity, time = Tone.now()) {
+        if (!this.isRecording) return;
+        this.events.push({ def, velocity, time: Math.max(0, time - this.startTime) });
+    }
+
+    get hasData() {
+        return this.events.length > 0 || !!this.audioBlob;
+    }
+
+    // One track per instrument type (piano, drum, ...); drums on the GM channel
+    toMidi(bpm = 120) {
+        const tracksByType = new Map();
+        let otherTracks = 0;
+
+        this.events.forEach(({ def, velocity, time }) => {
+            if (!tracksByType.has(def.type)) {
+                tracksByType.set(def.type, {
+                    name: def.type.charAt(0).toUpperCase() + def.type.slice(1),
+                    channel: def.type === 'drum' ? DRUM_CHANNEL : trackChannel(otherTracks++),
+                    notes: []
+                });
+            }
+            const track = tracksByType.get(def.type);
+            const duration = NOTE_DURATIONS[def.type] || DEFAULT_NOTE_DURATION;
+            instrumentMidiNotes(def).forEach(note => track.notes.push({ time, duration, note, velocity }));
+        });
+
+        return writeMidiFile({ bpm, tracks: Array.from(tracksByType.values()) });
+    }
+
+    // Tone.Recorder produces compressed audio (webm/ogg); decode it and re-encode as WAV
+    async toWav() {
+        if (!this.audioBlob) throw new Error('No audio recorded');
+        const audioBuffer = await Tone.getContext().rawContext.decodeAudioData(await this.audioBlob.arrayBuffer());
+        return audioBufferToWav(audioBuffer);
+    }
+}
@@ -0,0 +1,130 @@
+// --- SESSION RECORDING & PLAYBACK ---
+// Captures the per-frame output of the GestureRecognizer (gestures, handedness
+// and the 21 landmarks per hand) so a session can be replayed later without a
+// live webcam. Recordings are plain JSON:
+// { version, createdAt, frames: [{ t, gestures, handedness, landmarks }] }
+// where `t` is milliseconds since the recording started.
+
+import { handFrameToResults } from './input/handFrame.js';
+import { downloadJSON } from './download.js';
+
+const SESSION_FORMAT_VERSION = 1;
+
+// Strip a MediaPipe category list down to the fields the app reads
+function serializeCategories(list) {
+    return (list || []).map(hand => hand.map(category => ({
+        categoryName: category.categoryName,
+        score: category.score
+    })));
+}
+
+function serializeLandmarks(list) {
+    return (list || []).map(hand => hand.map(landmark => ({
+        x: landmark.x,
+        y: landmark.y,
+        z: landmark.z || 0
+    })));
+}
+
+export class SessionRecorder {
+    constructor() {
+        this.frames = [];
+        this.startTime = 0;
+        this.isRecording = false;
+    }
+
+    start(nowInMs) {
+        this.frames = [];
+        this.startTime = nowInMs;
+        this.isRecording = true;
+    }
+
+    stop() {
+        this.isRecording = false;
+        return this.toJSON();
+    }
+
+    // Store one hand frame (from any input source) in recognizer-result form.
+    // Frames without hands are kept too, so hands drop out on playback exactly
+    // when they did live.
+    record(frame, nowInMs) {
+        if (!this.isRecording) return;
+
+        const results = handFrameToResults(frame);
+        this.frames.push({
+            t: nowInMs - this.startTime,
+            gestures: serializeCategories(results.gestures),
+            handedness: serializeCategories(results.handedness),
+            landmarks: serializeLandmarks(results.landmarks)
+        });
+    }
+
+    toJSON() {
+        return {
+            version: SESSION_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            frames: this.frames
+        };
+    }
+
+    download(filename = `session-${Date.now()}.json`) {
+        downloadJSON(this.toJSON(), filename);
+    }
+}
+
+export class SessionPlayer {
+    constructor(session, { loop = false } = {}) {
+        if (!session || !Array.isArray(session.frames)) {
+            throw new Error('Invalid session file: missing frames');
+        }
+        if (session.version > SESSION_FORMAT_VERSION) {
+            throw new Error(`Unsupported session version ${session.version}`);
+        }
+
+        this.frames = session.frames;
+        this.loop = loop;
+        this.duration = this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+        this.startTime = -1;
+        this.cursor = 0;
+        this.isFinished = this.frames.length === 0;
+    }
+
+    start(nowInMs) {
+        this.startTime = nowInMs;
+        this.cursor = 0;
+        this.isFinished = this.frames.length === 0;
+    }
+
+    // Returns the most recent frame whose timestamp has elapsed, or null if no
+    // new frame is due yet. Intermediate frames are skipped when the render
+    // loop runs slower than the recording, just like a live webcam would.
+    next(nowInMs) {
+        if (this.isFinished) return null;
+        if (this.startTime < 0) this.start(nowInMs);
+
+        let elapsed = nowInMs - this.startTime;
+        if (elapsed > this.duration && this.loop && this.duration > 0) {
+            // Skip whole laps at once (e.g. after the tab was in the background)
+            this.startTime += Math.floor(elapsed / this.duration) * this.duration;
+            this.cursor = 0;
+            elapsed = nowInMs - this.startTime;
+        }
+
+        let frame = null;
+        while (this.cursor < this.frames.length && this.frames[this.cursor].t <= elapsed) {
+            frame = this.frames[this.cursor];
+            this.cursor++;
+        }
+
+        if (this.cursor >= this.frames.length && !this.loop) {
+            this.isFinished = true;
+        }
+
+        return frame;
+    }
+}
+
+export async function loadSessionFile(file) {
+    const text = await file.text();
+    return JSON.parse(text);
+}
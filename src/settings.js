@@ -0,0 +1,136 @@
+// --- SETTINGS ---
+// Typed schema for the app's tunables. Settings are a flat object keyed by the
+// schema's dotted names, persisted to localStorage and exported / imported as
+//   { "version": 1, "settings": { "scene.fogDensity": 0.05, ... } }
+// Every setting applies live; `rebuild` names what has to be recreated for it
+// ('particles' = particle system, 'tracking' = webcam / hand tracker).
+// Types: 'number' | 'int' (min / max / step), 'boolean', 'enum' (options), 'color' ("#rrggbb").
+
+export const SETTINGS_VERSION = 1;
+
+export const SETTINGS_SCHEMA = {
+    'particles.preferGPU': { group: "Particles", label: "GPU simulation", type: 'boolean', default: true, rebuild: 'particles' },
+    'particles.gpuCount': { group: "Particles", label: "Count (GPU)", type: 'int', min: 1000, max: 400000, step: 1000, default: 100000, rebuild: 'particles' },
+    'particles.cpuCount': { group: "Particles", label: "Count (CPU)", type: 'int', min: 500, max: 20000, step: 500, default: 5000, rebuild: 'particles' },
+    'particles.colorA': { group: "Particles", label: "Color A", type: 'color', default: '#ff00cc', rebuild: 'particles' },
+    'particles.colorB': { group: "Particles", label: "Color B", type: 'color', default: '#3333ff', rebuild: 'particles' },
+
+    'scene.fogColor': { group: "Scene", label: "Fog color", type: 'color', default: '#050510' },
+    'scene.fogDensity': { group: "Scene", label: "Fog density", type: 'number', min: 0, max: 0.2, step: 0.005, default: 0.05 },
+
+    'hands.leftColor': { group: "Hands", label: "Left hand color", type: 'color', default: '#00ffcc' },
+    'hands.rightColor': { group: "Hands", label: "Right hand color", type: 'color', default: '#ffcc00' },
+    'hands.lostGraceMs': { group: "Hands", label: "Lost hand grace (ms)", type: 'int', min: 0, max: 3000, step: 50, default: 400 },
+    'smoothing.minCutoff': { group: "Hands", label: "Smoothing cutoff (Hz)", type: 'number', min: 0.05, max: 10, step: 0.05, default: 1 },
+    'smoothing.beta': { group: "Hands", label: "Smoothing speed response", type: 'number', min: 0, max: 5, step: 0.05, default: 0.3 },
+    'smoothing.predictionMs': { group: "Hands", label: "Prediction (ms)", type: 'int', min: 0, max: 100, step: 5, default: 30 },
+
+    'hits.minPressSpeed': { group: "Hits", label: "Softest press speed", type: 'number', min: 0, max: 50, step: 0.5, default: 2 },
+    'hits.maxPressSpeed': { group: "Hits", label: "Hardest press speed", type: 'number', min: 1, max: 100, step: 1, default: 40 },
+    'hits.minVelocity': { group: "Hits", label: "Softest velocity", type: 'number', min: 0, max: 1, step: 0.05, default: 0.15 },
+    'hits.exitMargin': { group: "Hits", label: "Exit margin", type: 'number', min: 0, max: 2, step: 0.05, default: 0.25 },
+    'hits.releaseDepth': { group: "Hits", label: "Release depth", type: 'number', min: 0, max: 3, step: 0.05, default: 0.4 },
+    'hits.retriggerMs': { group: "Hits", label: "Retrigger guard (ms)", type: 'int', min: 0, max: 500, step: 10, default: 50 },
+
+    'gestures.changeThresholdMs': { group: "Gestures", label: "Gesture debounce (ms)", type: 'int', min: 0, max: 1000, step: 10, default: 100 },
+    'gestures.chordDebounceMs': { group: "Gestures", label: "Chord repeat guard (ms)", type: 'int', min: 0, max: 3000, step: 50, default: 500 },
+
+    'camera.width': { group: "Camera", label: "Width", type: 'int', min: 160, max: 1920, step: 16, default: 640, rebuild: 'tracking' },
+    'camera.height': { group: "Camera", label: "Height", type: 'int', min: 120, max: 1080, step: 16, default: 480, rebuild: 'tracking' },
+    'camera.numHands': { group: "Camera", label: "Max hands", type: 'int', min: 1, max: 4, step: 1, default: 2, rebuild: 'tracking' },
+    'camera.delegate': { group: "Camera", label: "Tracker delegate", type: 'enum', options: ['GPU', 'CPU'], default: 'GPU', rebuild: 'tracking' }
+};
+
+export function defaultSettings() {
+    const settings = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, { default: value }]) => { settings[key] = value; });
+    return settings;
+}
+
+// Coerce and check one value against its schema entry; throws on anything invalid
+export function validateSetting(key, value) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) throw new Error(`Unknown setting "${key}"`);
+
+    switch (schema.type) {
+        case 'number':
+        case 'int': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error(`${schema.label} must be a number`);
+            if (schema.type === 'int' && !Number.isInteger(number)) throw new Error(`${schema.label} must be a whole number`);
+            if (number < schema.min || number > schema.max) throw new Error(`${schema.label} must be between ${schema.min} and ${schema.max}`);
+            return number;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') throw new Error(`${schema.label} must be true or false`);
+            return value;
+        case 'enum':
+            if (!schema.options.includes(value)) throw new Error(`${schema.label} must be one of ${schema.options.join(', ')}`);
+            return value;
+        case 'color':
+            if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) throw new Error(`${schema.label} must be a #rrggbb color`);
+            return value.toLowerCase();
+        default:
+            throw new Error(`Setting "${key}" has unknown type "${schema.type}"`);
+    }
+}
+
+// Full settings object: defaults overlaid with `settings`, every value validated,
+// plus checks that span several settings. Unknown keys (e.g. from a newer or older
+// version) are dropped with a warning rather than failing the whole file.
+export function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object') throw new Error("Settings must be an object");
+    const result = defaultSettings();
+    Object.entries(settings).forEach(([key, value]) => {
+        if (!SETTINGS_SCHEMA[key]) {
+            console.warn(`Ignoring unknown setting "${key}"`);
+            return;
+        }
+        result[key] = validateSetting(key, value);
+    });
+    if (result['hits.maxPressSpeed'] <= result['hits.minPressSpeed']) {
+        throw new Error("Hardest press speed must be above the softest press speed");
+    }
+    return result;
+}
+
+// Settings that differ between two settings objects
+export function changedSettings(previous, next) {
+    return Object.keys(SETTINGS_SCHEMA).filter(key => previous[key] !== next[key]);
+}
+
+export function exportSettings(settings) {
+    return { version: SETTINGS_VERSION, settings };
+}
+
+// Parse an exported settings file; throws with the first problem found
+export function importSettings(data) {
+    if (!data || data.version !== SETTINGS_VERSION || !data.settings) throw new Error("Not a settings file");
+    return validateSettings(data.settings);
+}
+
+// Stored settings are checked one at a time so a bad or outdated entry only
+// resets itself rather than everything
+export function loadSettings(storage, key) {
+    const settings = defaultSettings();
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        if (stored && typeof stored === 'object') {
+            Object.entries(stored).forEach(([name, value]) => {
+                try {
+                    settings[name] = validateSetting(name, value);
+                } catch (err) {
+                    console.warn(`Ignoring stored setting "${name}":`, err.message);
+                }
+            });
+            return validateSettings(settings);
+        }
+    } catch (err) {
+        console.warn("Ignoring invalid settings:", err);
+    }
+    return defaultSettings();
+}
+
+export function saveSettings(storage, key, settings) {
+    storage.setItem(key, JSON.stringify(settings));
+}
@@ -0,0 +1,77 @@
+import { SETTINGS_SCHEMA, validateSetting } from './settings.js';
+
+// Settings editor generated from the schema, grouped under headings. Inputs are
+// validated as they change; invalid ones are flagged (with the error as tooltip)
+// and not reported. onChange(key, value) receives the validated value.
+export function createSettingsPanel(container, { getSettings, onChange }) {
+    const rows = document.createElement('div');
+    container.appendChild(rows);
+
+    function createInput(key, schema, value) {
+        const input = document.createElement(schema.type === 'enum' ? 'select' : 'input');
+        switch (schema.type) {
+            case 'boolean':
+                input.type = 'checkbox';
+                input.checked = value;
+                break;
+            case 'enum':
+                schema.options.forEach(option => {
+                    const opt = document.createElement('option');
+                    opt.value = option;
+                    opt.textContent = option;
+                    input.appendChild(opt);
+                });
+                input.value = value;
+                break;
+            case 'color':
+                input.type = 'color';
+                input.value = value;
+                break;
+            default:
+                input.type = 'number';
+                input.min = schema.min;
+                input.max = schema.max;
+                input.step = schema.step;
+                input.value = value;
+        }
+
+        input.addEventListener('change', () => {
+            const raw = schema.type === 'boolean' ? input.checked : input.value;
+            try {
+                const validated = validateSetting(key, raw);
+                input.classList.remove('invalid');
+                input.title = '';
+                onChange(key, validated);
+            } catch (err) {
+                input.classList.add('invalid');
+                input.title = err.message;
+            }
+        });
+        return input;
+    }
+
+    function render() {
+        rows.innerHTML = '';
+        const settings = getSettings();
+        let group = null;
+
+        Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+            if (schema.group !== group) {
+                group = schema.group;
+                const heading = document.createElement('h3');
+                heading.textContent = group;
+                rows.appendChild(heading);
+            }
+
+            const row = document.createElement('label');
+            row.className = 'binding-row settings-row';
+            const name = document.createElement('span');
+            name.textContent = schema.label;
+            row.append(name, createInput(key, schema, settings[key]));
+            rows.appendChild(row);
+        });
+    }
+
+    render();
+    return { render };
+}
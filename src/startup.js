@@ -0,0 +1,60 @@
+// --- STARTUP SEQUENCE ---
+// Runs the experience's startup steps in order and tracks how far it got:
+//   idle -> running(step) -> ready
+//                         -> failed(step, error) -> retry() -> running(step) -> ...
+// Steps that already succeeded aren't repeated on retry.
+//   steps: [{ id, label, run: async () => void }]  (run throws to fail the step)
+//   step.status: 'pending' | 'active' | 'done' | 'failed'
+
+export class StartupSequence {
+    constructor(steps, { onChange = () => {} } = {}) {
+        this.steps = steps.map(step => ({ ...step, status: 'pending', error: null }));
+        this.state = 'idle'; // 'idle' | 'running' | 'ready' | 'failed'
+        this.onChange = onChange; // (sequence)
+    }
+
+    get failedStep() {
+        return this.steps.find(step => step.status === 'failed') || null;
+    }
+
+    // Resolves true once every step is done, false if one failed
+    async run() {
+        if (this.state === 'running' || this.state === 'ready') return this.state === 'ready';
+        this.state = 'running';
+
+        for (const step of this.steps) {
+            if (step.status === 'done') continue;
+            step.status = 'active';
+            step.error = null;
+            this.onChange(this);
+            try {
+                await step.run();
+                step.status = 'done';
+            } catch (err) {
+                step.status = 'failed';
+                step.error = err;
+                this.state = 'failed';
+                this.onChange(this);
+                return false;
+            }
+        }
+
+        this.state = 'ready';
+        this.onChange(this);
+        return true;
+    }
+
+    retry() {
+        return this.run();
+    }
+}
+
+// Rejects with `message` if `promise` hasn't settled within `ms` (e.g. an audio
+// context that waits forever for a user gesture)
+export function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
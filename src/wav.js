@@ -0,0 +1,46 @@
+// --- WAV ENCODER ---
+// 16-bit PCM RIFF/WAVE from per-channel Float32Array samples
+
+export function encodeWav(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frameCount = channels[0] ? channels[0].length : 0;
+    const bytesPerSample = 2;
+    const dataSize = frameCount * channelCount * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channelCount * bytesPerSample, true);
+    view.setUint16(32, channelCount * bytesPerSample, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frameCount; i++) {
+        for (let c = 0; c < channelCount; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+export function audioBufferToWav(audioBuffer) {
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+    return encodeWav(channels, audioBuffer.sampleRate);
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClockSync } from '../src/network/clockSync.js';
+
+// A ping sent at local t0 that reaches the relay after `up` ms and comes back after `down` ms,
+// with the relay's clock `offset` ms ahead of ours
+function sample(clock, { t0, offset, up, down }) {
+    clock.addSample(t0, t0 + up + offset, t0 + up + down);
+}
+
+test('symmetric round trips give the exact offset', () => {
+    const clock = new ClockSync();
+    assert.equal(clock.synced, false);
+    assert.equal(clock.offset, 0);
+
+    sample(clock, { t0: 1000, offset: 5000, up: 20, down: 20 });
+    assert.equal(clock.synced, true);
+    assert.equal(clock.offset, 5000);
+    assert.equal(clock.rtt, 40);
+    assert.equal(clock.toServerTime(2000), 7000);
+    assert.equal(clock.toLocalTime(7000), 2000);
+});
+
+test('the fastest round trips outweigh slow, lopsided ones', () => {
+    const clock = new ClockSync({ bestSamples: 2 });
+    sample(clock, { t0: 0, offset: -300, up: 10, down: 10 });
+    sample(clock, { t0: 100, offset: -300, up: 400, down: 20 }); // Off by 190 ms
+    sample(clock, { t0: 200, offset: -300, up: 12, down: 8 }); // Off by 2 ms
+
+    assert.equal(clock.rtt, 20);
+    assert.equal(clock.offset, -299);
+});
+
+test('only the most recent samples are kept', () => {
+    const clock = new ClockSync({ maxSamples: 2, bestSamples: 1 });
+    sample(clock, { t0: 0, offset: 100, up: 1, down: 1 });
+    sample(clock, { t0: 10, offset: 200, up: 5, down: 5 });
+    sample(clock, { t0: 20, offset: 300, up: 5, down: 5 });
+
+    assert.equal(clock.samples.length, 2);
+    assert.equal(clock.offset, 200); // The 2 ms sample has been dropped
+
+    clock.reset();
+    assert.equal(clock.synced, false);
+});
@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../src/engine/index.js';
+import { createHandFrame, buildHandLandmarks } from '../src/input/handFrame.js';
+import { expandLayout } from '../src/instruments/layouts.js';
+
+// One pad at the scene origin; under the default calibration that is the middle of the camera image
+const PAD_LAYOUT = {
+    name: "Test pad",
+    instruments: [{ id: 'pad', type: 'pad', shape: 'box', position: [0, 0, 0], size: [4, 4, 1], note: 'C4', synth: 'triangle' }]
+};
+
+const FRAME_MS = 33;
+
+function handAt({ x = 0.5, y = 0.5, z = 0.3, gesture = "Pointing_Up", handedness = "Right" } = {}) {
+    return { landmarks: buildHandLandmarks(x, y, gesture, { z }), gesture, handedness };
+}
+
+// Engine on a fake clock: step() applies one frame (hands: array of handAt() results) and ticks
+function createEngine(options = {}) {
+    const clock = { ms: 0 };
+    const engine = new Engine({ clock: { now: () => clock.ms / 1000 }, ...options });
+    engine.setInstruments(expandLayout(PAD_LAYOUT));
+    const events = { handUpdate: [], handRemoved: [], gestureChange: [], instrumentHit: [] };
+    Object.keys(events).forEach(type => engine.on(type, payload => events[type].push(payload)));
+
+    function step(hands, { frame = true } = {}) {
+        clock.ms += FRAME_MS;
+        if (frame) engine.applyFrame(createHandFrame(clock.ms, hands), clock.ms);
+        engine.update(clock.ms);
+    }
+    return { engine, events, clock, step };
+}
+
+// Hold the fingertip in front of the pad, then push it through the plane by `stepZ`
+// (normalized depth) per frame
+function press(step, stepZ) {
+    for (let i = 0; i < 10; i++) step([handAt({ z: 0.3 })]);
+    for (let z = 0.3; z > -0.5; z -= stepZ) step([handAt({ z })]);
+}
+
+test('handUpdate reports every tracked hand after each frame', () => {
+    const { events, step } = createEngine();
+    step([handAt({ handedness: "Left", x: 0.3 }), handAt({ handedness: "Right", x: 0.7 })]);
+
+    assert.equal(events.handUpdate.length, 1);
+    const [{ hands, tracked, timestamp }] = events.handUpdate;
+    assert.equal(timestamp, FRAME_MS);
+    assert.equal(hands.length, 2);
+    assert.deepEqual(tracked, hands);
+    assert.deepEqual(hands.map(hand => hand.handedness), ["Left", "Right"]);
+    hands.forEach(hand => {
+        assert.equal(hand.joints.length, 21);
+        assert.equal(hand.gesture, "Pointing_Up");
+        assert.equal(hand.lostSince, null);
+    });
+    // Mirrored default calibration: the left of the image is the right of the scene
+    assert.ok(hands[0].joints[8].x > hands[1].joints[8].x);
+});
+
+test('hands keep their id when the tracker reorders them', () => {
+    const { events, step } = createEngine();
+    step([handAt({ handedness: "Left", x: 0.3 }), handAt({ handedness: "Right", x: 0.7 })]);
+    step([handAt({ handedness: "Right", x: 0.7 }), handAt({ handedness: "Left", x: 0.3 })]);
+
+    const [first, second] = events.handUpdate.map(({ hands }) => hands);
+    assert.deepEqual(second.map(hand => hand.id), first.map(hand => hand.id));
+});
+
+test('pushing a fingertip through a pad emits one instrumentHit', () => {
+    const { events, step } = createEngine();
+    press(step, 0.03);
+
+    assert.equal(events.instrumentHit.length, 1);
+    const [hit] = events.instrumentHit;
+    assert.equal(hit.id, 'pad');
+    assert.equal(hit.source, 'hand');
+    assert.equal(hit.finger, 8);
+    assert.ok(hit.velocity > 0 && hit.velocity <= 1);
+});
+
+test('a faster press plays louder', () => {
+    const slow = createEngine();
+    press(slow.step, 0.01);
+    const fast = createEngine();
+    press(fast.step, 0.06);
+
+    assert.equal(slow.events.instrumentHit.length, 1);
+    assert.equal(fast.events.instrumentHit.length, 1);
+    assert.ok(fast.events.instrumentHit[0].velocity > slow.events.instrumentHit[0].velocity);
+});
+
+test('a finger held down does not retrigger until it pulls back', () => {
+    const { events, step } = createEngine();
+    press(step, 0.03);
+    for (let i = 0; i < 10; i++) step([handAt({ z: -0.5 })]);
+    assert.equal(events.instrumentHit.length, 1);
+
+    press(step, 0.03);
+    assert.equal(events.instrumentHit.length, 2);
+});
+
+test('hits inside the retrigger window are dropped', () => {
+    const { engine, events, clock } = createEngine({ retriggerMs: 50 });
+
+    assert.equal(engine.hit('pad', { source: 'keyboard' }), true);
+    clock.ms += 20;
+    assert.equal(engine.hit('pad', { source: 'keyboard' }), false);
+    clock.ms += 40;
+    assert.equal(engine.hit('pad', { source: 'keyboard', velocity: 0.5 }), true);
+    assert.equal(engine.hit('missing', { source: 'keyboard' }), false);
+
+    assert.deepEqual(events.instrumentHit.map(hit => hit.velocity), [0.8, 0.5]);
+});
+
+test('gestureChange waits for the gesture to be stable', () => {
+    const { engine, events, step } = createEngine();
+    engine.gestureMapper.changeThresholdMs = 100;
+
+    step([handAt({ gesture: "Open_Palm" })]);
+    for (let i = 0; i < 4; i++) step([handAt({ gesture: "Open_Palm" })]);
+    assert.deepEqual(events.gestureChange.map(e => [e.previous, e.gesture]), [["None", "Open_Palm"]]);
+
+    // A two-frame flicker (66 ms) is filtered out...
+    step([handAt({ gesture: "Closed_Fist" })]);
+    step([handAt({ gesture: "Closed_Fist" })]);
+    step([handAt({ gesture: "Open_Palm" })]);
+    for (let i = 0; i < 4; i++) step([handAt({ gesture: "Open_Palm" })]);
+    assert.equal(events.gestureChange.length, 1);
+
+    // ...a held change is reported once it has lasted changeThresholdMs
+    for (let i = 0; i < 4; i++) step([handAt({ gesture: "Closed_Fist" })]); // 0 .. 99 ms
+    assert.equal(events.gestureChange.length, 1);
+    step([handAt({ gesture: "Closed_Fist" })]);
+    assert.deepEqual(events.gestureChange.map(e => [e.previous, e.gesture]), [["None", "Open_Palm"], ["Open_Palm", "Closed_Fist"]]);
+});
+
+test('trained poses are classified from the raw landmarks and win over the built-in gesture', () => {
+    const seen = [];
+    const classifyPose = landmarks => {
+        seen.push(landmarks);
+        return landmarks[8].y < 0.4 ? "My_Pose" : null;
+    };
+    const { engine, step } = createEngine({ classifyPose });
+    const gestures = [];
+    engine.on('handUpdate', ({ hands }) => gestures.push(hands[0].gesture)); // Hands are live objects
+    const low = handAt({ y: 0.5 });
+    const high = handAt({ y: 0.3 });
+
+    step([low]);
+    step([high]);
+    assert.deepEqual(seen, [low.landmarks, high.landmarks]);
+    assert.deepEqual(gestures, ["Pointing_Up", "My_Pose"]);
+    assert.equal(engine.hands.hands[0].landmarks, high.landmarks);
+});
+
+test('a lost hand lingers for lostGraceMs, then handRemoved fires', () => {
+    const lostGraceMs = 200;
+    const { engine, events, clock, step } = createEngine({ tracking: { maxMatchDistance: 8, handednessPenalty: 6, lostGraceMs } });
+    step([handAt()]);
+    const [hand] = engine.hands.hands;
+
+    step([]);
+    const lostAt = clock.ms;
+    assert.equal(hand.lostSince, lostAt);
+    assert.equal(events.handUpdate.at(-1).tracked.length, 0);
+    assert.equal(events.handUpdate.at(-1).hands.length, 1);
+
+    while (clock.ms + FRAME_MS - lostAt <= lostGraceMs) step([]);
+    assert.equal(events.handRemoved.length, 0);
+
+    step([]);
+    assert.equal(events.handRemoved.length, 1);
+    assert.equal(events.handRemoved[0].hand, hand);
+    assert.equal(engine.hands.hands.length, 0);
+});
+
+test('a hand that comes back within the grace period is the same hand', () => {
+    const { engine, events, step } = createEngine();
+    step([handAt()]);
+    const [hand] = engine.hands.hands;
+    step([]);
+    step([handAt()]);
+
+    assert.equal(events.handRemoved.length, 0);
+    assert.equal(engine.hands.hands.length, 1);
+    assert.equal(engine.hands.hands[0], hand);
+    assert.equal(hand.lostSince, null);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyParticleForces, forceGLSL, FORCE_PARAMS, FORCE_MODES } from '../src/particles/forces.js';
+
+// Finger forces only: no wander or pull home, so every step is exactly predictable
+const STILL = { ...FORCE_PARAMS, wander: 0, returnRate: 0, burst: 0 };
+const ORIGIN = [0, 0, 0];
+
+const step = (position, fingers, params = STILL) => applyParticleForces([...position], ORIGIN, 0, 0, fingers, params);
+const finger = (mode, x = 0, y = 0, z = 0) => ({ x, y, z, mode: FORCE_MODES[mode] });
+const distance = ([x, y, z]) => Math.hypot(x, y, z);
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-12, `${message}: ${actual} != ${expected}`);
+}
+
+test('attract pulls a particle straight towards the fingertip', () => {
+    const before = [1, 2, 2]; // 3 units from the finger at the origin
+    const after = step(before, [finger('attract')]);
+
+    const scale = 1 - (STILL.radius - 3) * STILL.strength * STILL.attract;
+    after.forEach((value, i) => assertClose(value, before[i] * scale, `axis ${i}`));
+    assert.ok(distance(after) < distance(before));
+});
+
+test('repel pushes a particle straight away from the fingertip', () => {
+    const before = [3, 4, 5];
+    const fingertip = [2, 4, 5]; // 1 unit away along x
+    const after = step(before, [finger('repel', ...fingertip)]);
+
+    assertClose(after[0], 3 + (STILL.radius - 1) * STILL.strength * STILL.repel, 'x');
+    assert.equal(after[1], 4);
+    assert.equal(after[2], 5);
+});
+
+test('swirl turns around the fingertip in the XY plane only', () => {
+    const after = step([1, 0, 0.5], [finger('swirl')]);
+    const force = (STILL.radius - Math.hypot(1, 0.5)) * STILL.strength * STILL.swirl;
+
+    assert.equal(after[0], 1);
+    assertClose(after[1], force, 'y'); // Counter-clockwise
+    assert.equal(after[2], 0.5);
+});
+
+test('force per unit distance falls off linearly and vanishes at the radius', () => {
+    const pullAt = d => (d - distance(step([d, 0, 0], [finger('attract')]))) / d;
+
+    const samples = [0.5, 1, 2, 3, 3.9].map(pullAt);
+    samples.slice(1).forEach((pull, i) => assert.ok(pull < samples[i], `pull at sample ${i + 1} should be weaker`));
+    [0.5, 2, 3.9].forEach(d => assertClose(pullAt(d), (STILL.radius - d) * STILL.strength * STILL.attract, `d = ${d}`));
+
+    assert.deepEqual(step([STILL.radius, 0, 0], [finger('attract')]), [STILL.radius, 0, 0]);
+    assert.deepEqual(step([0, 10, 0], [finger('repel')]), [0, 10, 0]);
+});
+
+test('fingers without a force mode and empty finger lists leave particles alone', () => {
+    assert.deepEqual(step([1, 1, 1], [finger('none')]), [1, 1, 1]);
+    assert.deepEqual(step([1, 1, 1], []), [1, 1, 1]);
+});
+
+test('fingers act one after another, each on the position the previous one left', () => {
+    const first = finger('repel', 1, 0, 0);
+    const second = finger('attract', 0, 2, 0);
+    const together = step([0, 0, 0], [first, second]);
+
+    assert.deepEqual(together, step(step([0, 0, 0], [first]), [second]));
+});
+
+test('return rate and burst act on the particle from its home and the cloud center', () => {
+    const home = applyParticleForces([10, 0, 0], [0, 0, 0], 0, 0, [], { ...STILL, returnRate: 0.1 });
+    assert.deepEqual(home, [9, 0, 0]);
+
+    const burst = applyParticleForces([0, 3, 4], [0, 3, 4], 0, 0, [], { ...STILL, burst: 0.5 });
+    assertClose(burst[1], 3.3, 'y');
+    assertClose(burst[2], 4.4, 'z');
+});
+
+test('the same inputs always give the same result, in place', () => {
+    const fingers = [finger('attract', 1, 1, 0), finger('swirl', -1, 0, 1)];
+    const a = [0.5, 0.25, -0.5];
+    const returned = applyParticleForces(a, [0, 0, 0], 1.3, 2.7, fingers);
+    const b = applyParticleForces([0.5, 0.25, -0.5], [0, 0, 0], 1.3, 2.7, fingers);
+
+    assert.equal(returned, a);
+    assert.deepEqual(a, b);
+});
+
+test('the GLSL version is generated from the same parameters', () => {
+    const glsl = forceGLSL({ ...FORCE_PARAMS, radius: 6, strength: 0.05 });
+    assert.match(glsl, /dist >= 6\.0/);
+    assert.match(glsl, /\(6\.0 - dist\) \* 0\.05/);
+    assert.match(glsl, new RegExp(`mode == ${FORCE_MODES.repel}`));
+});
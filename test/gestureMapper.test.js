@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBindings, DEFAULT_BINDINGS, GESTURES } from '../src/gestures/gestureMapper.js';
+
+test.beforeEach(t => t.mock.method(console, 'warn', () => {}));
+
+const storageWith = value => ({ getItem: () => value });
+const binding = (id, overrides = {}) => ({ id, gesture: "Victory", hand: "Any", holdMs: 0, action: 'chord', ...overrides });
+
+test('invalid stored bindings are dropped one by one', () => {
+    const stored = [
+        binding('good'),
+        binding('deleted-pose', { gesture: "My_Pose" }),
+        binding('bad-hand', { hand: "Both" }),
+        binding('pose', { gesture: "My_Pose", action: 'octave.up' }),
+        binding('bad-hold', { holdMs: -5 })
+    ];
+    const loaded = loadBindings(storageWith(JSON.stringify(stored)), 'key');
+    assert.deepEqual(loaded.map(b => b.id), ['good']);
+    assert.equal(console.warn.mock.callCount(), 4);
+
+    // The same entries load when the pose still exists
+    const withPose = loadBindings(storageWith(JSON.stringify(stored)), 'key', [...GESTURES, "My_Pose"]);
+    assert.deepEqual(withPose.map(b => b.id), ['good', 'deleted-pose', 'pose']);
+});
+
+test('missing or unreadable bindings fall back to the defaults', () => {
+    assert.deepEqual(loadBindings(storageWith(null), 'key'), DEFAULT_BINDINGS);
+    assert.deepEqual(loadBindings(storageWith('{not json'), 'key'), DEFAULT_BINDINGS);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHandFrame, resultsToHandFrame, handFrameToResults, buildHandLandmarks } from '../src/input/handFrame.js';
+
+const landmarks = buildHandLandmarks(0.5, 0.5, "Open_Palm");
+const results = labels => ({
+    gestures: labels.map(() => [{ categoryName: "Open_Palm", score: 0.9 }]),
+    handedness: labels.map(label => [{ categoryName: label, score: 0.9 }]),
+    landmarks: labels.map(() => landmarks)
+});
+
+test('MediaPipe handedness is swapped to the performer\'s actual hand', () => {
+    // MediaPipe assumes a mirrored image; the frames it gets are not mirrored
+    const frame = resultsToHandFrame(results(["Left", "Right"]), 10);
+    assert.deepEqual(frame.hands.map(hand => hand.handedness), ["Right", "Left"]);
+    assert.equal(frame.timestamp, 10);
+    assert.deepEqual(frame.hands[0].landmarks, landmarks);
+});
+
+test('hands without a handedness are Unknown', () => {
+    const frame = resultsToHandFrame({ gestures: [[]], landmarks: [landmarks] }, 0);
+    assert.deepEqual(frame.hands.map(hand => [hand.gesture, hand.handedness]), [["None", "Unknown"]]);
+});
+
+test('recorded results round-trip to the same hands', () => {
+    const frame = createHandFrame(5, [
+        { landmarks, gesture: "Thumb_Down", handedness: "Left" },
+        { landmarks, gesture: "Victory", handedness: "Unknown" }
+    ]);
+    const recorded = handFrameToResults(frame);
+    assert.deepEqual(recorded.handedness.map(([{ categoryName }]) => categoryName), ["Right", "Unknown"]);
+    assert.deepEqual(resultsToHandFrame(recorded, 5), frame);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JamSession, JAM_CONFIG } from '../src/network/jamSession.js';
+
+// Messages go straight to handleMessage; no socket is opened
+function createSession() {
+    const clock = { ms: 1000 };
+    const events = { hands: [], hits: [], peers: [] };
+    const session = new JamSession({
+        url: 'ws://test', room: 'room', name: '',
+        now: () => clock.ms,
+        onHands: (peerId, hands) => events.hands.push([peerId, hands]),
+        onHit: (peerId, hit) => events.hits.push([peerId, hit]),
+        onPeers: peers => events.peers.push([...peers.keys()])
+    });
+    session.handleMessage({ type: 'welcome', id: 1, peers: [{ id: 2, name: "B" }] });
+    return { session, events, clock };
+}
+
+test('the welcome joins the room with its peers', () => {
+    const { session, events } = createSession();
+    assert.equal(session.connected, true);
+    assert.deepEqual(events.peers, [[2]]);
+});
+
+test('relay messages forwarded from a peer are ignored', () => {
+    const { session, events } = createSession();
+    session.handleMessage({ type: 'peerLeft', id: 2, from: 2 });
+    session.handleMessage({ type: 'welcome', id: 99, peers: [], from: 2 });
+    session.handleMessage({ type: 'pong', t0: 0, serverTime: 1e9, from: 2 });
+
+    assert.equal(session.id, 1);
+    assert.deepEqual([...session.peers.keys()], [2]);
+    assert.equal(session.clock.synced, false);
+    assert.equal(events.hands.length, 0);
+});
+
+test('hands are unpacked, and malformed hand lists dropped', () => {
+    const { session, events } = createSession();
+    session.handleMessage({ type: 'hands', from: 2, hands: [{ handedness: "Left", joints: [1, 2, 3, 4, 5, 6] }] });
+    session.handleMessage({ type: 'hands', from: 2, hands: "nope" });
+    session.handleMessage({ type: 'hands', from: 2, hands: [{ joints: [1, 2] }] });
+    session.handleMessage({ type: 'hands', from: 2, hands: [{ joints: [1, 'x', 3] }] });
+
+    assert.deepEqual(events.hands, [[2, [{ handedness: "Left", joints: [{ x: 1, y: 2, z: 3 }, { x: 4, y: 5, z: 6 }] }]]]);
+});
+
+test('hits are scheduled on the shared clock; bad times play immediately', () => {
+    const { session, events } = createSession();
+    session.handleMessage({ type: 'pong', t0: 990, serverTime: 5995 }); // Relay is 5000 ms ahead
+    assert.equal(session.clock.offset, 5000);
+
+    const hit = time => ({ type: 'hit', from: 2, instrumentId: 'pad', layout: "Kit", velocity: 0.5, time });
+    session.handleMessage(hit(5990));
+    session.handleMessage(hit('soon'));
+    session.handleMessage(hit(null));
+    session.handleMessage(hit(5000)); // Arrived too late to delay
+
+    assert.deepEqual(events.hits.map(([, { delayMs }]) => delayMs), [JAM_CONFIG.playbackDelayMs - 10, 0, 0, 0]);
+    assert.deepEqual(events.hits[0][1], { instrumentId: 'pad', layout: "Kit", velocity: 0.5, delayMs: JAM_CONFIG.playbackDelayMs - 10 });
+});
+
+test('hits without an instrument or a usable velocity are dropped', () => {
+    const { session, events } = createSession();
+    session.handleMessage({ type: 'hit', from: 2, velocity: 1, time: null });
+    session.handleMessage({ type: 'hit', from: 2, instrumentId: 'pad', velocity: NaN, time: null });
+    session.handleMessage({ type: 'hit', from: 2, instrumentId: 'pad', velocity: 3, time: null });
+
+    assert.deepEqual(events.hits.map(([, hit]) => hit.velocity), [1]);
+});
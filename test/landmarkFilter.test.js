@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LandmarkFilter, OneEuroFilter, SMOOTHING_CONFIG } from '../src/input/landmarkFilter.js';
+
+const FRAME_MS = 33;
+
+// Seeded PRNG (mulberry32) so the noisy trajectories are the same on every run
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Roughly Gaussian noise in [-amplitude, amplitude] (sum of uniforms)
+function createNoise(seed, amplitude) {
+    const random = createRandom(seed);
+    return () => ((random() + random() + random()) / 1.5 - 1) * amplitude;
+}
+
+function variance(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+}
+
+// Runs one point along `trajectory(t)` (t in seconds) through a LandmarkFilter and
+// returns per-frame { truth, raw, position, velocity } on the x axis
+function run(trajectory, { frames = 150, noise = () => 0, config = SMOOTHING_CONFIG } = {}) {
+    const filter = new LandmarkFilter(1, config);
+    const samples = [];
+    for (let i = 0; i < frames; i++) {
+        const timestampMs = i * FRAME_MS;
+        const truth = trajectory(timestampMs / 1000);
+        const raw = truth + noise();
+        const [{ position, velocity }] = filter.apply([{ x: raw, y: 0, z: 0 }], timestampMs);
+        samples.push({ truth, raw, position: position.x, velocity: velocity.x });
+    }
+    return samples;
+}
+
+test('a still point jitters less after filtering', () => {
+    const noisy = run(() => 2, { noise: createNoise(1, 0.1) }).slice(30);
+    const rawVariance = variance(noisy.map(s => s.raw));
+
+    const filtered = variance(noisy.map(s => s.position));
+    assert.ok(filtered < rawVariance * 0.5, `filtered variance ${filtered} vs raw ${rawVariance}`);
+
+    // Without prediction the velocity term can't add noise back in
+    const unpredicted = run(() => 2, { noise: createNoise(1, 0.1), config: { ...SMOOTHING_CONFIG, predictionMs: 0 } }).slice(30);
+    assert.ok(variance(unpredicted.map(s => s.position)) < filtered);
+});
+
+test('lag on a ramp settles and stays bounded', () => {
+    const speed = 10; // scene units / second, a brisk hand movement
+    const config = { ...SMOOTHING_CONFIG, predictionMs: 0 };
+    const samples = run(t => speed * t, { config });
+    const lags = samples.map(s => s.truth - s.position);
+
+    // The filter can never trail by more than the still-hand time constant allows
+    const maxLag = speed / (2 * Math.PI * config.minCutoff);
+    lags.forEach(lag => assert.ok(lag >= -1e-9 && lag <= maxLag, `lag ${lag} exceeds ${maxLag}`));
+
+    // Once the velocity estimate has caught up the lag stops growing
+    const settled = lags.slice(100);
+    assert.ok(Math.max(...settled) - Math.min(...settled) < 0.01);
+    assert.ok(Math.abs(samples.at(-1).velocity - speed) < 0.01);
+});
+
+test('prediction cuts the error on constant-velocity motion', () => {
+    const trajectory = t => 5 * t - 3;
+    const options = { noise: createNoise(7, 0.02) };
+    const predicted = run(trajectory, { ...options, config: { ...SMOOTHING_CONFIG, predictionMs: 30 } }).slice(50);
+    const unpredicted = run(trajectory, { ...options, config: { ...SMOOTHING_CONFIG, predictionMs: 0 } }).slice(50);
+
+    const meanError = samples => samples.reduce((sum, s) => sum + Math.abs(s.truth - s.position), 0) / samples.length;
+    assert.ok(meanError(predicted) < meanError(unpredicted) * 0.8, `${meanError(predicted)} vs ${meanError(unpredicted)}`);
+});
+
+test('the first sample passes through and repeated timestamps do not move the filter', () => {
+    const filter = new OneEuroFilter();
+    assert.equal(filter.filter(4, 0), 4);
+    assert.equal(filter.filter(9, 0), 4);
+    assert.equal(filter.derivative, 0);
+
+    const hand = new LandmarkFilter(1);
+    hand.apply([{ x: 1, y: 2, z: 3 }], 100);
+    const [{ position, velocity }] = hand.apply([{ x: 5, y: 5, z: 5 }], 100);
+    assert.deepEqual(position, { x: 1, y: 2, z: 3 });
+    assert.deepEqual(velocity, { x: 0, y: 0, z: 0 });
+});
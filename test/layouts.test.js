@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { expandLayout, isPointInInstrument } from '../src/instruments/layouts.js';
+import { SYNTH_PRESETS } from '../src/instruments/synthPresets.js';
+
+const SYNTHS = Object.keys(SYNTH_PRESETS);
+const LAYOUT_DIR = new URL('../src/instruments/layouts/', import.meta.url);
+
+const pad = (overrides = {}) => ({
+    id: 'pad', type: 'pad', position: [0, 0, 0], size: [2, 2, 1], note: 'C4', synth: 'triangle', ...overrides
+});
+const layoutOf = (...instruments) => ({ name: "Test", instruments });
+
+test('every built-in layout expands against the real synth presets', () => {
+    readdirSync(LAYOUT_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+        const layout = JSON.parse(readFileSync(new URL(file, LAYOUT_DIR), 'utf8'));
+        assert.ok(expandLayout(layout, SYNTHS).length > 0, file);
+    });
+});
+
+test('rows are spread around their center, skipping null gaps', () => {
+    const instruments = expandLayout(layoutOf({
+        type: 'piano', size: [1, 1, 1], synth: 'triangle',
+        row: { notes: ['C4', null, 'E4'], center: [1, 2, 0], step: 2, idPrefix: 'key' }
+    }), SYNTHS);
+
+    assert.deepEqual(instruments.map(def => [def.id, def.note, def.position]), [
+        ['key_0', 'C4', [-1, 2, 0]],
+        ['key_1', 'E4', [3, 2, 0]]
+    ]);
+});
+
+test('defaults are applied', () => {
+    const [def] = expandLayout(layoutOf(pad()), SYNTHS);
+    assert.equal(def.shape, 'box');
+    assert.deepEqual(def.hitPadding, [0, 0]);
+    assert.equal(def.pressDepth, 0.5);
+});
+
+test('unknown synth presets are rejected', () => {
+    assert.throws(() => expandLayout(layoutOf(pad({ synth: 'kazoo' })), SYNTHS), /unknown synth preset "kazoo"/);
+    // Without a preset list any name passes (the headless engine has no audio)
+    assert.equal(expandLayout(layoutOf(pad({ synth: 'kazoo' }))).length, 1);
+});
+
+test('row steps must be numbers', () => {
+    ['2', null, NaN, Infinity].forEach(step => {
+        const row = { type: 'piano', size: [1, 1, 1], synth: 'triangle', row: { notes: ['C4', 'D4'], step } };
+        assert.throws(() => expandLayout(layoutOf(row), SYNTHS), /step must be a number/, String(step));
+    });
+});
+
+test('malformed rows and entries get descriptive errors', () => {
+    const row = notes => ({ type: 'piano', size: [1, 1, 1], synth: 'triangle', row: { notes, step: 2, idPrefix: 'key' } });
+    const cases = [
+        [row('C4 D4'), /row "key": notes must be a list/],
+        [row({ 0: 'C4' }), /row "key": notes must be a list/],
+        [row(['C4', 62]), /row "key": note 2 must be a note name, a chord or null, got 62/],
+        [row(['C4', undefined]), /note 2 must be a note name, a chord or null/],
+        [row([['C4', 'E4'], ['G4', 7]]), /note 2 must be a note name, a chord or null, got \["G4",7\]/],
+        [row([[]]), /note 1 must be/],
+        [null, /instrument 1 must be an object/]
+    ];
+    cases.forEach(([entry, error]) => assert.throws(() => expandLayout(layoutOf(entry), SYNTHS), error, JSON.stringify(entry)));
+
+    // Gaps and chords are fine
+    assert.equal(expandLayout(layoutOf(row([null, ['C4', 'E4'], 'G4'])), SYNTHS).length, 2);
+});
+
+test('position, size and hitPadding must be finite numbers', () => {
+    const invalid = [
+        pad({ position: [0, '1', 0] }),
+        pad({ position: [0, 0] }),
+        pad({ position: [0, NaN, 0] }),
+        pad({ size: [2, 2] }),
+        pad({ size: [2, 'big', 1] }),
+        pad({ size: [2, 0, 1] }),
+        pad({ shape: 'cylinder', size: [1, 1, 1] }),
+        pad({ hitPadding: [0.5] }),
+        pad({ hitPadding: [0.5, null] })
+    ];
+    invalid.forEach(def => assert.throws(() => expandLayout(layoutOf(def), SYNTHS), undefined, JSON.stringify(def)));
+
+    assert.equal(expandLayout(layoutOf(pad({ shape: 'cylinder', size: [1, 0.2], hitPadding: [0.5, 0.5] })), SYNTHS).length, 1);
+});
+
+test('duplicate ids are rejected', () => {
+    assert.throws(() => expandLayout(layoutOf(pad(), pad()), SYNTHS), /Duplicate instrument id "pad"/);
+});
+
+test('isPointInInstrument honours shape, hitPadding and margin', () => {
+    const [box] = expandLayout(layoutOf(pad({ hitPadding: [0, 0.5] })), SYNTHS);
+    const origin = { x: 0, y: 0 };
+    assert.equal(isPointInInstrument(box, origin, { x: 0.9, y: 1.4 }), true);
+    assert.equal(isPointInInstrument(box, origin, { x: 1.1, y: 0 }), false);
+    assert.equal(isPointInInstrument(box, origin, { x: 1.1, y: 0 }, 0.25), true);
+
+    const [drum] = expandLayout(layoutOf(pad({ shape: 'cylinder', size: [1, 0.2] })), SYNTHS);
+    assert.equal(isPointInInstrument(drum, origin, { x: 0.6, y: 0.6 }), true);
+    assert.equal(isPointInInstrument(drum, origin, { x: 0.8, y: 0.8 }), false);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quantizeTick } from '../src/looper.js';
+
+// 2 bars of 4/4 at 192 PPQ, quantized to 16th notes
+const GRID = 48;
+const LOOP = 1536;
+
+test('hits snap to the nearest grid line within their loop pass', () => {
+    assert.deepEqual(quantizeTick(100, GRID, LOOP), { tick: 96, cycle: 0 });
+    assert.deepEqual(quantizeTick(LOOP + 20, GRID, LOOP), { tick: 0, cycle: 1 });
+    assert.deepEqual(quantizeTick(3 * LOOP + 500, GRID, LOOP), { tick: 480, cycle: 3 });
+});
+
+test('a hit within half a grid step of the loop end belongs to the next pass', () => {
+    // Snaps forward to the loop end, which is tick 0 of pass 1, so it is heard as played
+    // and skipped when pass 1 plays it back
+    assert.deepEqual(quantizeTick(LOOP - 10, GRID, LOOP), { tick: 0, cycle: 1 });
+    assert.deepEqual(quantizeTick(2 * LOOP - 1, GRID, LOOP), { tick: 0, cycle: 2 });
+    // Just over half a step away it stays on the last grid line of the current pass
+    assert.deepEqual(quantizeTick(LOOP - 25, GRID, LOOP), { tick: LOOP - GRID, cycle: 0 });
+});
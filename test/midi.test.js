@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiBridge, noteNameToMidi, instrumentMidiNotes } from '../src/midi.js';
+
+// Minimal Web MIDI stand-in: ports record what they are sent
+function createMockAccess() {
+    const sent = [];
+    const output = { id: 'out-1', name: "Mock Synth", send: (data, timestamp) => sent.push({ data: Array.from(data), timestamp }) };
+    const input = { id: 'in-1', name: "Mock Keys", onmidimessage: null };
+    const access = {
+        outputs: new Map([[output.id, output]]),
+        inputs: new Map([[input.id, input]]),
+        onstatechange: null
+    };
+    const requests = [];
+    const requestMIDIAccess = async options => {
+        requests.push(options);
+        return access;
+    };
+    return { access, output, input, sent, requests, requestMIDIAccess };
+}
+
+async function createBridge(config = {}, options = {}) {
+    const mock = createMockAccess();
+    const bridge = new MidiBridge({ requestMIDIAccess: mock.requestMIDIAccess, config: { outputId: 'out-1', ...config }, ...options });
+    const devices = await bridge.init();
+    return { bridge, devices, ...mock };
+}
+
+test('init requests access without sysex and lists devices', async () => {
+    const { devices, requests } = await createBridge();
+    assert.deepEqual(requests, [{ sysex: false }]);
+    assert.deepEqual(devices, {
+        outputs: [{ id: 'out-1', name: "Mock Synth" }],
+        inputs: [{ id: 'in-1', name: "Mock Keys" }]
+    });
+});
+
+test('init fails when Web MIDI is unavailable', async () => {
+    const bridge = new MidiBridge({ requestMIDIAccess: null });
+    assert.equal(bridge.isSupported, false);
+    await assert.rejects(bridge.init(), /not supported/);
+});
+
+test('playInstrument timestamps note-on at the hit and note-off noteLength later', async () => {
+    const { bridge, sent } = await createBridge({ noteChannel: 2, noteLength: 250 });
+    bridge.playInstrument({ type: 'piano', note: ['C4', 'E4'] }, 1, 1000);
+
+    assert.deepEqual(sent, [
+        { data: [0x91, 60, 127], timestamp: 1000 },
+        { data: [0x81, 60, 0], timestamp: 1250 },
+        { data: [0x91, 64, 127], timestamp: 1000 },
+        { data: [0x81, 64, 0], timestamp: 1250 }
+    ]);
+});
+
+test('playInstrument defaults to now', async () => {
+    const { bridge, sent } = await createBridge();
+    const before = performance.now();
+    bridge.playInstrument({ type: 'piano', note: 'A4' }, 0.5);
+    const after = performance.now();
+
+    assert.equal(sent.length, 2);
+    assert.deepEqual(sent[0].data, [0x90, 69, 64]);
+    assert.ok(sent[0].timestamp >= before && sent[0].timestamp <= after);
+    assert.equal(sent[1].timestamp, sent[0].timestamp + bridge.config.noteLength);
+});
+
+test('drums go to the drum channel with their General MIDI note', async () => {
+    const { bridge, sent } = await createBridge();
+    bridge.playInstrument({ type: 'drum', name: 'Snare', synth: 'snare' }, 0.8, 50);
+    bridge.playInstrument({ type: 'drum', name: 'Cowbell', synth: 'unmapped' }, 0.8, 60);
+
+    assert.deepEqual(sent.map(message => message.data[0]), [0x99, 0x89]);
+    assert.equal(sent[0].data[1], 38);
+});
+
+test('nothing is sent without an output, or after switching it off', async () => {
+    const { bridge, sent } = await createBridge({ outputId: 'missing' });
+    bridge.playInstrument({ type: 'piano', note: 'C4' }, 1, 0);
+    assert.equal(sent.length, 0);
+
+    bridge.configure({ outputId: 'out-1' });
+    bridge.playInstrument({ type: 'piano', note: 'C4' }, 1, 0);
+    assert.equal(sent.length, 2);
+
+    bridge.configure({ outputId: null });
+    bridge.playInstrument({ type: 'piano', note: 'C4' }, 1, 0);
+    assert.equal(sent.length, 2);
+});
+
+test('control changes are only sent when the 7-bit value changes', async () => {
+    const { bridge, sent } = await createBridge({ controlChannel: 3, controlNumber: 74 });
+    bridge.sendControlChange(0.5);
+    bridge.sendControlChange(0.501);
+    bridge.sendControlChange(1);
+
+    assert.deepEqual(sent.map(message => message.data), [[0xb2, 74, 64], [0xb2, 74, 127]]);
+});
+
+test('incoming note-ons reach onNote; note-offs and velocity 0 do not', async () => {
+    const notes = [];
+    const { input } = await createBridge({ inputId: 'in-1' }, { onNote: (...args) => notes.push(args) });
+
+    input.onmidimessage({ data: [0x93, 60, 127] });
+    input.onmidimessage({ data: [0x93, 60, 0] });
+    input.onmidimessage({ data: [0x83, 60, 64] });
+    assert.deepEqual(notes, [[60, 1, 4]]);
+});
+
+test('device changes re-resolve ports and dispose detaches handlers', async () => {
+    const changes = [];
+    const { bridge, access, input } = await createBridge({ inputId: 'in-1' }, { onDevicesChanged: devices => changes.push(devices) });
+
+    access.outputs.delete('out-1');
+    access.onstatechange();
+    assert.equal(bridge.output, null);
+    assert.deepEqual(changes.at(-1).outputs, []);
+
+    bridge.dispose();
+    assert.equal(input.onmidimessage, null);
+    assert.equal(access.onstatechange, null);
+});
+
+test('note names and instrument definitions map to MIDI notes', () => {
+    assert.equal(noteNameToMidi("C4"), 60);
+    assert.equal(noteNameToMidi("F#3"), 54);
+    assert.equal(noteNameToMidi("Bb2"), 46);
+    assert.throws(() => noteNameToMidi("H2"));
+
+    assert.deepEqual(instrumentMidiNotes({ type: 'piano', note: 'C4', midiNote: 72 }), [72]);
+    assert.deepEqual(instrumentMidiNotes({ type: 'drum', synth: 'kick' }), [36]);
+    assert.deepEqual(instrumentMidiNotes({ type: 'pad' }), []);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeMidiFile, encodeVariableLength, secondsToTicks } from '../src/midiFile.js';
+import { PerformanceRecorder } from '../src/performanceRecorder.js';
+
+const ascii = bytes => String.fromCharCode(...bytes);
+const uint32 = (bytes, offset) => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+const uint16 = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+// Split a .mid file into { type, data } chunks, checking every declared length
+function readChunks(bytes) {
+    const chunks = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        const type = ascii(bytes.subarray(offset, offset + 4));
+        const length = uint32(bytes, offset + 4);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        assert.equal(data.length, length, `${type} chunk is truncated`);
+        chunks.push({ type, data });
+        offset += 8 + length;
+    }
+    return chunks;
+}
+
+function readVariableLength(data, offset) {
+    let value = 0;
+    let byte;
+    do {
+        byte = data[offset++];
+        value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return { value, offset };
+}
+
+// Channel messages of a track as [absoluteTick, status, note, velocity]; meta events are skipped
+function readNoteEvents(data) {
+    const events = [];
+    let offset = 0;
+    let tick = 0;
+    while (offset < data.length) {
+        const delta = readVariableLength(data, offset);
+        tick += delta.value;
+        offset = delta.offset;
+        if (data[offset] === 0xff) {
+            const length = readVariableLength(data, offset + 2);
+            offset = length.offset + length.value;
+        } else {
+            events.push([tick, data[offset], data[offset + 1], data[offset + 2]]);
+            offset += 3;
+        }
+    }
+    return events;
+}
+
+test('encodeVariableLength matches the SMF spec examples', () => {
+    assert.deepEqual(encodeVariableLength(0), [0x00]);
+    assert.deepEqual(encodeVariableLength(127), [0x7f]);
+    assert.deepEqual(encodeVariableLength(128), [0x81, 0x00]);
+    assert.deepEqual(encodeVariableLength(0x3fff), [0xff, 0x7f]);
+    assert.deepEqual(encodeVariableLength(0x0fffffff), [0xff, 0xff, 0xff, 0x7f]);
+    assert.throws(() => encodeVariableLength(-1));
+    assert.throws(() => encodeVariableLength(1.5));
+});
+
+test('secondsToTicks converts at the given tempo', () => {
+    assert.equal(secondsToTicks(1, 120, 480), 960);
+    assert.equal(secondsToTicks(0.25, 60, 96), 24);
+    assert.equal(secondsToTicks(-1, 120, 480), 0);
+});
+
+test('writeMidiFile lays out a format 1 header and one MTrk per track plus tempo', () => {
+    const bytes = writeMidiFile({
+        ppq: 96,
+        bpm: 120,
+        tracks: [
+            { name: "Piano", channel: 1, notes: [{ time: 0, duration: 0.5, note: 60, velocity: 1 }] },
+            { name: "Drum", channel: 10, notes: [{ time: 0.5, duration: 0.1, note: 36, velocity: 0.5 }] }
+        ]
+    });
+    assert.ok(bytes instanceof Uint8Array);
+
+    const chunks = readChunks(bytes);
+    assert.deepEqual(chunks.map(c => c.type), ["MThd", "MTrk", "MTrk", "MTrk"]);
+
+    const header = chunks[0].data;
+    assert.equal(header.length, 6);
+    assert.equal(uint16(header, 0), 1); // format
+    assert.equal(uint16(header, 2), 3); // tempo + 2 tracks
+    assert.equal(uint16(header, 4), 96); // ppq
+
+    // Tempo track: 500000 µs per beat at 120 bpm
+    const tempo = chunks[1].data;
+    assert.deepEqual(Array.from(tempo.subarray(0, 7)), [0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20]);
+
+    chunks.slice(1).forEach(({ data }) => {
+        assert.deepEqual(Array.from(data.subarray(-4)), [0x00, 0xff, 0x2f, 0x00], "track ends with End of Track");
+    });
+
+    // Track name meta event, then notes on the track's channel
+    assert.equal(ascii(chunks[2].data.subarray(4, 9)), "Piano");
+    assert.deepEqual(readNoteEvents(chunks[2].data), [[0, 0x90, 60, 127], [96, 0x80, 60, 0]]);
+    assert.deepEqual(readNoteEvents(chunks[3].data), [[96, 0x99, 36, 64], [115, 0x89, 36, 0]]);
+});
+
+test('a note-off sorts before a note-on at the same tick', () => {
+    const bytes = writeMidiFile({
+        ppq: 96,
+        bpm: 120,
+        tracks: [{
+            name: "Piano",
+            notes: [
+                // Listed out of order on purpose; the second note starts as the first ends
+                { time: 0.5, duration: 0.5, note: 60, velocity: 1 },
+                { time: 0, duration: 0.5, note: 60, velocity: 1 }
+            ]
+        }]
+    });
+    const events = readNoteEvents(readChunks(bytes)[2].data);
+
+    assert.deepEqual(events.map(([tick, status]) => [tick, status]), [
+        [0, 0x90],
+        [96, 0x80],
+        [96, 0x90],
+        [192, 0x80]
+    ]);
+});
+
+test('zero-length notes still last one tick', () => {
+    const bytes = writeMidiFile({ ppq: 96, tracks: [{ notes: [{ time: 0, duration: 0, note: 64, velocity: 0.8 }] }] });
+    const events = readNoteEvents(readChunks(bytes)[2].data);
+
+    assert.deepEqual(events, [[0, 0x90, 64, 102], [1, 0x80, 64, 0]]);
+});
+
+test('performance tracks keep channel 10 for drums only', () => {
+    const recorder = new PerformanceRecorder();
+    recorder.isRecording = true; // Hits only; no audio is captured here
+    recorder.record({ type: 'drum', synth: 'kick' }, 1, 0);
+    for (let i = 0; i < 10; i++) recorder.record({ type: `keys${i}`, midiNote: 60 + i }, 1, 0);
+
+    const channels = readChunks(recorder.toMidi()).slice(2).map(({ data }) => readNoteEvents(data)[0][1] & 0x0f);
+    assert.deepEqual(channels.map(channel => channel + 1), [10, 1, 2, 3, 4, 5, 6, 7, 8, 9, 11]);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OPCODES, CLOSE_CODES, encodeFrame, decodeFrames, createFrameReader } from '../server/websocket.mjs';
+
+// A frame as a browser sends it: always masked
+function clientFrame(opcode, text, { fin = true, mask = [0x12, 0x34, 0x56, 0x78], masked = true } = {}) {
+    const payload = Buffer.from(text);
+    // The length encoding is the same both ways; only the FIN and mask bits differ
+    const header = encodeFrame(opcode, payload).subarray(0, -payload.length || undefined);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (!masked) return Buffer.concat([header, payload]);
+    header[1] |= 0x80;
+    return Buffer.concat([header, Buffer.from(mask), payload.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+function createReader(options = {}) {
+    const events = { texts: [], pings: [], closes: [] };
+    const reader = createFrameReader({
+        onText: text => events.texts.push(text),
+        onPing: payload => events.pings.push(payload.toString()),
+        onClose: (code, reason) => events.closes.push([code, reason]),
+        ...options
+    });
+    return { ...events, push: reader.push };
+}
+
+test('masked frames are unmasked', () => {
+    const { frames, rest } = decodeFrames(clientFrame(OPCODES.text, 'hello'));
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].payload.toString(), 'hello');
+    assert.equal(frames[0].fin, true);
+    assert.equal(rest.length, 0);
+});
+
+test('16-bit lengths are decoded', () => {
+    const text = 'x'.repeat(300);
+    const { frames } = decodeFrames(clientFrame(OPCODES.text, text));
+    assert.equal(frames[0].payload.toString(), text);
+});
+
+test('frames split across chunks are kept until complete', () => {
+    const reader = createReader();
+    const frame = clientFrame(OPCODES.text, '{"type":"hit"}');
+    reader.push(frame.subarray(0, 1));
+    reader.push(frame.subarray(1, 7));
+    assert.deepEqual(reader.texts, []);
+    reader.push(Buffer.concat([frame.subarray(7), clientFrame(OPCODES.text, 'next')]));
+    assert.deepEqual(reader.texts, ['{"type":"hit"}', 'next']);
+});
+
+test('fragmented messages are reassembled, with pings in between', () => {
+    const reader = createReader();
+    reader.push(Buffer.concat([
+        clientFrame(OPCODES.text, 'frag', { fin: false }),
+        clientFrame(OPCODES.ping, 'p'),
+        clientFrame(OPCODES.continuation, 'men', { fin: false }),
+        clientFrame(OPCODES.continuation, 'ted')
+    ]));
+    assert.deepEqual(reader.texts, ['fragmented']);
+    assert.deepEqual(reader.pings, ['p']);
+});
+
+test('unmasked frames close the connection with a protocol error', () => {
+    const reader = createReader();
+    reader.push(clientFrame(OPCODES.text, 'hi', { masked: false }));
+    assert.deepEqual(reader.texts, []);
+    assert.deepEqual(reader.closes, [[CLOSE_CODES.protocolError, "Unmasked client frame"]]);
+});
+
+test('an oversized frame is refused from its header alone', () => {
+    const reader = createReader({ maxPayload: 100 });
+    // Only the header and the first bytes have arrived
+    reader.push(clientFrame(OPCODES.text, 'x'.repeat(200)).subarray(0, 10));
+    assert.deepEqual(reader.closes, [[CLOSE_CODES.messageTooBig, "Frame too large"]]);
+});
+
+test('fragments are capped across the whole message', () => {
+    const reader = createReader({ maxPayload: 100 });
+    reader.push(clientFrame(OPCODES.text, 'x'.repeat(60), { fin: false }));
+    reader.push(clientFrame(OPCODES.continuation, 'x'.repeat(60)));
+    assert.deepEqual(reader.texts, []);
+    assert.deepEqual(reader.closes, [[CLOSE_CODES.messageTooBig, "Message too large"]]);
+});
+
+test('a close frame ends the stream; later data is ignored', () => {
+    const reader = createReader();
+    const code = Buffer.alloc(2);
+    code.writeUInt16BE(1001);
+    reader.push(Buffer.concat([clientFrame(OPCODES.close, code), clientFrame(OPCODES.text, 'late')]));
+    reader.push(clientFrame(OPCODES.text, 'later'));
+    assert.deepEqual(reader.closes, [[1001, '']]);
+    assert.deepEqual(reader.texts, []);
+});
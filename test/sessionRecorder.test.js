@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionPlayer } from '../src/sessionRecorder.js';
+
+// Frames every 100 ms; `id` makes it easy to see which one was returned
+const session = { version: 1, frames: [0, 100, 200, 300].map((t, id) => ({ t, id })) };
+const ids = (player, times) => times.map(now => {
+    const frame = player.next(now);
+    return frame && frame.id;
+});
+
+test('plays frames as their timestamps pass, skipping ones the caller was too slow for', () => {
+    const player = new SessionPlayer(session);
+    assert.deepEqual(ids(player, [1000, 1050, 1100, 1350]), [0, null, 1, 3]);
+    assert.equal(player.isFinished, true);
+    assert.equal(player.next(2000), null);
+});
+
+test('looping wraps elapsed time by whole laps, staying in phase', () => {
+    const player = new SessionPlayer(session, { loop: true });
+    player.start(0);
+
+    // 650 ms in = 2 laps of 300 ms + 50 ms
+    assert.deepEqual(ids(player, [0, 650, 700, 910]), [0, 0, 1, 0]);
+    assert.equal(player.startTime, 900);
+    assert.equal(player.isFinished, false);
+});
+
+test('a long stall in loop mode does not drift the playback', () => {
+    const player = new SessionPlayer(session, { loop: true });
+    player.start(0);
+    player.next(0);
+
+    // 100 laps later, 250 ms into the lap
+    assert.equal(player.next(30250).id, 2);
+    assert.equal(player.startTime, 30000);
+});
+
+test('a single-frame loop plays once without spinning', () => {
+    const player = new SessionPlayer({ version: 1, frames: [{ t: 0, id: 0 }] }, { loop: true });
+    assert.deepEqual(ids(player, [0, 10, 5000]), [0, null, null]);
+});
+
+test('rejects files that are not sessions', () => {
+    assert.throws(() => new SessionPlayer({}), /missing frames/);
+    assert.throws(() => new SessionPlayer({ version: 99, frames: [] }), /Unsupported session version 99/);
+});
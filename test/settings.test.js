@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultSettings, importSettings, exportSettings, loadSettings, SETTINGS_VERSION } from '../src/settings.js';
+
+// Quiet the expected "Ignoring ..." warnings
+test.beforeEach(t => t.mock.method(console, 'warn', () => {}));
+
+const memoryStorage = stored => ({ getItem: () => JSON.stringify(stored) });
+
+test('imported settings drop unknown keys and keep the rest', () => {
+    const settings = importSettings({
+        version: SETTINGS_VERSION,
+        settings: { 'scene.fogDensity': 0.1, 'scene.bloom': true, 'old.setting': 3 }
+    });
+    assert.deepEqual(settings, { ...defaultSettings(), 'scene.fogDensity': 0.1 });
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('invalid values of known settings still reject the file', () => {
+    assert.throws(() => importSettings({ version: SETTINGS_VERSION, settings: { 'scene.fogDensity': 5 } }), /between 0 and 0.2/);
+    assert.throws(() => importSettings({ version: SETTINGS_VERSION, settings: { 'hits.minPressSpeed': 10, 'hits.maxPressSpeed': 5 } }), /Hardest press speed/);
+    assert.throws(() => importSettings({ settings: {} }), /Not a settings file/);
+});
+
+test('exports import back unchanged', () => {
+    const settings = { ...defaultSettings(), 'camera.delegate': 'CPU', 'particles.colorA': '#123456' };
+    assert.deepEqual(importSettings(exportSettings(settings)), settings);
+});
+
+test('stored settings reset only their bad entries', () => {
+    const settings = loadSettings(memoryStorage({ 'camera.numHands': 3, 'camera.width': 'wide', 'gone.setting': 1 }), 'key');
+    assert.deepEqual(settings, { ...defaultSettings(), 'camera.numHands': 3 });
+});
@@ -0,0 +1,52 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SYNTH_TYPES, SYNTH_PRESETS, createPatchVoice, createPresetVoice } from '../src/instruments/synthPresets.js';
+
+// Stand-in synth that records how it was built and triggered, without touching Web Audio
+class StubSynth {
+    constructor(options) {
+        this.options = options;
+        this.triggers = [];
+    }
+    triggerAttackRelease(...args) { this.triggers.push(args); }
+    chain() {}
+    dispose() {}
+}
+
+const STUBBED = ['MembraneSynth', 'MetalSynth', 'NoiseSynth'];
+const originals = {};
+const destination = {};
+
+beforeEach(() => STUBBED.forEach(type => {
+    originals[type] = SYNTH_TYPES[type];
+    SYNTH_TYPES[type] = class extends StubSynth {};
+}));
+afterEach(() => STUBBED.forEach(type => { SYNTH_TYPES[type] = originals[type]; }));
+
+const playOnce = (voice, note) => {
+    voice.play(note, 1.5, 0.7);
+    return voice.synth.triggers;
+};
+
+test('MetalSynth presets are played at their fixed pitch, whatever the note', () => {
+    ['hihat', 'openHat', 'cymbal'].forEach(name => {
+        const { defaultNote, duration } = SYNTH_PRESETS[name];
+        assert.deepEqual(playOnce(createPresetVoice(name, destination), 'C4'), [[defaultNote, duration, 1.5, 0.7]], name);
+    });
+});
+
+test('NoiseSynth is triggered without a note', () => {
+    assert.deepEqual(playOnce(createPresetVoice('snare', destination), 'C4'), [["16n", 1.5, 0.7]]);
+});
+
+test('pitched voices play the note, falling back to the default note', () => {
+    const kick = createPresetVoice('kick', destination);
+    kick.play('E1', 0, 1);
+    kick.play(null, 2, 0.5);
+    assert.deepEqual(kick.synth.triggers, [['E1', "8n", 0, 1], ["C1", "8n", 2, 0.5]]);
+});
+
+test('saved Metal patches that set options.frequency keep that pitch', () => {
+    const voice = createPatchVoice({ synth: 'MetalSynth', duration: "16n", options: { frequency: 250 } }, destination);
+    assert.deepEqual(playOnce(voice), [[250, "16n", 1.5, 0.7]]);
+});
@@ -0,0 +1,62 @@
+import { defineConfig } from 'vite';
+import { createRequire } from 'node:module';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Self-hosted MediaPipe WASM: served straight from node_modules in dev and copied into
+// the build, under a versioned path so cached copies never mismatch the JS bundle.
+// The model lives in public/mediapipe/models (see scripts/fetch-model.mjs); builds
+// refuse to run without it rather than ship an app that can't track hands offline.
+const require = createRequire(import.meta.url);
+const tasksVisionDir = path.dirname(require.resolve('@mediapipe/tasks-vision'));
+const { version: mediapipeVersion } = JSON.parse(fs.readFileSync(path.join(tasksVisionDir, 'package.json'), 'utf8'));
+const wasmDir = path.join(tasksVisionDir, 'wasm');
+const wasmPrefix = `mediapipe/${mediapipeVersion}/wasm/`;
+const modelFile = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public', 'mediapipe', 'models', 'gesture_recognizer.task');
+
+function mediapipeWasm() {
+    const files = fs.readdirSync(wasmDir);
+    return {
+        name: 'mediapipe-wasm',
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                let pathname;
+                try {
+                    pathname = decodeURIComponent(req.url.split('?')[0]);
+                } catch {
+                    return next(); // Malformed escapes aren't ours to answer
+                }
+                const index = pathname.indexOf(`/${wasmPrefix}`);
+                const file = index >= 0 ? pathname.slice(index + wasmPrefix.length + 1) : null;
+                if (!file || !files.includes(file)) return next();
+                res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+                fs.createReadStream(path.join(wasmDir, file)).pipe(res);
+            });
+        },
+        generateBundle() {
+            files.forEach(file => {
+                this.emitFile({ type: 'asset', fileName: wasmPrefix + file, source: fs.readFileSync(path.join(wasmDir, file)) });
+            });
+        }
+    };
+}
+
+function requireModel() {
+    return {
+        name: 'mediapipe-model',
+        apply: 'build',
+        buildStart() {
+            if (!fs.existsSync(modelFile)) {
+                this.error(`Missing ${path.relative(process.cwd(), modelFile)}: run \`npm run fetch-model\` (npm run build fetches it automatically)`);
+            }
+        }
+    };
+}
+
+export default defineConfig({
+    define: {
+        __MEDIAPIPE_VERSION__: JSON.stringify(mediapipeVersion)
+    },
+    plugins: [mediapipeWasm(), requireModel()]
+});